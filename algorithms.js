@@ -0,0 +1,280 @@
+// Graph algorithms that work directly on the { nodes, edges } model.
+
+// Adjacency lists of { to, edgeIndex, forward }. In undirected mode every edge can
+// also be walked backwards, which is recorded so paths can show the real direction.
+function buildAdjacency(graph, directed) {
+  const adjacency = new Map();
+  graph.nodes.forEach((node) => adjacency.set(node.id, []));
+
+  graph.edges.forEach((edge, edgeIndex) => {
+    const source = edgeEndpointId(edge.source);
+    const target = edgeEndpointId(edge.target);
+    if (!adjacency.has(source) || !adjacency.has(target)) return;
+    adjacency.get(source).push({ to: target, edgeIndex, forward: true });
+    if (!directed && source !== target) {
+      adjacency.get(target).push({ to: source, edgeIndex, forward: false });
+    }
+  });
+
+  return adjacency;
+}
+
+// Breadth-first search for the path with the fewest hops, avoiding blocked nodes and edges
+function shortestPathBfs(adjacency, sourceId, targetId, blockedNodes = new Set(), blockedEdges = new Set()) {
+  if (!adjacency.has(sourceId) || !adjacency.has(targetId) || blockedNodes.has(sourceId)) {
+    return null;
+  }
+  if (sourceId === targetId) {
+    return { nodes: [sourceId], steps: [] };
+  }
+
+  const previous = new Map([[sourceId, null]]);
+  const queue = [sourceId];
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    for (const step of adjacency.get(current)) {
+      if (previous.has(step.to) || blockedNodes.has(step.to) || blockedEdges.has(step.edgeIndex)) {
+        continue;
+      }
+      previous.set(step.to, { from: current, step });
+      if (step.to === targetId) {
+        return tracePath(previous, targetId);
+      }
+      queue.push(step.to);
+    }
+  }
+  return null;
+}
+
+function tracePath(previous, targetId) {
+  const nodes = [targetId];
+  const steps = [];
+  let entry = previous.get(targetId);
+  while (entry) {
+    steps.unshift({ edgeIndex: entry.step.edgeIndex, forward: entry.step.forward });
+    nodes.unshift(entry.from);
+    entry = previous.get(entry.from);
+  }
+  return { nodes, steps };
+}
+
+function pathSignature(path) {
+  return path.steps.map((step) => `${step.edgeIndex}${step.forward ? '>' : '<'}`).join(',');
+}
+
+// Yen's algorithm: up to k loopless paths ordered by hop count, the first being the shortest
+function kShortestPaths(graph, sourceId, targetId, { k = 1, directed = true } = {}) {
+  const adjacency = buildAdjacency(graph, directed);
+  const first = shortestPathBfs(adjacency, sourceId, targetId);
+  if (!first) return [];
+
+  const accepted = [first];
+  const candidates = [];
+  const seen = new Set([pathSignature(first)]);
+
+  while (accepted.length < k) {
+    const previousPath = accepted[accepted.length - 1];
+
+    for (let i = 0; i < previousPath.steps.length; i++) {
+      const spurNode = previousPath.nodes[i];
+      const rootNodes = previousPath.nodes.slice(0, i + 1);
+      const rootSteps = previousPath.steps.slice(0, i);
+      const rootSignature = pathSignature({ steps: rootSteps });
+
+      // Block the next edge of every accepted path that shares this root
+      const blockedEdges = new Set();
+      accepted.forEach((path) => {
+        if (path.steps.length > i && pathSignature({ steps: path.steps.slice(0, i) }) === rootSignature) {
+          blockedEdges.add(path.steps[i].edgeIndex);
+        }
+      });
+      const blockedNodes = new Set(rootNodes.slice(0, -1));
+
+      const spurPath = shortestPathBfs(adjacency, spurNode, targetId, blockedNodes, blockedEdges);
+      if (!spurPath) continue;
+
+      const candidate = {
+        nodes: [...rootNodes.slice(0, -1), ...spurPath.nodes],
+        steps: [...rootSteps, ...spurPath.steps],
+      };
+      const signature = pathSignature(candidate);
+      if (!seen.has(signature)) {
+        seen.add(signature);
+        candidates.push(candidate);
+      }
+    }
+
+    if (!candidates.length) break;
+    candidates.sort((a, b) => a.steps.length - b.steps.length);
+    accepted.push(candidates.shift());
+  }
+
+  return accepted;
+}
+
+// Weakly connected components. Returns Map<nodeId, componentIndex>, largest component first.
+function connectedComponents(graph) {
+  const adjacency = buildAdjacency(graph, false);
+  const groups = [];
+  const seen = new Set();
+
+  graph.nodes.forEach((node) => {
+    if (seen.has(node.id)) return;
+    const members = [node.id];
+    seen.add(node.id);
+    for (let head = 0; head < members.length; head++) {
+      adjacency.get(members[head]).forEach(({ to }) => {
+        if (!seen.has(to)) {
+          seen.add(to);
+          members.push(to);
+        }
+      });
+    }
+    groups.push(members);
+  });
+
+  return groupsToAssignment(groups);
+}
+
+function groupsToAssignment(groups) {
+  const assignment = new Map();
+  groups
+    .sort((a, b) => b.length - a.length)
+    .forEach((members, index) => members.forEach((id) => assignment.set(id, index)));
+  return assignment;
+}
+
+// Louvain modularity optimization on the undirected version of the graph. Parallel edges
+// add up and direction is ignored. Returns { assignment: Map<nodeId, community>, modularity }.
+function louvainCommunities(graph, { resolution = 1 } = {}) {
+  const ids = graph.nodes.map((node) => node.id);
+  const indexById = new Map(ids.map((id, index) => [id, index]));
+
+  // Current level: weighted adjacency between (super)nodes, self-loops included
+  let adjacency = ids.map(() => new Map());
+  graph.edges.forEach((edge) => {
+    const source = indexById.get(edgeEndpointId(edge.source));
+    const target = indexById.get(edgeEndpointId(edge.target));
+    if (source === undefined || target === undefined) return;
+    const weight = typeof edge.weight === 'number' && edge.weight > 0 ? edge.weight : 1;
+    adjacency[source].set(target, (adjacency[source].get(target) || 0) + weight);
+    if (source !== target) {
+      adjacency[target].set(source, (adjacency[target].get(source) || 0) + weight);
+    }
+  });
+
+  // membership[i] is the community of original node i
+  let membership = ids.map((_, index) => index);
+  const totalWeight = adjacency.reduce(
+    (sum, neighbors, node) =>
+      sum + [...neighbors].reduce((acc, [other, weight]) => acc + (other === node ? 2 * weight : weight), 0),
+    0,
+  );
+
+  if (totalWeight === 0) {
+    return { assignment: groupsToAssignment(ids.map((id) => [id])), modularity: 0 };
+  }
+
+  for (;;) {
+    const size = adjacency.length;
+    // Weighted degree; a self-loop counts twice as in the modularity definition
+    const degree = adjacency.map((neighbors, node) =>
+      [...neighbors].reduce((acc, [other, weight]) => acc + (other === node ? 2 * weight : weight), 0),
+    );
+    const community = adjacency.map((_, node) => node);
+    const communityTotal = [...degree];
+    let moved = false;
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (let node = 0; node < size; node++) {
+        const current = community[node];
+        communityTotal[current] -= degree[node];
+
+        const linksToCommunity = new Map();
+        adjacency[node].forEach((weight, other) => {
+          if (other === node) return;
+          const target = community[other];
+          linksToCommunity.set(target, (linksToCommunity.get(target) || 0) + weight);
+        });
+
+        const gain = (target) =>
+          (linksToCommunity.get(target) || 0) -
+          (resolution * communityTotal[target] * degree[node]) / totalWeight;
+        let best = current;
+        let bestGain = gain(current);
+        linksToCommunity.forEach((_, target) => {
+          const candidateGain = gain(target);
+          if (candidateGain > bestGain + 1e-12) {
+            best = target;
+            bestGain = candidateGain;
+          }
+        });
+
+        communityTotal[best] += degree[node];
+        if (best !== current) {
+          community[node] = best;
+          improved = true;
+          moved = true;
+        }
+      }
+    }
+
+    if (!moved) break;
+
+    // Aggregate each community into a single node and repeat on the smaller graph
+    const renumbered = new Map();
+    community.forEach((value) => {
+      if (!renumbered.has(value)) renumbered.set(value, renumbered.size);
+    });
+    const aggregated = Array.from({ length: renumbered.size }, () => new Map());
+    adjacency.forEach((neighbors, node) => {
+      const from = renumbered.get(community[node]);
+      neighbors.forEach((weight, other) => {
+        const to = renumbered.get(community[other]);
+        // Each undirected edge is seen from both ends, except self-loops
+        const contribution = other === node ? weight : weight / (from === to ? 2 : 1);
+        aggregated[from].set(to, (aggregated[from].get(to) || 0) + contribution);
+      });
+    });
+    membership = membership.map((value) => renumbered.get(community[value]));
+    adjacency = aggregated;
+  }
+
+  const groups = new Map();
+  membership.forEach((value, index) => {
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(ids[index]);
+  });
+  const assignment = groupsToAssignment([...groups.values()]);
+  return { assignment, modularity: modularity(graph, assignment, resolution) };
+}
+
+function modularity(graph, assignment, resolution = 1) {
+  let totalWeight = 0;
+  const internal = new Map();
+  const degree = new Map();
+
+  graph.edges.forEach((edge) => {
+    const source = edgeEndpointId(edge.source);
+    const target = edgeEndpointId(edge.target);
+    if (!assignment.has(source) || !assignment.has(target)) return;
+    const weight = typeof edge.weight === 'number' && edge.weight > 0 ? edge.weight : 1;
+    const sourceCommunity = assignment.get(source);
+    const targetCommunity = assignment.get(target);
+    totalWeight += weight;
+    degree.set(sourceCommunity, (degree.get(sourceCommunity) || 0) + weight);
+    degree.set(targetCommunity, (degree.get(targetCommunity) || 0) + weight);
+    if (sourceCommunity === targetCommunity) {
+      internal.set(sourceCommunity, (internal.get(sourceCommunity) || 0) + weight);
+    }
+  });
+
+  if (totalWeight === 0) return 0;
+  let q = 0;
+  degree.forEach((total, community) => {
+    q += (internal.get(community) || 0) / totalWeight - resolution * (total / (2 * totalWeight)) ** 2;
+  });
+  return q;
+}
@@ -2,9 +2,75 @@ const fileInput = document.getElementById('fileInput');
 const clearButton = document.getElementById('clearButton');
 const statusMessage = document.getElementById('statusMessage');
 const tooltip = document.getElementById('tooltip');
+const filesPanel = document.getElementById('filesPanel');
+const fileList = document.getElementById('fileList');
+const conflictsPanel = document.getElementById('conflictsPanel');
+const conflictList = document.getElementById('conflictList');
+
+const CONFLICT_RESOLUTIONS_KEY = 'knowledgeGraph.conflictResolutions';
+const SAVED_QUERIES_KEY = 'knowledgeGraph.savedQueries';
+const ENTITY_RESOLUTION_KEY = 'knowledgeGraph.entityResolution';
+// Fields that are compared between files when the same node id is merged
+const CONFLICT_FIELDS = ['name', 'description'];
+// Joins a node's types into one value when the types files give are compared
+const TYPE_SEPARATOR = ', ';
+// Numeric edge fields, combined with edgeCombineRule when several files give the same edge
+const EDGE_NUMBER_FIELDS = ['weight', 'confidence'];
+// Id of the workspace the session saves into, so a reload reopens it
+const ACTIVE_WORKSPACE_KEY = 'knowledgeGraph.activeWorkspace';
+// Most nodes the minimap draws
+const MINIMAP_NODE_LIMIT = 2000;
+// Positions of the timeline sliders, and the time between playback steps (one position each)
+const TIMELINE_STEPS = 100;
+const TIMELINE_PLAYBACK_MS = 300;
+// How long elements take to fade in or out when the graph changes
+const FADE_MS = 300;
+// Fields of merged nodes that the details panel shows elsewhere or that are internal
+const DETAILS_HIDDEN_FIELDS = new Set([
+  'id',
+  'name',
+  'description',
+  'type',
+  'types',
+  'aliases',
+  ...TIME_FIELDS,
+  ...METRIC_FIELDS,
+  'sources',
+  'provenance',
+  'conflicts',
+  'placeholder',
+  'community',
+  'component',
+  'schemaViolation',
+  'diff',
+  'diffChanges',
+  // Simulation state of rendered nodes
+  'x',
+  'y',
+  'vx',
+  'vy',
+  'fx',
+  'fy',
+  'index',
+  'group',
+]);
+// Relations listed per direction in the details panel before the list is cut short
+const DETAILS_RELATION_LIMIT = 100;
+// Node fills in compare mode; edges use the matching .link.diff-* rules in styles.css
+const DIFF_NODE_FILLS = {
+  added: '#16a34a',
+  removed: '#dc2626',
+  modified: '#ea580c',
+  unchanged: '#cbd5e1',
+};
+const DIFF_LABELS = { added: 'Added', removed: 'Removed', modified: 'Modified', unchanged: 'Unchanged' };
 
 let svg = null;
+let zoomBehavior = null;
 let currentGraph = { nodes: [], edges: [] };
+// The graph edits are checked against and replayed on: the visible files merged, or the newer
+// version when comparing, before the timeline and query narrow it to currentGraph
+let editedGraph = { nodes: [], edges: [] };
 let currentLayout = 'force';
 let forceStrength = -350;
 let currentSimulation = null;
@@ -13,6 +79,126 @@ let metricThreshold = 0;
 let colorByMetric = false;
 let sizeByMetric = false;
 let metricsCalculated = false;
+// Whether metrics count every parallel edge ('keep') or one per source and target ('collapse')
+let parallelEdgeMode = 'keep';
+// How weights and confidences of the same edge are combined: 'max', 'sum' or 'mean'
+let edgeCombineRule = 'max';
+// Edges with a confidence below this (0-1) are hidden; edges without one always show
+let confidenceThreshold = 0;
+// Timeline filter: 'all', 'date' (what is valid at timelineStart) or 'range' (what is valid
+// at some point from timelineStart to timelineEnd). Times are in milliseconds; null stands
+// for the earliest or latest date in the graph.
+let timelineMode = 'all';
+let timelineStart = null;
+let timelineEnd = null;
+// Earliest and latest date in the merged graph ({ min, max }), null when it has none
+let timelineExtent = null;
+// Interval of the running playback
+let timelinePlayback = null;
+// Metric calculation in progress ({ job, graph }), see requestMetrics
+let metricsJob = null;
+let colorByCommunity = false;
+let communityAlgorithm = 'louvain';
+// Communities of the current graph: { algorithm, modularity, componentCount, groups }
+let communitySummary = null;
+// Layered layout options: edge flow direction and the relations that define the hierarchy (null = all)
+let hierarchyOrientation = 'TB';
+let hierarchyRelations = null;
+// Per-relation edge color, dash and visibility, keyed by relation ('' for edges without one)
+let relationStyles = new Map();
+// Per-type node color, shape and visibility, keyed by the node's first type ('' for untyped nodes)
+let typeStyles = new Map();
+// Loaded type schema: { fileName, json, schema } with schema from parseTypeSchema, or null
+let typeSchema = null;
+let hideUnlinkedNodes = false;
+// Every uploaded file, kept unmerged so individual files can be hidden or removed
+let loadedFiles = [];
+// 'lenient' loads the valid parts of a file, 'strict' refuses files with errors
+let validationMode = 'lenient';
+// Validation report of the last upload of every file ({ fileName, mode, refused, errors, warnings }), by file name
+let validationReports = new Map();
+// Chosen values for conflicting node fields, keyed by `${nodeId}|${field}`. This and
+// entityResolution start as the choices remembered in this browser; an opened workspace
+// brings its own.
+let conflictResolutions = loadConflictResolutions();
+// Accepted duplicates (`aliases`: alias id → canonical id, applied to every file before
+// merging) and rejected ones (`rejected`: keys from duplicatePairKey)
+let entityResolution = loadEntityResolution();
+// Likely duplicates of the merged graph ({ keep, merge, score, reasons }) and what they were found for
+let duplicateSuggestions = [];
+let duplicateInputs = null;
+// Compare mode: the side ('before' or 'after') each file is on, whether the comparison is
+// shown and whether unchanged elements are hidden
+let compareGroups = new Map();
+let compareActive = false;
+let compareChangesOnly = false;
+// The merged sides of the comparison on screen ({ before, after, counts }), null without one
+let compareVersions = null;
+// Named pattern queries ({ name, text }), kept in the browser and in every workspace
+let savedQueries = loadSavedQueries();
+// Last query run: { text, variables, rows, truncated } where every row has `bindings`,
+// `nodeIds` and `edgeKeys`; activeQueryRow is the row highlighted (-1 for all of them)
+let queryResult = null;
+let activeQueryRow = -1;
+// A query result shown as the whole graph: { text, nodeIds, edgeKeys }, or null
+let queryView = null;
+// Ids of nodes selected by clicking (Shift+click adds to the selection)
+let selectedNodeIds = new Set();
+// Relations selected by clicking them, by edgeKey; the details panel shows the whole selection
+let selectedEdgeKeys = new Set();
+// Nodes on screen (positions persist across renders), by id, and the drawn edges with their keys
+let renderedNodes = [];
+let renderedNodeById = new Map();
+let renderedLinks = [];
+let renderedLinkKeys = new Set();
+// Layout (and its options) the current positions came from
+let renderedLayoutKey = null;
+// Timer animating nodes towards a static layout
+let layoutTransition = null;
+// Viewport size of the last render, used by the minimap and zoom commands
+let renderedSize = { width: 0, height: 0 };
+let minimapFrame = null;
+// 'auto' switches to the canvas renderer for large graphs; canvasActive tells which one is drawing
+let rendererMode = 'auto';
+let canvasActive = false;
+let canvasFrame = null;
+// Quadtrees for hit-testing on the canvas, rebuilt lazily after nodes move
+let canvasHitIndex = null;
+// Node or link under the pointer on the canvas
+let canvasHover = null;
+// Current search state: matching hits and the hit being shown
+let searchHits = [];
+let searchHitIndex = -1;
+// Nodes and edges emphasized by the search or path tools ({ kind, nodeIds, edgeKeys, ... })
+let highlightFocus = null;
+// Paths found by the path tool and the one currently highlighted
+let foundPaths = [];
+let activePathIndex = -1;
+
+// Applied graph edits, replayed by rebuildGraph, and the edits undone since the last new one
+let editHistory = [];
+let redoStack = [];
+let editMode = false;
+// Element shown in the edit form: { type: 'node', id }, { type: 'edge', key } or { type: 'new' }
+let editTarget = null;
+let lastEditRelation = 'related_to';
+// Line following the pointer while an edge is dragged out of a node
+let edgePreview = null;
+
+// Workspace the session is saved into ({ id, name, createdAt }), null until there is something to save
+let activeWorkspace = null;
+let knownWorkspaces = [];
+let workspaceSaveTimer = null;
+// Node positions restored from a workspace, applied by the next render
+let pendingPositions = null;
+
+// Web Workers by job kind ('metrics', 'layout'); see worker.js
+let backgroundWorkers = new Map();
+let backgroundJobCounter = 0;
+// Set once a worker failed to start; jobs then run on the main thread
+let workersUnavailable = false;
+// Progress of the running jobs by kind: { label, progress }
+let backgroundTasks = new Map();
 
 // Wait for D3 to load before initializing
 function waitForD3() {
@@ -45,13 +231,60 @@ waitForD3().then(() => {
     fileInput.addEventListener('change', handleFileUpload);
     clearButton.addEventListener('click', clearGraph);
 
+    // Pan and zoom. The transform lives on the <svg> element, so it survives re-renders.
+    zoomBehavior = d3
+      .zoom()
+      .scaleExtent([0.05, 8])
+      .on('zoom', (event) => {
+        svg.select('g.viewport').attr('transform', event.transform);
+        scheduleCanvasDraw();
+        scheduleMinimapUpdate();
+      })
+      .on('end', scheduleWorkspaceSave);
+    svg.call(zoomBehavior);
+    svg.on('click', (event) => {
+      const hit = canvasHitAt(event);
+      if (hit && hit.node) {
+        nodeClicked(event, hit.node);
+      } else if (hit) {
+        linkClicked(event, hit.link);
+      } else if (event.target === svg.node()) {
+        setSelection([]);
+      }
+    });
+
+    document.getElementById('zoomInButton').addEventListener('click', () => {
+      svg.transition().duration(250).call(zoomBehavior.scaleBy, 1.4);
+    });
+    document.getElementById('zoomOutButton').addEventListener('click', () => {
+      svg.transition().duration(250).call(zoomBehavior.scaleBy, 1 / 1.4);
+    });
+    document.getElementById('zoomFitButton').addEventListener('click', zoomToFit);
+    document.getElementById('zoomSelectionButton').addEventListener('click', zoomToSelection);
+    initMinimap();
+    initCanvasRenderer();
+    initSearch();
+    initPathFinder();
+    initQueryPanel();
+    initComparePanel();
+    initDetailsPanel();
+    initEditing();
+    initTimeline();
+    initWorkspaces();
+
+    document.getElementById('validationMode').addEventListener('change', (e) => {
+      validationMode = e.target.value;
+      scheduleWorkspaceSave();
+    });
+
     // Layout selector
     const layoutSelect = document.getElementById('layoutSelect');
     const forceStrengthSlider = document.getElementById('forceStrength');
     layoutSelect.addEventListener('change', (e) => {
       currentLayout = e.target.value;
       // Enable/disable force strength slider based on layout
-      forceStrengthSlider.disabled = currentLayout !== 'force';
+      forceStrengthSlider.disabled = !isSimulatedLayout();
+      hierarchyOptions.hidden = currentLayout !== 'hierarchical';
       if (currentGraph.nodes.length) {
         renderGraph(currentGraph);
       }
@@ -62,15 +295,35 @@ waitForD3().then(() => {
     forceStrengthSlider.addEventListener('input', (e) => {
       forceStrength = parseInt(e.target.value);
       forceStrengthValue.textContent = forceStrength;
-      if (currentGraph.nodes.length && currentSimulation && currentLayout === 'force') {
+      if (currentGraph.nodes.length && currentSimulation && isSimulatedLayout()) {
         // Update the force and reheat the simulation to see the effect
-        currentSimulation.force('charge', d3.forceManyBody().strength(forceStrength));
-        currentSimulation.alpha(0.3).restart();
+        currentSimulation.strength(forceStrength).alpha(0.3).restart();
       }
+      scheduleWorkspaceSave();
     });
 
     // Disable force strength slider for non-force layouts
-    forceStrengthSlider.disabled = currentLayout !== 'force';
+    forceStrengthSlider.disabled = !isSimulatedLayout();
+
+    // Hierarchical layout options
+    const hierarchyOptions = document.getElementById('hierarchyOptions');
+    hierarchyOptions.hidden = currentLayout !== 'hierarchical';
+    document.getElementById('hierarchyOrientation').addEventListener('change', (e) => {
+      hierarchyOrientation = e.target.value;
+      if (currentGraph.nodes.length) {
+        renderGraph(currentGraph);
+      }
+    });
+
+    // Relation legend
+    document.getElementById('hideUnlinkedNodes').addEventListener('change', (e) => {
+      hideUnlinkedNodes = e.target.checked;
+      renderVisibleGraph();
+    });
+    document.getElementById('relationShowAllButton').addEventListener('click', showAllRelations);
+    document.getElementById('typeShowAllButton').addEventListener('click', showAllTypes);
+    document.getElementById('typeSchemaInput').addEventListener('change', loadTypeSchemaFile);
+    document.getElementById('typeSchemaRemoveButton').addEventListener('click', removeTypeSchema);
 
     // Metric selector
     const metricSelect = document.getElementById('metricSelect');
@@ -78,8 +331,32 @@ waitForD3().then(() => {
       currentMetric = e.target.value;
       if (currentGraph.nodes.length && metricsCalculated) {
         updateMetricsStatus(currentGraph);
-        renderGraph(currentGraph);
+        updateNodeStyles();
+        applyHighlighting();
+      }
+      scheduleWorkspaceSave();
+    });
+
+    document.getElementById('parallelEdgeMode').addEventListener('change', (e) => {
+      parallelEdgeMode = e.target.value;
+      if (currentGraph.nodes.length) {
+        requestMetrics(currentGraph, currentGraph);
       }
+      scheduleWorkspaceSave();
+    });
+
+    document.getElementById('edgeCombineRule').addEventListener('change', (e) => {
+      edgeCombineRule = e.target.value;
+      rebuildGraph();
+      scheduleWorkspaceSave();
+    });
+
+    const confidenceThresholdValue = document.getElementById('confidenceThresholdValue');
+    document.getElementById('confidenceThreshold').addEventListener('input', (e) => {
+      confidenceThreshold = parseInt(e.target.value) / 100;
+      confidenceThresholdValue.textContent = e.target.value + '%';
+      renderVisibleGraph();
+      scheduleWorkspaceSave();
     });
 
     // Metric threshold slider
@@ -88,17 +365,43 @@ waitForD3().then(() => {
     metricThresholdSlider.addEventListener('input', (e) => {
       metricThreshold = parseInt(e.target.value) / 100;
       metricThresholdValue.textContent = e.target.value + '%';
-      if (currentGraph.nodes.length && metricsCalculated) {
-        renderGraph(currentGraph);
-      }
+      applyHighlighting();
+      scheduleWorkspaceSave();
     });
 
     // Color by metric checkbox
     const colorByMetricCheckbox = document.getElementById('colorByMetric');
     colorByMetricCheckbox.addEventListener('change', (e) => {
       colorByMetric = e.target.checked;
-      if (currentGraph.nodes.length && metricsCalculated) {
-        renderGraph(currentGraph);
+      // Metric and community coloring are mutually exclusive
+      if (colorByMetric && colorByCommunity) {
+        colorByCommunity = false;
+        colorByCommunityCheckbox.checked = false;
+      }
+      updateNodeStyles();
+      scheduleWorkspaceSave();
+    });
+
+    // Color by community checkbox
+    const colorByCommunityCheckbox = document.getElementById('colorByCommunity');
+    colorByCommunityCheckbox.addEventListener('change', (e) => {
+      colorByCommunity = e.target.checked;
+      if (colorByCommunity && colorByMetric) {
+        colorByMetric = false;
+        colorByMetricCheckbox.checked = false;
+      }
+      updateNodeStyles();
+      scheduleWorkspaceSave();
+    });
+
+    // Community algorithm selector
+    document.getElementById('communityAlgorithm').addEventListener('change', (e) => {
+      communityAlgorithm = e.target.value;
+      if (currentGraph.nodes.length) {
+        calculateCommunities(currentGraph);
+        renderCommunityPanel();
+        // New communities only move nodes when the layout is built from them
+        renderGraph(currentGraph, { relayout: currentLayout === 'clustered' });
       }
     });
 
@@ -106,14 +409,23 @@ waitForD3().then(() => {
     const sizeByMetricCheckbox = document.getElementById('sizeByMetric');
     sizeByMetricCheckbox.addEventListener('change', (e) => {
       sizeByMetric = e.target.checked;
-      if (currentGraph.nodes.length && metricsCalculated) {
-        renderGraph(currentGraph);
-      }
+      updateNodeStyles();
+      scheduleWorkspaceSave();
     });
 
+    // Export menu
+    document.querySelectorAll('[data-export]').forEach((button) => {
+      button.addEventListener('click', () => {
+        exportGraph(button.dataset.export);
+        button.closest('details').open = false;
+      });
+    });
+
+    // Resizing only changes the visible area; the layout stays where it is
     window.addEventListener('resize', () => {
       if (currentGraph.nodes.length) {
-        renderGraph(currentGraph);
+        updateViewportSize();
+        scheduleMinimapUpdate();
       }
     });
   }
@@ -133,221 +445,916 @@ async function handleFileUpload(event) {
   }
 
   try {
-    const contents = await Promise.all(files.map(readGraphFile));
-    // Merge new files with existing graph
-    const graphsToMerge = currentGraph.nodes.length > 0 ? [currentGraph, ...contents] : contents;
-    let mergedGraph = mergeGraphs(graphsToMerge);
-    // Calculate metrics
-    mergedGraph = calculateMetrics(mergedGraph);
-    currentGraph = mergedGraph;
-    renderGraph(mergedGraph);
-    statusMessage.textContent = `Loaded ${files.length} file${
-      files.length > 1 ? 's' : ''
+    const reports = await Promise.all(files.map(readGraphFile));
+    const refused = [];
+    reports.forEach((report, index) => {
+      const name = files[index].name;
+      const accepted = acceptsValidationReport(report, validationMode);
+      validationReports.set(name, {
+        fileName: name,
+        mode: validationMode,
+        refused: !accepted,
+        errors: report.errors,
+        warnings: report.warnings,
+      });
+      if (!accepted) {
+        refused.push(name);
+        return;
+      }
+      const entry = { name, graph: report.graph, visible: true };
+      // Re-uploading a file replaces its previous contribution
+      const existingIndex = loadedFiles.findIndex((file) => file.name === name);
+      if (existingIndex >= 0) {
+        loadedFiles[existingIndex] = entry;
+      } else {
+        loadedFiles.push(entry);
+      }
+    });
+    // Clear the file input so the same files can be uploaded again if needed
+    event.target.value = '';
+    const refusedNote = refused.length
+      ? `Refused ${refused.join(', ')} (see the validation report).`
+      : '';
+    if (refused.length === files.length) {
+      renderValidationPanel();
+      openValidationReport(reports);
+      statusMessage.textContent = refusedNote;
+      return;
+    }
+    const loadedCount = files.length - refused.length;
+    const mergedGraph = rebuildGraph();
+    openValidationReport(reports);
+    statusMessage.textContent = `Loaded ${loadedCount} file${
+      loadedCount > 1 ? 's' : ''
     }: ${mergedGraph.nodes.length} node${
       mergedGraph.nodes.length !== 1 ? 's' : ''
     } and ${mergedGraph.edges.length} relation${
       mergedGraph.edges.length !== 1 ? 's' : ''
-    }.`;
-    // Clear the file input so the same files can be uploaded again if needed
-    event.target.value = '';
+    }.${refusedNote ? ` ${refusedNote}` : ''}`;
   } catch (error) {
     console.error(error);
     statusMessage.textContent = `Error: ${error.message}`;
   }
 }
 
-function readGraphFile(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
+// Merge the visible files from scratch so every node and edge knows which files it came from
+function rebuildGraph() {
+  const visibleFiles = loadedFiles.filter((file) => file.visible);
+  // Accepted duplicates merge because their ids are rewritten before merging
+  const { files: resolvedFiles, aliasesById } = applyEntityAliases(visibleFiles, entityResolution.aliases);
+  const mergeOptions = { resolutions: conflictResolutions, combine: edgeCombineRule };
+  const merge = (files) => {
+    const graph = mergeGraphs(files, mergeOptions);
+    addEntityAliases(graph, aliasesById);
+    return graph;
+  };
+  const compared = compareActive ? compareFileGroups(resolvedFiles) : null;
+  let mergedGraph;
+  if (compared) {
+    // Edits are changes on top of the newest version
+    const before = merge(compared.before);
+    const after = applyGraphEdits(merge(compared.after), editHistory);
+    mergedGraph = diffGraphs(before, after);
+    compareVersions = { before, after, counts: diffCounts(mergedGraph) };
+    editedGraph = after;
+  } else {
+    compareVersions = null;
+    mergedGraph = applyGraphEdits(merge(resolvedFiles), editHistory);
+    editedGraph = mergedGraph;
+  }
+  updateDuplicateSuggestions(mergedGraph, visibleFiles);
+  // With a timeline filter the rest of the app, metrics included, sees only the snapshot
+  timelineExtent = graphTimeExtent(mergedGraph);
+  const range = timelineRange();
+  if (range) {
+    mergedGraph = filterGraphByTime(mergedGraph, range);
+  }
+  if (compareVersions && compareChangesOnly) {
+    mergedGraph = diffChangesGraph(mergedGraph);
+  }
+  if (queryView) {
+    mergedGraph = queryViewGraph(mergedGraph, queryView);
+  }
+  applyTypeSchema(mergedGraph);
+  if (mergedGraph.nodes.length) {
+    requestMetrics(mergedGraph, currentGraph);
+  } else {
+    cancelMetrics();
+  }
+  calculateCommunities(mergedGraph);
+  // A graph loaded into an empty canvas starts from the default view
+  if (!currentGraph.nodes.length) {
+    resetZoom();
+  }
+  currentGraph = mergedGraph;
+  const nodeIds = new Set(mergedGraph.nodes.map((node) => node.id));
+  selectedNodeIds = new Set([...selectedNodeIds].filter((id) => nodeIds.has(id)));
+  const edgeKeys = new Set(mergedGraph.edges.map(edgeKey));
+  selectedEdgeKeys = new Set([...selectedEdgeKeys].filter((key) => edgeKeys.has(key)));
+  if (mergedGraph.nodes.length) {
+    renderGraph(mergedGraph);
+  } else if (svg) {
+    clearRenderedGraph();
+    document.getElementById('metricsStatus').innerHTML = '';
+  }
+  renderFilesPanel();
+  renderComparePanel();
+  renderConflictsPanel(mergedGraph.conflicts);
+  renderDuplicatesPanel();
+  renderValidationPanel();
+  renderTimeline();
+  renderNodeOptions();
+  renderHierarchyRelations();
+  renderRelationLegend();
+  renderTypeLegend();
+  clearPaths();
+  clearQueryResult();
+  renderCommunityPanel();
+  renderEditPanel();
+  renderDetailsPanel();
+  scheduleWorkspaceSave();
+  return mergedGraph;
+}
 
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(reader.result);
-        validateGraph(data, file.name);
-        resolve(data);
-      } catch (error) {
-        reject(new Error(`Failed to parse ${file.name}: ${error.message}`));
-      }
-    };
+function renderFilesPanel() {
+  filesPanel.hidden = loadedFiles.length === 0;
+  fileList.innerHTML = '';
+
+  loadedFiles.forEach((file) => {
+    const item = document.createElement('li');
+    item.className = 'file-item';
+    item.classList.toggle('hidden-file', !file.visible);
+
+    const toggleLabel = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = file.visible;
+    checkbox.addEventListener('change', () => setFileVisibility(file.name, checkbox.checked));
+    toggleLabel.append(checkbox, ` ${file.name}`);
+
+    const counts = document.createElement('span');
+    counts.className = 'file-counts';
+    counts.textContent = `${file.graph.nodes.length} node${
+      file.graph.nodes.length !== 1 ? 's' : ''
+    }, ${file.graph.edges.length} relation${file.graph.edges.length !== 1 ? 's' : ''}`;
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'small-button';
+    removeButton.textContent = 'Remove';
+    removeButton.addEventListener('click', () => removeFile(file.name));
+
+    item.append(toggleLabel, counts, removeButton);
+    fileList.appendChild(item);
+  });
+}
+
+function setFileVisibility(name, visible) {
+  const file = loadedFiles.find((entry) => entry.name === name);
+  if (!file) return;
+  file.visible = visible;
+  const mergedGraph = rebuildGraph();
+  updateFilesStatus(mergedGraph);
+}
+
+function removeFile(name) {
+  loadedFiles = loadedFiles.filter((entry) => entry.name !== name);
+  validationReports.delete(name);
+  compareGroups.delete(name);
+  if (!loadedFiles.length) {
+    clearGraph();
+    return;
+  }
+  const mergedGraph = rebuildGraph();
+  updateFilesStatus(mergedGraph);
+}
 
+function updateFilesStatus(graph) {
+  const visibleCount = loadedFiles.filter((file) => file.visible).length;
+  statusMessage.textContent = `Showing ${visibleCount} of ${loadedFiles.length} file${
+    loadedFiles.length !== 1 ? 's' : ''
+  }: ${graph.nodes.length} node${graph.nodes.length !== 1 ? 's' : ''} and ${
+    graph.edges.length
+  } relation${graph.edges.length !== 1 ? 's' : ''}.`;
+}
+
+function readTextFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
     reader.onerror = () => reject(new Error(`Unable to read ${file.name}.`));
     reader.readAsText(file);
   });
 }
 
-function validateGraph(graph, fileName) {
-  if (!graph || typeof graph !== 'object') {
-    throw new Error(`Graph in ${fileName} must be an object.`);
+// Validation report of a file (see validateGraph); a file that cannot be parsed gets a
+// report with a single error
+async function readGraphFile(file) {
+  const text = await readTextFile(file);
+  let data;
+  try {
+    data = parseGraphText(text, file.name);
+  } catch (error) {
+    return { errors: [{ path: '$', message: `Failed to parse the file: ${error.message}` }], warnings: [], graph: null };
   }
+  return validateGraph(data);
+}
 
-  if (!Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
-    throw new Error(
-      `Graph in ${fileName} must include "nodes" and "edges" arrays.`,
-    );
+// Errors are worth a look even when the rest of the file loaded; warnings wait until asked for
+function openValidationReport(reports) {
+  if (reports.some((report) => report.errors.length)) {
+    document.getElementById('validationPanel').open = true;
   }
+}
 
-  graph.nodes.forEach((node, index) => {
-    if (!node || typeof node !== 'object' || !node.id) {
-      throw new Error(
-        `Node at index ${index} in ${fileName} must include an "id" field.`,
-      );
-    }
-  });
+// List every file whose last upload had errors or warnings
+function renderValidationPanel() {
+  const panel = document.getElementById('validationPanel');
+  const list = document.getElementById('validationList');
+  const reports = [...validationReports.values()].filter(
+    (report) => report.errors.length || report.warnings.length,
+  );
+  panel.hidden = reports.length === 0;
+  list.innerHTML = '';
 
-  graph.edges.forEach((edge, index) => {
-    if (!edge || typeof edge !== 'object' || !edge.source || !edge.target) {
-      throw new Error(
-        `Edge at index ${index} in ${fileName} must include "source" and "target" fields.`,
-      );
+  const errorCount = d3.sum(reports, (report) => report.errors.length);
+  const warningCount = d3.sum(reports, (report) => report.warnings.length);
+  document.getElementById('validationSummary').textContent = `${errorCount} error${
+    errorCount !== 1 ? 's' : ''
+  }, ${warningCount} warning${warningCount !== 1 ? 's' : ''}`;
+
+  reports.forEach((report) => {
+    let outcome = 'Loaded';
+    if (report.refused) {
+      outcome = report.mode === 'strict' ? 'Refused (strict mode)' : 'Refused';
+      if (loadedFiles.some((file) => file.name === report.fileName)) {
+        outcome += '; the earlier upload stays loaded';
+      }
+    } else if (report.errors.length) {
+      outcome = 'Loaded without the invalid items';
     }
+    const issues = [
+      ...report.errors.map((issue) => ({ ...issue, severity: 'error' })),
+      ...report.warnings.map((issue) => ({ ...issue, severity: 'warning' })),
+    ];
+    const item = document.createElement('li');
+    item.className = 'validation-file';
+    item.classList.toggle('refused', report.refused);
+    item.innerHTML = `<details${report.refused ? ' open' : ''}>
+        <summary><strong>${escapeHtml(report.fileName)}</strong>
+          <span class="panel-summary">${outcome} · ${report.errors.length} error${
+            report.errors.length !== 1 ? 's' : ''
+          }, ${report.warnings.length} warning${report.warnings.length !== 1 ? 's' : ''}</span></summary>
+        <ul class="validation-issues">
+          ${issues
+            .map(
+              (issue) => `<li class="validation-issue ${issue.severity}">
+                <span class="validation-severity">${issue.severity}</span>
+                <code>${escapeHtml(issue.path)}</code> ${escapeHtml(issue.message)}
+              </li>`,
+            )
+            .join('')}
+        </ul>
+      </details>`;
+    list.appendChild(item);
   });
 }
 
-function mergeGraphs(graphs) {
+// Merge uploaded files ({ name, graph }) into one graph, recording on every node and
+// edge which files contributed to it. Differing node names and descriptions are
+// reported as conflicts and settled with `options.resolutions` when one exists, and so
+// are differing node types (`type` or `types`, merged into a `types` list). Edge
+// weights and confidences given by several files are combined with `options.combine`
+// ('max', 'sum' or 'mean'; a summed confidence stops at 1), and validity periods are
+// joined (see mergedTimeFields).
+function mergeGraphs(files, options = {}) {
+  const resolutions = options.resolutions || {};
+  const combine = options.combine || 'max';
   const nodeMap = new Map();
   const edgeMap = new Map();
+  const candidates = new Map();
+  // Numbers every file gave for an edge field, by `${edgeKey}|${field}`
+  const edgeNumbers = new Map();
+  // Every file's version of each node and edge, for their time fields
+  const nodeVersions = new Map();
+  const edgeVersions = new Map();
+  const addVersion = (versions, key, element) => {
+    if (!versions.has(key)) {
+      versions.set(key, []);
+    }
+    versions.get(key).push(element);
+  };
 
-  graphs.forEach((graph) => {
+  files.forEach(({ name: fileName, graph }) => {
     graph.nodes.forEach((node) => {
+      CONFLICT_FIELDS.forEach((field) =>
+        recordCandidate(candidates, node.id, field, node[field], fileName),
+      );
+      const types = nodeTypes(node);
+      recordCandidate(candidates, node.id, 'type', types.join(TYPE_SEPARATOR), fileName);
+      addVersion(nodeVersions, node.id, node);
       const existing = nodeMap.get(node.id);
       if (!existing) {
-        nodeMap.set(node.id, { ...node });
+        const merged = {
+          ...node,
+          sources: [fileName],
+          provenance: {
+            name: node.name ? fileName : null,
+            description: node.description ? fileName : null,
+            type: types.length ? fileName : null,
+          },
+        };
+        delete merged.type;
+        delete merged.types;
+        if (types.length) merged.types = types;
+        nodeMap.set(node.id, merged);
       } else {
+        addSource(existing.sources, fileName);
         // Prefer the first non-empty description encountered.
         if (!existing.description && node.description) {
           existing.description = node.description;
+          existing.provenance.description = fileName;
         }
         if (!existing.name && node.name) {
           existing.name = node.name;
+          existing.provenance.name = fileName;
+        }
+        if (!existing.types && types.length) {
+          existing.types = types;
+          existing.provenance.type = fileName;
         }
       }
     });
 
     graph.edges.forEach((edge) => {
-      const key = `${edge.source}|${edge.target}|${edge.relation}`;
+      const key = edgeKey(edge);
+      const references = Array.isArray(edge.reference) ? edge.reference : [];
       if (!edgeMap.has(key)) {
         edgeMap.set(key, {
           source: edge.source,
           target: edge.target,
           relation: edge.relation,
-          reference: Array.isArray(edge.reference)
-            ? [...new Set(edge.reference)]
-            : [],
+          reference: [],
+          sources: [],
+          referenceSources: {},
         });
-      } else {
-        const existing = edgeMap.get(key);
-        const refs = new Set(existing.reference);
-        (Array.isArray(edge.reference) ? edge.reference : []).forEach((ref) =>
-          refs.add(ref),
-        );
-        existing.reference = [...refs];
       }
+      const existing = edgeMap.get(key);
+      addSource(existing.sources, fileName);
+      addVersion(edgeVersions, key, edge);
+      EDGE_NUMBER_FIELDS.forEach((field) => {
+        if (typeof edge[field] !== 'number') return;
+        const numberKey = `${key}|${field}`;
+        if (!edgeNumbers.has(numberKey)) {
+          edgeNumbers.set(numberKey, []);
+        }
+        edgeNumbers.get(numberKey).push(edge[field]);
+      });
+      references.forEach((ref) => {
+        if (!existing.reference.includes(ref)) {
+          existing.reference.push(ref);
+          existing.referenceSources[ref] = [];
+        }
+        addSource(existing.referenceSources[ref], fileName);
+      });
     });
   });
 
-  edgeMap.forEach((edge) => {
-    if (!nodeMap.has(edge.source)) {
-      nodeMap.set(edge.source, {
-        id: edge.source,
-        name: edge.source,
-        description: 'Placeholder node (no details provided).',
-      });
-    }
-    if (!nodeMap.has(edge.target)) {
-      nodeMap.set(edge.target, {
-        id: edge.target,
-        name: edge.target,
-        description: 'Placeholder node (no details provided).',
-      });
-    }
+  nodeMap.forEach((node, id) => {
+    TIME_FIELDS.forEach((field) => delete node[field]);
+    Object.assign(node, mergedTimeFields(nodeVersions.get(id)));
+  });
+  edgeMap.forEach((edge, key) => {
+    Object.assign(edge, mergedTimeFields(edgeVersions.get(key)));
+    EDGE_NUMBER_FIELDS.forEach((field) => {
+      const values = edgeNumbers.get(`${key}|${field}`);
+      if (!values) return;
+      const value = combineEdgeValues(values, combine);
+      edge[field] = field === 'confidence' ? Math.min(value, 1) : value;
+    });
+    [edge.source, edge.target].forEach((id) => {
+      if (!nodeMap.has(id)) {
+        nodeMap.set(id, {
+          id,
+          name: id,
+          description: 'Placeholder node (no details provided).',
+          placeholder: true,
+          sources: [],
+          provenance: { name: null, description: null, type: null },
+        });
+      }
+      const node = nodeMap.get(id);
+      if (node.placeholder) {
+        edge.sources.forEach((fileName) => addSource(node.sources, fileName));
+      }
+    });
   });
 
+  const conflicts = resolveConflicts(nodeMap, candidates, resolutions);
+
   const nodes = Array.from(nodeMap.values()).sort((a, b) =>
     (a.name || a.id || '').localeCompare(b.name || b.id || ''),
   );
   const edges = Array.from(edgeMap.values());
 
-  return { nodes, edges };
+  return { nodes, edges, conflicts };
 }
 
-function calculateMetrics(graph) {
-  // Check if Graphology is available
-  if (typeof graphology === 'undefined' || typeof graphologyMetrics === 'undefined') {
-    console.warn('Graphology not loaded. Metrics unavailable.');
-    return graph;
+function addSource(sources, fileName) {
+  if (!sources.includes(fileName)) {
+    sources.push(fileName);
+  }
+}
+
+function recordCandidate(candidates, nodeId, field, value, fileName) {
+  if (typeof value !== 'string' || !value.trim()) return;
+  const key = `${nodeId}|${field}`;
+  if (!candidates.has(key)) {
+    candidates.set(key, { nodeId, field, values: [] });
   }
+  const values = candidates.get(key).values;
+  const existing = values.find((candidate) => candidate.value === value);
+  if (existing) {
+    addSource(existing.sources, fileName);
+  } else {
+    values.push({ value, sources: [fileName] });
+  }
+}
+
+// Apply stored resolutions to the merged nodes and return every field with more than one value
+function resolveConflicts(nodeMap, candidates, resolutions) {
+  const conflicts = [];
+
+  candidates.forEach((candidate, key) => {
+    if (candidate.values.length < 2) return;
+
+    const node = nodeMap.get(candidate.nodeId);
+    const resolution = resolutions[key] || null;
+    const chosen = resolution && !resolution.keepAll
+      ? candidate.values.find((entry) => entry.value === resolution.value)
+      : null;
+
+    if (resolution && resolution.keepAll) {
+      if (candidate.field === 'type') {
+        // Keeping all types makes the node a member of every one of them
+        node.types = [...new Set(candidate.values.flatMap((entry) => entry.value.split(TYPE_SEPARATOR)))];
+      } else {
+        const separator = candidate.field === 'description' ? '\n\n' : ' / ';
+        node[candidate.field] = candidate.values.map((entry) => entry.value).join(separator);
+      }
+      node.provenance[candidate.field] = candidate.values
+        .flatMap((entry) => entry.sources)
+        .filter((fileName, index, all) => all.indexOf(fileName) === index)
+        .join(', ');
+    } else if (chosen) {
+      if (candidate.field === 'type') {
+        node.types = chosen.value.split(TYPE_SEPARATOR);
+      } else {
+        node[candidate.field] = chosen.value;
+      }
+      node.provenance[candidate.field] = chosen.sources[0];
+    }
+
+    node.conflicts = node.conflicts || [];
+    node.conflicts.push(candidate.field);
+    conflicts.push({
+      ...candidate,
+      key,
+      resolved: Boolean(resolution && (resolution.keepAll || chosen)),
+    });
+  });
+
+  return conflicts;
+}
+
+function loadConflictResolutions() {
+  try {
+    return JSON.parse(localStorage.getItem(CONFLICT_RESOLUTIONS_KEY)) || {};
+  } catch (error) {
+    console.warn('Unable to read stored conflict resolutions:', error);
+    return {};
+  }
+}
+
+function saveConflictResolutions(resolutions) {
+  try {
+    localStorage.setItem(CONFLICT_RESOLUTIONS_KEY, JSON.stringify(resolutions));
+  } catch (error) {
+    console.warn('Unable to store conflict resolutions:', error);
+  }
+}
+
+function loadEntityResolution() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ENTITY_RESOLUTION_KEY)) || {};
+    return { aliases: new Map(stored.aliases || []), rejected: new Set(stored.rejected || []) };
+  } catch (error) {
+    console.warn('Unable to read stored aliases:', error);
+    return { aliases: new Map(), rejected: new Set() };
+  }
+}
 
+function saveEntityResolution(resolution) {
   try {
-    // Create a directed graph
-    const g = new graphology.DirectedGraph();
+    localStorage.setItem(
+      ENTITY_RESOLUTION_KEY,
+      JSON.stringify({ aliases: [...resolution.aliases], rejected: [...resolution.rejected] }),
+    );
+  } catch (error) {
+    console.warn('Unable to store aliases:', error);
+  }
+}
+
+// Suggestions only depend on the files, the edits and the choices made about earlier ones,
+// so timeline steps and filters reuse them
+function updateDuplicateSuggestions(graph, files) {
+  const inputs = [editHistory.length, compareActive, ...files];
+  if (
+    duplicateInputs &&
+    duplicateInputs.length === inputs.length &&
+    duplicateInputs.every((input, index) => input === inputs[index])
+  ) {
+    return;
+  }
+  duplicateInputs = inputs;
+  duplicateSuggestions = findDuplicateEntities(graph, entityResolution.rejected);
+}
 
-    // Add nodes
-    graph.nodes.forEach(node => {
-      g.addNode(node.id, { ...node });
+// Make `merge` an alias of `keep`: every file's `merge` node and edges become `keep`'s
+function acceptDuplicate(keep, merge) {
+  changeEntityResolution(({ aliases }) => {
+    aliases.set(merge, keep);
+    // Aliases of the merged id now lead to the canonical one
+    aliases.forEach((canonical, alias) => {
+      if (canonical === merge) aliases.set(alias, keep);
     });
+  });
+  rebuildGraph();
+  statusMessage.textContent = `Merged "${merge}" into "${keep}".`;
+}
+
+function rejectDuplicate(a, b) {
+  const key = duplicatePairKey(a, b);
+  changeEntityResolution(({ rejected }) => rejected.add(key));
+  duplicateSuggestions = duplicateSuggestions.filter(
+    (suggestion) => duplicatePairKey(suggestion.keep, suggestion.merge) !== key,
+  );
+  renderDuplicatesPanel();
+  scheduleWorkspaceSave();
+}
 
-    // Add edges
-    graph.edges.forEach(edge => {
-      const source = typeof edge.source === 'object' ? edge.source.id : edge.source;
-      const target = typeof edge.target === 'object' ? edge.target.id : edge.target;
+function removeAlias(alias) {
+  changeEntityResolution(({ aliases }) => aliases.delete(alias));
+  rebuildGraph();
+  statusMessage.textContent = `"${alias}" is a node of its own again.`;
+}
 
-      if (g.hasNode(source) && g.hasNode(target) && !g.hasEdge(source, target)) {
-        g.addEdge(source, target, { ...edge });
-      }
+// Apply `change` to the aliases in use, which may be an opened workspace's, and to the ones
+// this browser remembers for new workspaces. Changed aliases change the merged graph, so the
+// suggestions are found again.
+function changeEntityResolution(change) {
+  change(entityResolution);
+  const stored = loadEntityResolution();
+  change(stored);
+  saveEntityResolution(stored);
+  duplicateInputs = null;
+}
+
+function renderDuplicatesPanel() {
+  const panel = document.getElementById('duplicatesPanel');
+  const list = document.getElementById('duplicateList');
+  const aliasList = document.getElementById('aliasList');
+  const nodeIds = new Set(currentGraph.nodes.map((node) => node.id));
+  // Suggestions for nodes hidden by the timeline or a filter wait until they are back
+  const suggestions = duplicateSuggestions.filter(
+    (suggestion) => nodeIds.has(suggestion.keep) && nodeIds.has(suggestion.merge),
+  );
+  // Only aliases that occur in the loaded files; the others wait for the files they belong to
+  const loadedIds = new Set(
+    loadedFiles.flatMap(({ graph }) => [
+      ...graph.nodes.map((node) => node.id),
+      ...graph.edges.flatMap((edge) => [edgeEndpointId(edge.source), edgeEndpointId(edge.target)]),
+    ]),
+  );
+  const aliases = [...entityResolution.aliases].filter(([alias]) => loadedIds.has(alias));
+  panel.hidden = !suggestions.length && !aliases.length;
+  document.getElementById('duplicatesSummary').textContent = `${suggestions.length} suggestion${
+    suggestions.length !== 1 ? 's' : ''
+  }, ${aliases.length} alias${aliases.length !== 1 ? 'es' : ''}`;
+
+  list.innerHTML = '';
+  suggestions.forEach(({ keep, merge, score, reasons }) => {
+    const item = document.createElement('li');
+    item.className = 'duplicate-item';
+    item.innerHTML = `<button type="button" class="duplicate-pair" title="Select both nodes">
+        <strong>${escapeHtml(nodeLabel(keep))}</strong> ⇄ <strong>${escapeHtml(nodeLabel(merge))}</strong>
+        <span class="duplicate-score">${Math.round(score * 100)}%</span>
+      </button>
+      <div class="duplicate-reasons">${reasons.map(escapeHtml).join(' · ')}</div>
+      <div class="duplicate-actions">
+        <select aria-label="Node to keep">
+          <option value="${escapeHtml(keep)}">Keep ${escapeHtml(keep)}</option>
+          <option value="${escapeHtml(merge)}">Keep ${escapeHtml(merge)}</option>
+        </select>
+        <button type="button" class="small-button" data-action="merge">Merge</button>
+        <button type="button" class="small-button" data-action="reject">Not a duplicate</button>
+      </div>`;
+    item.querySelector('.duplicate-pair').addEventListener('click', () => {
+      setSelection([keep, merge]);
+      zoomToSelection();
     });
+    item.querySelector('[data-action="merge"]').addEventListener('click', () => {
+      const kept = item.querySelector('select').value;
+      acceptDuplicate(kept, kept === keep ? merge : keep);
+    });
+    item.querySelector('[data-action="reject"]').addEventListener('click', () => rejectDuplicate(keep, merge));
+    list.appendChild(item);
+  });
+
+  aliasList.innerHTML = '';
+  aliases.forEach(([alias, canonical]) => {
+    const item = document.createElement('li');
+    item.className = 'alias-item';
+    item.innerHTML = `<span><code>${escapeHtml(alias)}</code> → <code>${escapeHtml(
+      canonicalEntityId(entityResolution.aliases, canonical),
+    )}</code></span>
+      <button type="button" class="small-button">Undo</button>`;
+    item.querySelector('button').addEventListener('click', () => removeAlias(alias));
+    aliasList.appendChild(item);
+  });
+  document.getElementById('aliasHeading').hidden = !aliases.length;
+}
 
-    // Calculate metrics
-    const pageRank = graphologyMetrics.centrality.pagerank(g, { alpha: 0.85, tolerance: 0.0001 });
-    const betweenness = graphologyMetrics.centrality.betweenness(g);
-    const closeness = graphologyMetrics.centrality.closeness(g);
+function renderConflictsPanel(conflicts = []) {
+  conflictsPanel.hidden = conflicts.length === 0;
+  conflictList.innerHTML = '';
 
-    // Normalize metrics to 0-1 range
-    const normalize = (values) => {
-      const vals = Object.values(values);
-      const min = Math.min(...vals);
-      const max = Math.max(...vals);
-      const range = max - min;
-      if (range === 0) return values;
-      const normalized = {};
-      Object.keys(values).forEach(key => {
-        normalized[key] = (values[key] - min) / range;
-      });
-      return normalized;
-    };
+  const unresolved = conflicts.filter((conflict) => !conflict.resolved).length;
+  document.getElementById('conflictSummary').textContent = `${conflicts.length} conflict${
+    conflicts.length !== 1 ? 's' : ''
+  }, ${unresolved} unresolved`;
+
+  conflicts.forEach((conflict) => {
+    const resolution = conflictResolutions[conflict.key];
+    const item = document.createElement('li');
+    item.className = 'conflict-item';
+    item.classList.toggle('resolved', conflict.resolved);
 
-    const normalizedPageRank = normalize(pageRank);
-    const normalizedBetweenness = normalize(betweenness);
-    const normalizedCloseness = normalize(closeness);
+    const heading = document.createElement('div');
+    heading.className = 'conflict-heading';
+    heading.innerHTML = `<strong>${escapeHtml(conflict.nodeId)}</strong> · ${escapeHtml(conflict.field)}`;
+    item.appendChild(heading);
 
-    // Calculate max degree for normalization
-    let maxDegree = 0;
-    graph.nodes.forEach(node => {
-      const degree = g.degree(node.id);
-      if (degree > maxDegree) maxDegree = degree;
+    const groupName = `conflict-${conflict.key}`;
+    conflict.values.forEach((entry) => {
+      const checked = Boolean(resolution && !resolution.keepAll && resolution.value === entry.value);
+      item.appendChild(
+        createConflictOption(groupName, checked, entry.value, entry.sources.join(', '), () =>
+          setConflictResolution(conflict.key, { value: entry.value }),
+        ),
+      );
     });
+    item.appendChild(
+      createConflictOption(groupName, Boolean(resolution && resolution.keepAll), 'Keep all values', '', () =>
+        setConflictResolution(conflict.key, { keepAll: true }),
+      ),
+    );
+
+    if (resolution) {
+      const resetButton = document.createElement('button');
+      resetButton.type = 'button';
+      resetButton.className = 'small-button';
+      resetButton.textContent = 'Reset';
+      resetButton.addEventListener('click', () => setConflictResolution(conflict.key, null));
+      item.appendChild(resetButton);
+    }
 
-    // Attach metrics to nodes
-    graph.nodes.forEach(node => {
-      const degree = g.degree(node.id);
-      node.degree = degree;
-      node.inDegree = g.inDegree(node.id);
-      node.outDegree = g.outDegree(node.id);
-      node.normalizedDegree = maxDegree > 0 ? degree / maxDegree : 0;
-      node.pagerank = normalizedPageRank[node.id] || 0;
-      node.betweenness = normalizedBetweenness[node.id] || 0;
-      node.closeness = normalizedCloseness[node.id] || 0;
+    conflictList.appendChild(item);
+  });
+}
+
+function createConflictOption(groupName, checked, value, sourceLabel, onSelect) {
+  const label = document.createElement('label');
+  label.className = 'conflict-option';
+  const radio = document.createElement('input');
+  radio.type = 'radio';
+  radio.name = groupName;
+  radio.checked = checked;
+  radio.addEventListener('change', onSelect);
+  const valueEl = document.createElement('span');
+  valueEl.className = 'conflict-value';
+  valueEl.textContent = value;
+  label.append(radio, valueEl);
+  if (sourceLabel) {
+    const sourceEl = document.createElement('span');
+    sourceEl.className = 'conflict-source';
+    sourceEl.textContent = sourceLabel;
+    label.appendChild(sourceEl);
+  }
+  return label;
+}
+
+// The choice applies to the resolutions in use, which may be an opened workspace's, and to the
+// ones this browser remembers for new workspaces
+function setConflictResolution(key, resolution) {
+  const stored = loadConflictResolutions();
+  [conflictResolutions, stored].forEach((resolutions) => {
+    if (resolution) {
+      resolutions[key] = resolution;
+    } else {
+      delete resolutions[key];
+    }
+  });
+  saveConflictResolutions(stored);
+  rebuildGraph();
+}
+
+// Metrics are calculated in the metrics worker; results for a graph that has changed in the
+// meantime are discarded. Until they arrive nodes keep the values they had (new nodes start at zero).
+function requestMetrics(graph, previousGraph) {
+  const previous = new Map(previousGraph.nodes.map((node) => [node.id, node]));
+  graph.nodes.forEach((node) => {
+    const old = previous.get(node.id);
+    METRIC_FIELDS.forEach((field) => {
+      node[field] = old && typeof old[field] === 'number' ? old[field] : 0;
     });
+  });
 
-    metricsCalculated = true;
-    updateMetricsStatus(graph);
+  // The worker cannot be interrupted mid-calculation, so an outdated one is stopped
+  if (metricsJob) {
+    stopBackgroundWorker('metrics');
+  }
+  const job = ++backgroundJobCounter;
+  metricsJob = { job, graph };
+  setBackgroundTask('metrics', 'Calculating metrics', 0);
+  backgroundWorker('metrics').postMessage({
+    type: 'metrics',
+    job,
+    graph: {
+      nodes: graph.nodes.map((node) => ({ id: node.id })),
+      edges: graph.edges.map((edge) => ({
+        source: edgeEndpointId(edge.source),
+        target: edgeEndpointId(edge.target),
+        weight: edge.weight,
+      })),
+    },
+    parallelEdges: parallelEdgeMode,
+    combine: edgeCombineRule,
+  });
+}
 
-    console.log('Metrics calculated successfully');
-    return graph;
-  } catch (error) {
-    console.error('Error calculating metrics:', error);
-    metricsCalculated = false;
+function handleMetricsMessage(message) {
+  if (!metricsJob || message.job !== metricsJob.job) return;
+  const { graph } = metricsJob;
+  switch (message.type) {
+    case 'progress':
+      setBackgroundTask('metrics', `Calculating metrics: ${message.stage}`, message.done / message.total);
+      break;
+    case 'metrics':
+      metricsJob = null;
+      endBackgroundTask('metrics');
+      applyMetrics(graph, message.metrics);
+      break;
+    case 'error':
+      metricsJob = null;
+      endBackgroundTask('metrics');
+      console.warn(`Metrics unavailable: ${message.message}`);
+      metricsCalculated = false;
+      document.getElementById('metricsStatus').textContent = `Metrics unavailable: ${message.message}`;
+      updateNodeStyles();
+      applyHighlighting();
+      break;
+  }
+}
+
+function applyMetrics(graph, metrics) {
+  graph.nodes.forEach((node) => Object.assign(node, metrics[node.id]));
+  renderedNodes.forEach((node) => Object.assign(node, metrics[node.id]));
+  metricsCalculated = true;
+  updateMetricsStatus(graph);
+  renderCommunityPanel();
+  // The circular layout orders nodes by the metric
+  if (currentLayout === 'circular') {
+    renderGraph(graph, { relayout: true });
+  } else {
+    updateNodeStyles();
+    applyHighlighting();
+  }
+}
+
+// Returns whether a calculation was running
+function cancelMetrics() {
+  if (!metricsJob) return false;
+  metricsJob = null;
+  stopBackgroundWorker('metrics');
+  endBackgroundTask('metrics');
+  return true;
+}
+
+// Assign node.community (Louvain or connected components) and node.component
+function calculateCommunities(graph) {
+  if (!graph.nodes.length) {
+    communitySummary = null;
     return graph;
   }
+
+  const components = connectedComponents(graph);
+  let assignment = components;
+  let modularityScore;
+  if (communityAlgorithm === 'louvain') {
+    const result = louvainCommunities(graph);
+    assignment = result.assignment;
+    modularityScore = result.modularity;
+  } else {
+    modularityScore = modularity(graph, components);
+  }
+
+  const groups = [];
+  graph.nodes.forEach((node) => {
+    node.community = assignment.get(node.id);
+    node.component = components.get(node.id);
+    if (!groups[node.community]) {
+      groups[node.community] = { index: node.community, members: [] };
+    }
+    groups[node.community].members.push(node);
+  });
+
+  communitySummary = {
+    algorithm: communityAlgorithm,
+    modularity: modularityScore,
+    componentCount: new Set(components.values()).size,
+    groups,
+  };
+  return graph;
+}
+
+// Categorical colors for the first ten communities, golden-ratio hues after that
+function communityColor(index) {
+  if (index === undefined || index === null) return '#fff';
+  if (index < d3.schemeTableau10.length) return d3.schemeTableau10[index];
+  return d3.interpolateSinebow((index * 0.618033988749895) % 1);
+}
+
+function nodeCentrality(node) {
+  if (metricsCalculated) {
+    const metricKey = nodeMetricKey();
+    return node[metricKey] || 0;
+  }
+  return currentGraph.edges.filter(
+    (edge) => edgeEndpointId(edge.source) === node.id || edgeEndpointId(edge.target) === node.id,
+  ).length;
+}
+
+function renderCommunityPanel() {
+  const summaryEl = document.getElementById('communitySummary');
+  const list = document.getElementById('communityList');
+  list.innerHTML = '';
+
+  if (!communitySummary) {
+    summaryEl.textContent = 'Load a graph to detect communities.';
+    return;
+  }
+
+  const { groups, modularity: modularityScore, componentCount, algorithm } = communitySummary;
+  const [singular, plural] = algorithm === 'louvain'
+    ? ['community', 'communities']
+    : ['component', 'components'];
+  summaryEl.textContent = `${groups.length} ${groups.length === 1 ? singular : plural} · modularity ${modularityScore.toFixed(3)} · ${componentCount} connected component${
+    componentCount !== 1 ? 's' : ''
+  }`;
+
+  groups.forEach((group) => {
+    const central = [...group.members]
+      .sort((a, b) => nodeCentrality(b) - nodeCentrality(a))
+      .slice(0, 3)
+      .map((node) => node.name || node.id);
+    const item = document.createElement('li');
+    item.className = 'community-item';
+    item.innerHTML = `<span class="community-swatch" style="background: ${communityColor(group.index)}"></span>
+      <strong>${algorithm === 'louvain' ? 'Community' : 'Component'} ${group.index + 1}</strong>
+      <span class="community-size">${group.members.length} node${group.members.length !== 1 ? 's' : ''}</span>
+      <span class="community-members">${central.map(escapeHtml).join(', ')}</span>`;
+    item.addEventListener('click', () => focusCommunity(group.index));
+    list.appendChild(item);
+  });
+}
+
+// Highlight one community and zoom to it
+function focusCommunity(index) {
+  const nodeIds = new Set(
+    currentGraph.nodes.filter((node) => node.community === index).map((node) => node.id),
+  );
+  const edgeKeys = new Set(
+    currentGraph.edges
+      .filter((edge) => nodeIds.has(edgeEndpointId(edge.source)) && nodeIds.has(edgeEndpointId(edge.target)))
+      .map(edgeKey),
+  );
+  highlightFocus = { kind: 'community', nodeIds, edgeKeys, primaryNodeId: null, primaryEdgeKey: null };
+  applyHighlighting();
+  const nodes = renderedNodes.filter((node) => nodeIds.has(node.id));
+  if (nodes.length) {
+    zoomToNodes(nodes);
+  }
 }
 
 function updateMetricsStatus(graph) {
@@ -355,7 +1362,7 @@ function updateMetricsStatus(graph) {
   if (!metricsStatusEl || !metricsCalculated) return;
 
   // Get current metric values
-  const metricKey = currentMetric === 'degree' ? 'normalizedDegree' : currentMetric;
+  const metricKey = nodeMetricKey();
   const values = graph.nodes.map(n => n[metricKey] || 0);
   const min = Math.min(...values);
   const max = Math.max(...values);
@@ -366,423 +1373,3492 @@ function updateMetricsStatus(graph) {
   const top3 = sorted.slice(0, 3).map(n => `${n.name || n.id} (${((n[metricKey] || 0) * 100).toFixed(1)}%)`);
 
   metricsStatusEl.innerHTML = `
-    <strong>${currentMetric.charAt(0).toUpperCase() + currentMetric.slice(1)}:</strong>
+    <strong>${escapeHtml(metricLabel())}:</strong>
     Min: ${(min * 100).toFixed(1)}%, Max: ${(max * 100).toFixed(1)}%, Avg: ${(mean * 100).toFixed(1)}%
     | Top 3: ${top3.join(', ')}
   `;
 }
 
-function renderGraph(graph) {
+// The part of `graph` that is drawn. Nodes of hidden types are left out with their edges. So
+// are edges of hidden relations or below the confidence threshold, optionally with the nodes
+// they alone connected.
+function visibleGraph(graph) {
+  const typedNodes = graph.nodes.filter(nodeTypeVisible);
+  const typedNodeIds = new Set(typedNodes.map((node) => node.id));
+  const edges = graph.edges.filter(
+    (edge) =>
+      relationStyle(edge.relation).visible &&
+      !(typeof edge.confidence === 'number' && edge.confidence < confidenceThreshold) &&
+      typedNodeIds.has(edgeEndpointId(edge.source)) &&
+      typedNodeIds.has(edgeEndpointId(edge.target)),
+  );
+  let nodes = typedNodes;
+  if (hideUnlinkedNodes && edges.length < graph.edges.length) {
+    const endpoints = (list) => new Set(list.flatMap((edge) => [edgeEndpointId(edge.source), edgeEndpointId(edge.target)]));
+    const connected = endpoints(graph.edges);
+    const linked = endpoints(edges);
+    nodes = typedNodes.filter((node) => linked.has(node.id) || !connected.has(node.id));
+  }
+  return { ...graph, nodes, edges };
+}
+
+// Redraw after a control changed what visibleGraph keeps. Paths and query results were found
+// on the old subgraph and may use what is now hidden, so they are cleared.
+function renderVisibleGraph() {
+  if (!currentGraph.nodes.length) return;
+  clearPaths();
+  clearQueryResult();
+  renderGraph(currentGraph);
+  scheduleWorkspaceSave();
+}
+
+// Bring the SVG in line with `graph` through keyed joins. Nodes keep their positions
+// across calls; the layout only runs again when it changed (or `relayout` is set) or
+// when nodes and edges were added or removed. Styling lives in updateNodeStyles,
+// applyRelationStyles and applyHighlighting so controls can update it on its own.
+function renderGraph(graph, { relayout = false } = {}) {
   if (!svg) {
     return;
   }
 
-  hideTooltip();
-  svg.selectAll('*').remove();
-
-  const svgNode = svg.node();
-  const parentElement = svgNode.parentElement;
-  const width = parentElement.clientWidth || 900;
-  const height = parentElement.clientHeight || 600;
-  svg.attr('viewBox', `0 0 ${width} ${height}`)
-    .attr('preserveAspectRatio', 'xMidYMid meet');
+  const { width, height } = updateViewportSize();
+  const { defs, linkGroup, labelGroup, nodeGroup } = ensureGraphScaffold();
 
-  const defs = svg.append('defs');
+  // One arrowhead per relation so the marker matches the edge color
+  syncRelationStyles();
+  const markerIds = new Map([...relationStyles.keys()].map((relation, index) => [relation, `arrowhead-${index}`]));
   defs
-    .append('marker')
-    .attr('id', 'arrowhead')
-    .attr('viewBox', '-0 -5 10 10')
-    .attr('refX', 22)
-    .attr('refY', 0)
-    .attr('orient', 'auto')
-    .attr('markerWidth', 8)
-    .attr('markerHeight', 8)
-    .attr('xoverflow', 'visible')
-    .append('svg:path')
-    .attr('d', 'M 0,-5 L 10 ,0 L 0,5')
-    .attr('fill', 'rgba(79, 70, 229, 0.75)');
-
-  const linkGroup = svg.append('g').attr('class', 'links');
-  const labelGroup = svg.append('g').attr('class', 'labels');
-  const nodeGroup = svg.append('g').attr('class', 'nodes');
-
-  // Create node lookup map for link resolution (needs to be accessible in ticked())
-  const nodeMap = new Map();
-  const nodes = graph.nodes.map((node) => {
+    .selectAll('marker.relation-arrow')
+    .data([...relationStyles.keys()], (relation) => relation)
+    .join((enter) => {
+      const marker = enter
+        .append('marker')
+        .attr('class', 'relation-arrow')
+        .attr('viewBox', '-0 -5 10 10')
+        .attr('refX', 22)
+        .attr('refY', 0)
+        .attr('orient', 'auto')
+        // Sized in graph units so arrowheads do not grow with heavier edges
+        .attr('markerUnits', 'userSpaceOnUse')
+        .attr('markerWidth', 16)
+        .attr('markerHeight', 16)
+        .attr('xoverflow', 'visible');
+      marker.append('svg:path').attr('d', 'M 0,-5 L 10 ,0 L 0,5');
+      return marker;
+    })
+    .attr('id', (relation) => markerIds.get(relation));
+
+  const { nodes: visibleNodes, edges: visibleEdges } = visibleGraph(graph);
+
+  // Carry positions (and velocities) over from the previous render
+  const previous = renderedNodeById;
+  const firstRender = previous.size === 0;
+  const nodes = visibleNodes.map((node) => {
     const n = { ...node };
-    // Reset position properties to allow fresh layout calculation
-    delete n.x;
-    delete n.y;
-    delete n.vx;
-    delete n.vy;
-    delete n.fx;
-    delete n.fy;
-    nodeMap.set(n.id, n);
+    const old = previous.get(node.id);
+    if (old) {
+      ['x', 'y', 'vx', 'vy', 'fx', 'fy'].forEach((field) => {
+        n[field] = old[field];
+      });
+    }
     return n;
   });
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const links = visibleEdges.map((edge) => ({ ...edge }));
+  assignLinkCurves(links);
+  assignLinkWeights(links);
+  const linkKeys = new Set(links.map(edgeKey));
+  const addedNodes = nodes.filter((node) => !previous.has(node.id));
+  const structureChanged =
+    addedNodes.length > 0 ||
+    nodes.length !== previous.size ||
+    linkKeys.size !== renderedLinkKeys.size ||
+    [...linkKeys].some((key) => !renderedLinkKeys.has(key));
+
+  if (structureChanged) {
+    hideTooltip();
+  }
+  if (!firstRender) {
+    placeNewNodes(addedNodes, links, nodeById, width, height);
+  }
+
+  renderedNodes = nodes;
+  renderedNodeById = nodeById;
+  renderedLinks = links;
+  renderedLinkKeys = linkKeys;
+  canvasHitIndex = null;
+
+  // Large graphs are drawn on the canvas, which leaves the SVG layers empty
+  setCanvasActive(
+    rendererMode === 'canvas' ||
+      (rendererMode === 'auto' && nodes.length + links.length > CANVAS_ELEMENT_THRESHOLD),
+  );
+  const svgNodes = canvasActive ? [] : nodes;
+  const svgLinks = canvasActive ? [] : links;
+
+  linkGroup
+    .selectAll('path.link')
+    .data(svgLinks, edgeKey)
+    .join((enter) =>
+      enter
+        .append('path')
+        .attr('class', 'link')
+        .on('mouseenter', (event, d) =>
+          showTooltip(event, formatEdgeTooltip(d)),
+        )
+        .on('mousemove', updateTooltipPosition)
+        .on('mouseleave', hideTooltip)
+        .on('click', linkClicked),
+      cancelFadeOut,
+      fadeOutExit,
+    )
+    .attr('marker-end', (d) => `url(#${markerIds.get(d.relation || '')})`)
+    .style('--link-width', (d) => (d.strokeWidth === undefined ? null : `${d.strokeWidth}px`))
+    .style('--link-opacity', (d) => (d.strokeOpacity === undefined ? null : d.strokeOpacity));
+
+  const linkLabels = labelGroup
+    .selectAll('g.link-label-wrapper')
+    .data(svgLinks, edgeKey)
+    .join((enter) => {
+      const wrapper = enter
+        .append('g')
+        .attr('class', 'link-label-wrapper')
+        .style('pointer-events', 'auto')
+        .on('mouseenter', (event, d) =>
+          showTooltip(event, formatEdgeTooltip(d)),
+        )
+        .on('mousemove', updateTooltipPosition)
+        .on('mouseleave', hideTooltip)
+        .on('click', linkClicked);
+      wrapper
+        .append('rect')
+        .attr('class', 'link-label-bg')
+        .attr('rx', 6)
+        .attr('ry', 6)
+        .attr('fill', 'rgba(255, 255, 255, 0.85)')
+        .attr('stroke-opacity', 0.4)
+        .attr('stroke-width', 1);
+      wrapper
+        .append('text')
+        .attr('class', 'link-label')
+        .attr('text-anchor', 'middle')
+        .attr('alignment-baseline', 'middle');
+      return wrapper;
+    }, cancelFadeOut, fadeOutExit);
+  linkLabels.select('text').text((d) => d.relation || '');
+  // Labels only change with the data, so their backgrounds are sized here rather than on every tick
+  linkLabels.each(function () {
+    const wrapper = d3.select(this);
+    const bbox = wrapper.select('text').node().getBBox();
+    wrapper
+      .select('rect')
+      .attr('x', bbox.x - 6)
+      .attr('y', bbox.y - 3)
+      .attr('width', bbox.width + 12)
+      .attr('height', bbox.height + 6);
+  });
+
+  const node = nodeGroup
+    .selectAll('g.node')
+    .data(svgNodes, (d) => d.id)
+    .join((enter) => {
+      const group = enter
+        .append('g')
+        .attr('class', 'node')
+        .call(
+          d3
+            .drag()
+            .on('start', dragStarted)
+            .on('drag', dragged)
+            .on('end', dragEnded),
+        )
+        .on('mouseenter', (event, d) =>
+          showTooltip(event, formatNodeTooltip(d)),
+        )
+        .on('mousemove', updateTooltipPosition)
+        .on('mouseleave', hideTooltip)
+        .on('click', nodeClicked);
+      group.append('path').attr('class', 'node-shape').attr('stroke-width', 2);
+      group.append('text');
+      return group;
+    }, cancelFadeOut, fadeOutExit)
+    .classed('selected', (d) => selectedNodeIds.has(d.id))
+    .classed('violation', (d) => Boolean(d.schemaViolation))
+    .call(classedByDiff);
+  // select() hands the refreshed data down to the children
+  node.select('.node-shape');
+  node.select('text').text((d) => d.name || d.id);
+
+  updateNodeStyles();
+
+  // Layout
+  const layoutKey = [
+    currentLayout,
+    hierarchyOrientation,
+    hierarchyRelations ? [...hierarchyRelations].sort().join(',') : '*',
+  ].join('|');
+  const layoutChanged = relayout || layoutKey !== renderedLayoutKey;
+  const needsLayout = firstRender || layoutChanged || structureChanged;
+  renderedLayoutKey = layoutKey;
+
+  let restoredCount = 0;
+  const restorePositions = () => {
+    // Positions restored from a workspace take precedence over the computed layout
+    if (!pendingPositions) return;
+    nodes.forEach((d) => {
+      const position = pendingPositions.get(d.id);
+      if (position) {
+        d.x = position.x;
+        d.y = position.y;
+        restoredCount++;
+      }
+    });
+    pendingPositions = null;
+  };
+
+  if (needsLayout && layoutTransition) {
+    layoutTransition.stop();
+    layoutTransition = null;
+  }
+
+  if (!isSimulatedLayout()) {
+    if (currentSimulation) {
+      currentSimulation.stop();
+      currentSimulation = null;
+    }
+    const targets = staticLayoutPositions(nodes, links, width, height);
+    if (!needsLayout) {
+      updatePositions();
+    } else {
+      nodes.forEach((d) => {
+        d.fx = null;
+        d.fy = null;
+      });
+      if (firstRender || pendingPositions) {
+        nodes.forEach((d) => Object.assign(d, targets.get(d.id)));
+        restorePositions();
+        updatePositions();
+      } else {
+        animatePositions(targets);
+      }
+    }
+  } else {
+    const previousSimulation = currentSimulation;
+    let alpha = previousSimulation ? previousSimulation.alpha() : 0;
+    if (previousSimulation) {
+      previousSimulation.stop();
+    }
+    if (firstRender) {
+      initialPositions(nodes, width, height);
+      alpha = 1;
+    } else if (layoutChanged) {
+      alpha = 1;
+    } else if (structureChanged) {
+      alpha = Math.max(alpha, 0.3);
+    }
+    restorePositions();
+    // A fully restored arrangement is shown as saved; the simulation only runs again on drag
+    if (restoredCount && restoredCount === nodes.length) {
+      alpha = 0;
+    }
+    currentSimulation = createSimulation(nodes, links, width, height).alpha(alpha);
+    if (alpha >= currentSimulation.alphaMin()) {
+      currentSimulation.restart();
+    } else {
+      currentSimulation.stop();
+      updatePositions();
+    }
+  }
+
+  svg
+    .selectAll('path.link')
+    .classed('reversed', (d) => Boolean(d.reversed))
+    .classed('secondary', (d) => Boolean(d.secondary))
+    .classed('violation', (d) => Boolean(d.schemaViolation))
+    .classed('selected', (d) => selectedEdgeKeys.has(edgeKey(d)))
+    .call(classedByDiff);
+  svg
+    .selectAll('g.link-label-wrapper')
+    .classed('violation', (d) => Boolean(d.schemaViolation))
+    .classed('selected', (d) => selectedEdgeKeys.has(edgeKey(d)))
+    .call(classedByDiff);
+  applyRelationStyles();
+
+  // Apply metric-based filtering and any search highlight
+  applyHighlighting();
+  scheduleWorkspaceSave();
+}
+
+// diff-added, diff-removed, diff-modified and diff-unchanged classes in compare mode
+function classedByDiff(selection) {
+  DIFF_STATUSES.forEach((status) => selection.classed(`diff-${status}`, (d) => d.diff === status));
+}
+
+// Elements that leave the graph (for example as the timeline moves on) fade out before they
+// are removed. New elements fade in through the fade-in animation in styles.css.
+function fadeOutExit(exit) {
+  exit.classed('exiting', true).transition('fade').duration(FADE_MS).style('opacity', 0).remove();
+}
+
+// Elements that come back while fading out are kept
+function cancelFadeOut(update) {
+  update.filter('.exiting').interrupt('fade').classed('exiting', false).style('opacity', null);
+  return update;
+}
+
+// Defs and the zoomable viewport with its layers are created once and reused
+function ensureGraphScaffold() {
+  let viewport = svg.select('g.viewport');
+  if (viewport.empty()) {
+    svg.append('defs');
+    // Everything that pans and zooms lives inside the viewport group
+    viewport = svg
+      .append('g')
+      .attr('class', 'viewport')
+      .attr('transform', d3.zoomTransform(svg.node()));
+    viewport.append('g').attr('class', 'links');
+    viewport.append('g').attr('class', 'labels');
+    viewport.append('g').attr('class', 'nodes');
+  }
+  return {
+    defs: svg.select('defs'),
+    viewport,
+    linkGroup: viewport.select('g.links'),
+    labelGroup: viewport.select('g.labels'),
+    nodeGroup: viewport.select('g.nodes'),
+  };
+}
+
+// Match the viewBox to the container; nodes keep their graph coordinates
+function updateViewportSize() {
+  const parentElement = svg.node().parentElement;
+  const width = parentElement.clientWidth || 900;
+  const height = parentElement.clientHeight || 600;
+  svg.attr('viewBox', `0 0 ${width} ${height}`)
+    .attr('preserveAspectRatio', 'xMidYMid meet');
+  renderedSize = { width, height };
+  scheduleCanvasDraw();
+  return { width, height };
+}
+
+// Remove everything drawn so the next render starts from scratch
+function clearRenderedGraph() {
+  if (currentSimulation) {
+    currentSimulation.stop();
+    currentSimulation = null;
+  }
+  if (layoutTransition) {
+    layoutTransition.stop();
+    layoutTransition = null;
+  }
+  renderedNodes = [];
+  renderedNodeById = new Map();
+  renderedLinks = [];
+  renderedLinkKeys = new Set();
+  canvasHitIndex = null;
+  renderedLayoutKey = null;
+  if (svg) {
+    svg.selectAll('*').remove();
+    setCanvasActive(false);
+  }
+  updateMinimap();
+}
+
+function nodeMetricKey() {
+  return currentMetric === 'degree' ? 'normalizedDegree' : currentMetric;
+}
+
+// The name of the current metric as shown in the metric select
+function metricLabel() {
+  const option = document.querySelector(`#metricSelect option[value="${currentMetric}"]`);
+  return option ? option.textContent : currentMetric;
+}
+
+function nodeRadius(d) {
+  if (!sizeByMetric || !metricsCalculated) return 22;
+  // Map metric value to radius 10-40
+  return 10 + (d[nodeMetricKey()] || 0) * 30;
+}
+
+// In compare mode nodes are colored by what changed; otherwise community and metric
+// coloring take precedence over the color of the node's type
+function nodeFill(d) {
+  if (compareVersions) return DIFF_NODE_FILLS[d.diff] || DIFF_NODE_FILLS.unchanged;
+  if (colorByCommunity) return communityColor(d.community);
+  if (!colorByMetric || !metricsCalculated) return typeStyle(primaryNodeType(d)).color;
+  // Viridis keeps low and high values distinguishable
+  return d3.interpolateViridis(d[nodeMetricKey()] || 0);
+}
+
+// Radius and fill follow the metric, color and size controls; the shape follows the type
+function updateNodeStyles() {
+  if (!svg) return;
+  svg
+    .selectAll('g.node .node-shape')
+    .attr('d', (d) => nodeShapePath(typeStyle(primaryNodeType(d)).shape, nodeRadius(d)))
+    .attr('fill', nodeFill);
+  // Hit-testing depends on the radii
+  canvasHitIndex = null;
+  scheduleCanvasDraw();
+}
+
+// Stroke width (1-6px across the range of visible weights) and opacity (from the confidence)
+// of every link; links without the field, or weights that are all equal, keep the default
+function assignLinkWeights(links) {
+  const [minWeight, maxWeight] = d3.extent(
+    links.filter((link) => typeof link.weight === 'number'),
+    (link) => link.weight,
+  );
+  links.forEach((link) => {
+    link.strokeWidth =
+      typeof link.weight === 'number' && maxWeight > minWeight
+        ? Math.round((1 + (5 * (link.weight - minWeight)) / (maxWeight - minWeight)) * 2) / 2
+        : undefined;
+    link.strokeOpacity =
+      typeof link.confidence === 'number' ? Math.round((0.15 + 0.75 * link.confidence) * 20) / 20 : undefined;
+  });
+}
+
+// New nodes start next to the neighbors they already have on screen, or in the middle of the view
+function placeNewNodes(addedNodes, links, nodeById, width, height) {
+  if (!addedNodes.length) return;
+  const added = new Set(addedNodes.map((node) => node.id));
+  const [centerX, centerY] = d3.zoomTransform(svg.node()).invert([width / 2, height / 2]);
+  addedNodes.forEach((node) => {
+    const neighbors = [];
+    links.forEach((link) => {
+      const source = edgeEndpointId(link.source);
+      const target = edgeEndpointId(link.target);
+      const other = source === node.id ? target : target === node.id ? source : null;
+      if (other && !added.has(other) && nodeById.has(other)) {
+        neighbors.push(nodeById.get(other));
+      }
+    });
+    const anchor = neighbors.length
+      ? { x: d3.mean(neighbors, (d) => d.x), y: d3.mean(neighbors, (d) => d.y) }
+      : { x: centerX, y: centerY };
+    node.x = anchor.x + (Math.random() - 0.5) * 80;
+    node.y = anchor.y + (Math.random() - 0.5) * 80;
+  });
+}
+
+// Starting positions for the simulated layouts when nothing is on screen yet
+function initialPositions(nodes, width, height) {
+  if (currentLayout === 'clustered' || currentLayout === 'typed') {
+    // Start every node near its group's center
+    const centers = clusterCenters(nodes, width, height);
+    nodes.forEach((d) => {
+      const center = centers.get(clusterKey(d)) || { x: width / 2, y: height / 2 };
+      d.x = center.x + (Math.random() - 0.5) * 60;
+      d.y = center.y + (Math.random() - 0.5) * 60;
+    });
+  } else {
+    // Force layout - center position + small random offset
+    nodes.forEach((d) => {
+      d.x = width / 2 + (Math.random() - 0.5) * 100;
+      d.y = height / 2 + (Math.random() - 0.5) * 100;
+    });
+  }
+}
+
+// Target positions of the circular and hierarchical layouts (Map<nodeId, {x, y}>)
+function staticLayoutPositions(nodes, links, width, height) {
+  const positions = new Map();
+  if (!nodes.length) return positions;
+
+  if (currentLayout === 'circular') {
+    const radius = Math.min(width, height) / 3;
+    // Sort by metric if metrics are available
+    let sortedNodes = nodes;
+    if (metricsCalculated) {
+      const metricKey = nodeMetricKey();
+      sortedNodes = [...nodes].sort((a, b) => (b[metricKey] || 0) - (a[metricKey] || 0));
+    }
+    sortedNodes.forEach((d, i) => {
+      const angle = (i / sortedNodes.length) * 2 * Math.PI;
+      positions.set(d.id, {
+        x: width / 2 + radius * Math.cos(angle),
+        y: height / 2 + radius * Math.sin(angle),
+      });
+    });
+    return positions;
+  }
+
+  // Layered DAG layout driven by edge direction
+  const vertical = hierarchyOrientation === 'TB' || hierarchyOrientation === 'BT';
+  const layout = layeredLayout(
+    { nodes, edges: links },
+    {
+      orientation: hierarchyOrientation,
+      relations: hierarchyRelations,
+      nodeSpacing: vertical ? 140 : 80,
+      layerSpacing: vertical ? 120 : 220,
+    },
+  );
+  const computed = [...layout.positions.values()];
+  const offsetX = width / 2 - (d3.min(computed, (p) => p.x) + d3.max(computed, (p) => p.x)) / 2;
+  const offsetY = height / 2 - (d3.min(computed, (p) => p.y) + d3.max(computed, (p) => p.y)) / 2;
+  layout.positions.forEach((position, id) => {
+    positions.set(id, { x: position.x + offsetX, y: position.y + offsetY });
+  });
+  // Edges reversed to break cycles go against the hierarchy; others don't define it
+  links.forEach((l, index) => {
+    l.reversed = layout.reversedEdges.has(index);
+    l.secondary = !layout.hierarchyEdges.has(index);
+  });
+  return positions;
+}
+
+// The force layout runs in the layout worker. The handle offers the part of the
+// d3.forceSimulation interface the app uses; positions stream back into `nodes`.
+function createSimulation(nodes, links, width, height) {
+  const job = ++backgroundJobCounter;
+  const indexById = new Map(nodes.map((node, index) => [node.id, index]));
+  let alpha = 1;
+  let requestedAlpha = null;
+  let alphaTarget = 0;
+  let strength = forceStrength;
+  let started = false;
+  let running = false;
+
+  const post = (message) => backgroundWorker('layout').postMessage({ ...message, job });
+  const simulation = {
+    job,
+    alpha(value) {
+      if (value === undefined) return alpha;
+      alpha = value;
+      requestedAlpha = value;
+      return simulation;
+    },
+    alphaMin: () => 0.001,
+    alphaTarget(value) {
+      alphaTarget = value;
+      if (started) post({ type: 'alphaTarget', value });
+      return simulation;
+    },
+    strength(value) {
+      strength = value;
+      if (started) post({ type: 'strength', value });
+      return simulation;
+    },
+    // Pass a node's fixed position (fx, fy) on to the layout
+    pin(node) {
+      if (started && indexById.has(node.id)) {
+        post({ type: 'pin', index: indexById.get(node.id), fx: node.fx, fy: node.fy });
+      }
+      return simulation;
+    },
+    restart() {
+      if (!started) {
+        // The layout starts from the positions on screen
+        post({
+          type: 'layout',
+          nodes: nodes.map((node) => {
+            const { id, x, y, vx, vy, fx, fy } = node;
+            return { id, x, y, vx, vy, fx, fy, group: clusterKey(node) };
+          }),
+          links: links.map((link) => ({ source: edgeEndpointId(link.source), target: edgeEndpointId(link.target) })),
+          options: {
+            layout: currentLayout,
+            strength,
+            width,
+            height,
+            centers: currentLayout === 'force' ? [] : [...clusterCenters(nodes, width, height)],
+          },
+          alpha,
+          alphaTarget,
+        });
+        started = true;
+      } else {
+        post({ type: 'restart', alpha: requestedAlpha });
+      }
+      requestedAlpha = null;
+      running = true;
+      return simulation;
+    },
+    stop() {
+      if (running) post({ type: 'stop' });
+      running = false;
+      endBackgroundTask('layout');
+      return simulation;
+    },
+    // Messages of this layout from the worker
+    receive(message) {
+      if (!running) return;
+      if (message.type === 'positions') {
+        const { positions } = message;
+        nodes.forEach((node, index) => {
+          node.x = positions[index * 4];
+          node.y = positions[index * 4 + 1];
+          node.vx = positions[index * 4 + 2];
+          node.vy = positions[index * 4 + 3];
+        });
+        alpha = message.alpha;
+        // Progress of the cool-down; a drag keeps the layout warm and shows none
+        if (alphaTarget > 0) {
+          endBackgroundTask('layout');
+        } else {
+          setBackgroundTask('layout', 'Laying out', Math.min(1, Math.log(alpha) / Math.log(simulation.alphaMin())));
+        }
+        updatePositions();
+      } else if (message.type === 'end') {
+        running = false;
+        endBackgroundTask('layout');
+        scheduleWorkspaceSave();
+      } else if (message.type === 'error') {
+        running = false;
+        endBackgroundTask('layout');
+        console.error(`Layout failed: ${message.message}`);
+      }
+    },
+  };
+  return simulation;
+}
+
+function handleLayoutMessage(message) {
+  // Messages of a layout that was replaced are dropped
+  if (currentSimulation && message.job === currentSimulation.job) {
+    currentSimulation.receive(message);
+  }
+}
+
+// The worker for a kind of job, started on first use
+function backgroundWorker(kind) {
+  if (!backgroundWorkers.has(kind)) {
+    const onMessage = kind === 'metrics' ? handleMetricsMessage : handleLayoutMessage;
+    backgroundWorkers.set(kind, startBackgroundWorker(onMessage));
+  }
+  return backgroundWorkers.get(kind);
+}
+
+// Terminating is the only way to interrupt a running calculation; the next job starts a new worker
+function stopBackgroundWorker(kind) {
+  if (backgroundWorkers.has(kind)) {
+    backgroundWorkers.get(kind).terminate();
+    backgroundWorkers.delete(kind);
+  }
+}
+
+function startBackgroundWorker(onMessage) {
+  let worker = null;
+  // The last job started, replayed if the worker fails to load
+  let lastJob = null;
+  const runInPage = () => {
+    workersUnavailable = true;
+    worker = createPageWorker(onMessage);
+  };
+
+  if (workersUnavailable || typeof Worker === 'undefined') {
+    runInPage();
+  } else {
+    try {
+      worker = new Worker('worker.js');
+      worker.onmessage = (event) => onMessage(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        console.warn(`Background worker unavailable (${event.message}). Running jobs on the main thread.`);
+        worker.terminate();
+        runInPage();
+        if (lastJob) worker.postMessage(lastJob);
+      };
+    } catch (error) {
+      console.warn(`Background worker unavailable (${error.message}). Running jobs on the main thread.`);
+      runInPage();
+    }
+  }
+  return {
+    postMessage(message) {
+      if (message.type === 'metrics' || message.type === 'layout') {
+        lastJob = message;
+      }
+      worker.postMessage(message);
+    },
+    terminate() {
+      worker.terminate();
+    },
+  };
+}
+
+// Runs worker.js's job runner on the main thread with the same asynchronous messaging
+function createPageWorker(onMessage) {
+  let terminated = false;
+  const run = createJobRunner((message) => {
+    setTimeout(() => {
+      if (!terminated) onMessage(message);
+    });
+  });
+  return {
+    postMessage(message) {
+      setTimeout(() => {
+        if (!terminated) run(message);
+      });
+    },
+    terminate() {
+      terminated = true;
+      run({ type: 'stop' });
+    },
+  };
+}
+
+function setBackgroundTask(kind, label, progress) {
+  backgroundTasks.set(kind, { label, progress });
+  renderBackgroundTasks();
+}
+
+function endBackgroundTask(kind) {
+  if (backgroundTasks.delete(kind)) {
+    renderBackgroundTasks();
+  }
+}
+
+// One row per running job with its progress and a Cancel button. Rows are kept and only
+// their progress changes, since the layout reports many times per second.
+function renderBackgroundTasks() {
+  const list = document.getElementById('taskList');
+  list.hidden = !backgroundTasks.size;
+  list.querySelectorAll('[data-task]').forEach((row) => {
+    if (!backgroundTasks.has(row.dataset.task)) row.remove();
+  });
+  backgroundTasks.forEach(({ label, progress }, kind) => {
+    let row = list.querySelector(`[data-task="${kind}"]`);
+    if (!row) {
+      list.insertAdjacentHTML(
+        'beforeend',
+        `<div class="task" data-task="${escapeHtml(kind)}">
+          <span class="task-label"></span>
+          <progress max="1"></progress>
+          <button type="button" class="task-cancel">Cancel</button>
+        </div>`,
+      );
+      row = list.lastElementChild;
+      row.querySelector('.task-cancel').addEventListener('click', () => cancelBackgroundTask(kind));
+    }
+    row.querySelector('.task-label').textContent = label;
+    row.querySelector('progress').value = progress;
+  });
+}
+
+function cancelBackgroundTask(kind) {
+  if (kind === 'metrics') {
+    if (cancelMetrics()) {
+      statusMessage.textContent = 'Metric calculation cancelled. The metrics shown may be out of date.';
+    }
+  } else if (kind === 'layout' && currentSimulation) {
+    // Nodes stay where the layout had moved them
+    currentSimulation.stop();
+    scheduleWorkspaceSave();
+  }
+}
+
+// Move nodes from where they are to `targets` with an eased transition
+function animatePositions(targets, duration = 600) {
+  if (layoutTransition) {
+    layoutTransition.stop();
+  }
+  const moves = renderedNodes.map((d) => {
+    const target = targets.get(d.id) || { x: d.x, y: d.y };
+    const startX = isFinite(d.x) ? d.x : target.x;
+    const startY = isFinite(d.y) ? d.y : target.y;
+    return { d, x: d3.interpolateNumber(startX, target.x), y: d3.interpolateNumber(startY, target.y) };
+  });
+  const ease = d3.easeCubicInOut;
+  layoutTransition = d3.timer((elapsed) => {
+    const t = ease(Math.min(1, elapsed / duration));
+    moves.forEach((move) => {
+      move.d.x = move.x(t);
+      move.d.y = move.y(t);
+    });
+    updatePositions();
+    if (t >= 1) {
+      layoutTransition.stop();
+      layoutTransition = null;
+      scheduleWorkspaceSave();
+    }
+  });
+}
+
+// Move the drawn nodes, edges and labels to the current node positions
+function updatePositions() {
+  if (!svg) return;
+  if (canvasActive) {
+    canvasHitIndex = null;
+    scheduleCanvasDraw();
+    scheduleMinimapUpdate();
+    return;
+  }
+  // Fading elements stay where they were
+  svg.selectAll('path.link:not(.exiting)').attr('d', (d) => renderedLinkGeometry(d).path);
+
+  svg.selectAll('g.node:not(.exiting)').attr('transform', (d) => {
+    const x = isFinite(d.x) ? d.x : 0;
+    const y = isFinite(d.y) ? d.y : 0;
+    return `translate(${x}, ${y})`;
+  });
+
+  svg.selectAll('g.link-label-wrapper:not(.exiting)').attr('transform', (d) => {
+    const { labelX, labelY } = renderedLinkGeometry(d);
+    return `translate(${labelX}, ${labelY})`;
+  });
+
+  scheduleMinimapUpdate();
+}
+
+// Shape of a rendered link at the current node positions (see linkGeometry)
+function renderedLinkGeometry(link) {
+  const source = renderedNodeById.get(edgeEndpointId(link.source));
+  const target = renderedNodeById.get(edgeEndpointId(link.target));
+  const position = (node) => ({
+    x: node && isFinite(node.x) ? node.x : 0,
+    y: node && isFinite(node.y) ? node.y : 0,
+  });
+  return linkGeometry(link, position(source), position(target), source ? nodeRadius(source) : undefined);
+}
+
+function nodeClicked(event, d) {
+  event.stopPropagation();
+  toggleNodeSelection(d.id, event.shiftKey);
+  if (editMode) {
+    openEditForm({ type: 'node', id: d.id });
+  }
+}
+
+function linkClicked(event, d) {
+  event.stopPropagation();
+  toggleEdgeSelection(edgeKey(d), event.shiftKey);
+  if (editMode) {
+    openEditForm({ type: 'edge', key: edgeKey(d) });
+  }
+}
+
+// In edit mode dragging from a node draws a new edge instead of moving the node
+function dragStarted(event, d) {
+  if (editMode) {
+    hideTooltip();
+    edgePreview = svg
+      .select('g.viewport')
+      .insert('line', 'g.nodes')
+      .attr('class', 'edge-preview')
+      .attr('x1', d.x)
+      .attr('y1', d.y)
+      .attr('x2', d.x)
+      .attr('y2', d.y);
+    return;
+  }
+  if (layoutTransition) {
+    layoutTransition.stop();
+    layoutTransition = null;
+  }
+  if (currentSimulation && !event.active) currentSimulation.alphaTarget(0.3).restart();
+  d.fx = d.x;
+  d.fy = d.y;
+  if (currentSimulation) currentSimulation.pin(d);
+}
+
+function dragged(event, d) {
+  if (editMode) {
+    if (edgePreview) edgePreview.attr('x2', event.x).attr('y2', event.y);
+    return;
+  }
+  d.fx = event.x;
+  d.fy = event.y;
+
+  // For static layouts, update positions immediately and re-render
+  if (currentSimulation) {
+    currentSimulation.pin(d);
+  } else {
+    d.x = event.x;
+    d.y = event.y;
+    updatePositions();
+  }
+}
+
+function dragEnded(event, d) {
+  if (edgePreview) {
+    edgePreview.remove();
+    edgePreview = null;
+    const target = renderedNodes.find(
+      (other) => other.id !== d.id && Math.hypot(other.x - event.x, other.y - event.y) < nodeRadius(other) + 8,
+    );
+    if (target) {
+      createEdge(d.id, target.id);
+    }
+    return;
+  }
+  if (currentSimulation && !event.active) currentSimulation.alphaTarget(0);
+
+  // For static layouts, keep the dragged position
+  if (!currentSimulation) {
+    d.x = event.x;
+    d.y = event.y;
+    d.fx = null;
+    d.fy = null;
+    scheduleWorkspaceSave();
+  } else {
+    // For force layout, release the fixed position
+    d.fx = null;
+    d.fy = null;
+    currentSimulation.pin(d);
+  }
+}
+
+async function exportGraph(format) {
+  if (!currentGraph.nodes.length) {
+    statusMessage.textContent = 'Nothing to export. Load a graph first.';
+    return;
+  }
+
+  // The drawn union of a comparison is no version of the graph; its data exports hold the
+  // newer version, seen through the same timeline and query. Metrics describe the union.
+  const graph = compareVersions ? comparedExportGraph() : currentGraph;
+  const includeMetrics = document.getElementById('exportIncludeMetrics').checked && metricsCalculated && !compareVersions;
+  try {
+    switch (format) {
+      case 'json':
+        downloadFile(
+          JSON.stringify(graphToJson(graph, { includeMetrics }), null, 2),
+          'knowledge-graph.json',
+          'application/json',
+        );
+        break;
+      case 'graphml':
+        downloadFile(
+          graphToGraphML(graph, { includeMetrics }),
+          'knowledge-graph.graphml',
+          'application/xml',
+        );
+        break;
+      case 'csv': {
+        const tables = graphToCsv(graph, { includeMetrics });
+        downloadFile(tables.nodes, 'knowledge-graph-nodes.csv', 'text/csv');
+        downloadFile(tables.edges, 'knowledge-graph-edges.csv', 'text/csv');
+        break;
+      }
+      case 'svg':
+        if (canvasActive) {
+          throw new Error('the canvas renderer has no SVG to export. Choose the SVG renderer first.');
+        }
+        downloadFile(serializeSvg(svg.node()), 'knowledge-graph.svg', 'image/svg+xml');
+        break;
+      case 'png': {
+        let blob;
+        if (canvasActive) {
+          blob = await canvasToPngBlob(document.getElementById('graphCanvas'));
+        } else {
+          const { width, height } = svgSize(svg.node());
+          blob = await svgToPngBlob(serializeSvg(svg.node()), width, height);
+        }
+        downloadFile(blob, 'knowledge-graph.png', 'image/png');
+        break;
+      }
+      default:
+        throw new Error(`Unknown export format "${format}".`);
+    }
+    const what = compareVersions && !['svg', 'png'].includes(format) ? 'the newer version' : 'the graph';
+    statusMessage.textContent = `Exported ${what} as ${format.toUpperCase()}.`;
+  } catch (error) {
+    console.error(error);
+    statusMessage.textContent = `Export failed: ${error.message}`;
+  }
+}
+
+// The newer version of a comparison, narrowed like the view (changes only aside)
+function comparedExportGraph() {
+  let graph = compareVersions.after;
+  const range = timelineRange();
+  if (range) {
+    graph = filterGraphByTime(graph, range);
+  }
+  if (queryView) {
+    graph = queryViewGraph(graph, queryView);
+  }
+  return graph;
+}
+
+// Dim nodes below the metric threshold, or everything outside the search focus while one is active
+function applyHighlighting() {
+  if (!svg) return;
+  const state = highlightState();
+
+  svg
+    .selectAll('g.node')
+    .classed('dimmed', state.nodeDimmed)
+    .classed('highlighted', state.nodeHighlighted)
+    .classed('search-focus', state.nodeFocused);
+  svg
+    .selectAll('path.link')
+    .classed('dimmed', state.linkDimmed)
+    .classed('highlighted', state.linkHighlighted);
+  svg
+    .selectAll('g.link-label-wrapper')
+    .classed('dimmed', state.labelDimmed)
+    .classed('search-focus', state.labelFocused);
+  scheduleCanvasDraw();
+}
+
+// Predicates behind the highlight classes, shared by the SVG and canvas renderers
+function highlightState() {
+  const metricKey = nodeMetricKey();
+  const belowThreshold = (id) => {
+    if (!metricsCalculated || metricThreshold <= 0) return false;
+    const node = renderedNodeById.get(id);
+    return (node ? node[metricKey] || 0 : 0) < metricThreshold;
+  };
+  const focus = highlightFocus;
+  return {
+    nodeDimmed: (d) => (focus ? !focus.nodeIds.has(d.id) : belowThreshold(d.id)),
+    nodeHighlighted: (d) => Boolean(focus && focus.nodeIds.has(d.id)),
+    nodeFocused: (d) => Boolean(focus && focus.primaryNodeId === d.id),
+    // Links connected to dimmed nodes are dimmed too
+    linkDimmed: (d) =>
+      focus
+        ? !focus.edgeKeys.has(edgeKey(d))
+        : belowThreshold(edgeEndpointId(d.source)) || belowThreshold(edgeEndpointId(d.target)),
+    linkHighlighted: (d) => Boolean(focus && focus.edgeKeys.has(edgeKey(d))),
+    labelDimmed: (d) => Boolean(focus && !focus.edgeKeys.has(edgeKey(d))),
+    labelFocused: (d) => Boolean(focus && focus.primaryEdgeKey === edgeKey(d)),
+  };
+}
+
+function initSearch() {
+  const searchInput = document.getElementById('searchInput');
+  const searchResults = document.getElementById('searchResults');
+
+  searchInput.addEventListener('input', () => {
+    searchHits = searchGraph(searchInput.value);
+    searchHitIndex = -1;
+    renderSearchResults();
+    if (!searchInput.value.trim()) {
+      clearSearchFocus();
+    }
+  });
+
+  searchInput.addEventListener('keydown', (event) => {
+    const options = Array.from(searchResults.querySelectorAll('li'));
+    const active = searchResults.querySelector('li.active');
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (!options.length) return;
+      const current = options.indexOf(active);
+      const next = event.key === 'ArrowDown'
+        ? (current + 1) % options.length
+        : (current - 1 + options.length) % options.length;
+      options.forEach((option, index) => option.classList.toggle('active', index === next));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (active) {
+        showSearchHit(Number(active.dataset.index));
+      } else if (searchHits.length) {
+        // Enter steps through every hit in turn
+        showSearchHit((searchHitIndex + 1) % searchHits.length);
+      } else {
+        updateSearchCount();
+      }
+      searchResults.hidden = true;
+    } else if (event.key === 'Escape') {
+      searchInput.value = '';
+      searchHits = [];
+      searchHitIndex = -1;
+      renderSearchResults();
+      clearSearchFocus();
+    }
+  });
+
+  searchInput.addEventListener('focus', () => {
+    if (searchInput.value.trim()) renderSearchResults();
+  });
+  searchInput.addEventListener('blur', () => {
+    // Let clicks on a result register before the list disappears
+    setTimeout(() => {
+      searchResults.hidden = true;
+    }, 150);
+  });
+}
+
+// Score how well `query` matches `text`: exact > prefix > word start > substring > subsequence
+function fuzzyScore(query, text, allowSubsequence = true) {
+  if (!text) return 0;
+  const q = query.toLowerCase();
+  const t = String(text).toLowerCase();
+  if (t === q) return 100;
+  if (t.startsWith(q)) return 90;
+  const index = t.indexOf(q);
+  if (index > 0) {
+    return /[\s_\-./:]/.test(t[index - 1]) ? 80 : 70;
+  }
+  if (!allowSubsequence) return 0;
+
+  // Every query character appears in order; fewer gaps score higher
+  let position = -1;
+  let gaps = 0;
+  for (const char of q) {
+    const next = t.indexOf(char, position + 1);
+    if (next === -1) return 0;
+    if (position >= 0) gaps += next - position - 1;
+    position = next;
+  }
+  return Math.max(1, 50 - gaps);
+}
+
+function searchGraph(query) {
+  const trimmed = query.trim();
+  if (!trimmed) return [];
+
+  const hits = [];
+  currentGraph.nodes.forEach((node) => {
+    const scores = [
+      { field: 'name', score: fuzzyScore(trimmed, node.name) },
+      { field: 'id', score: fuzzyScore(trimmed, node.id) },
+      ...(node.aliases || []).map((alias) => ({ field: 'alias', score: fuzzyScore(trimmed, alias) })),
+      // Long descriptions only count for literal matches to keep the list relevant
+      { field: 'description', score: fuzzyScore(trimmed, node.description, false) * 0.6 },
+    ];
+    const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+    if (best.score > 0) {
+      hits.push({
+        type: 'node',
+        id: node.id,
+        label: node.name || node.id,
+        detail: best.field === 'name' ? node.id : `${best.field} match`,
+        score: best.score,
+      });
+    }
+  });
+
+  currentGraph.edges.forEach((edge) => {
+    const score = fuzzyScore(trimmed, edge.relation) * 0.8;
+    if (score > 0) {
+      hits.push({
+        type: 'edge',
+        key: edgeKey(edge),
+        label: edge.relation,
+        detail: `${edgeEndpointId(edge.source)} → ${edgeEndpointId(edge.target)}`,
+        score,
+      });
+    }
+  });
+
+  return hits.sort((a, b) => b.score - a.score || a.label.localeCompare(b.label));
+}
+
+function renderSearchResults() {
+  const searchResults = document.getElementById('searchResults');
+  searchResults.innerHTML = '';
+  const visibleHits = searchHits.slice(0, 10);
+  searchResults.hidden = visibleHits.length === 0;
+
+  visibleHits.forEach((hit, index) => {
+    const item = document.createElement('li');
+    item.dataset.index = index;
+    item.setAttribute('role', 'option');
+    item.innerHTML = `<span class="search-kind">${hit.type === 'node' ? 'Node' : 'Relation'}</span>
+      <span class="search-label">${escapeHtml(hit.label)}</span>
+      <span class="search-detail">${escapeHtml(hit.detail)}</span>`;
+    item.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      showSearchHit(index);
+      searchResults.hidden = true;
+    });
+    searchResults.appendChild(item);
+  });
+  updateSearchCount();
+}
+
+function updateSearchCount() {
+  const searchCount = document.getElementById('searchCount');
+  const query = document.getElementById('searchInput').value.trim();
+  if (!query) {
+    searchCount.textContent = '';
+  } else if (!searchHits.length) {
+    searchCount.textContent = 'No matches';
+  } else if (searchHitIndex >= 0) {
+    searchCount.textContent = `${searchHitIndex + 1} / ${searchHits.length}`;
+  } else {
+    searchCount.textContent = `${searchHits.length} match${searchHits.length !== 1 ? 'es' : ''}`;
+  }
+}
+
+// Center on a hit and highlight it together with its direct neighbors
+function showSearchHit(index) {
+  const hit = searchHits[index];
+  if (!hit) return;
+  searchHitIndex = index;
+  updateSearchCount();
+
+  const nodeIds = new Set();
+  const edgeKeys = new Set();
+  let center = null;
+  const nodeById = new Map(renderedNodes.map((node) => [node.id, node]));
+
+  if (hit.type === 'node') {
+    nodeIds.add(hit.id);
+    currentGraph.edges.forEach((edge) => {
+      const source = edgeEndpointId(edge.source);
+      const target = edgeEndpointId(edge.target);
+      if (source === hit.id || target === hit.id) {
+        nodeIds.add(source);
+        nodeIds.add(target);
+        edgeKeys.add(edgeKey(edge));
+      }
+    });
+    center = nodeById.get(hit.id);
+  } else {
+    const edge = currentGraph.edges.find((candidate) => edgeKey(candidate) === hit.key);
+    if (!edge) return;
+    const source = nodeById.get(edgeEndpointId(edge.source));
+    const target = nodeById.get(edgeEndpointId(edge.target));
+    nodeIds.add(edgeEndpointId(edge.source));
+    nodeIds.add(edgeEndpointId(edge.target));
+    edgeKeys.add(hit.key);
+    const link = renderedLinks.find((candidate) => edgeKey(candidate) === hit.key);
+    if (link) {
+      const { labelX, labelY } = renderedLinkGeometry(link);
+      center = { x: labelX, y: labelY };
+    } else if (source && target) {
+      center = { x: (source.x + target.x) / 2, y: (source.y + target.y) / 2 };
+    }
+  }
+
+  highlightFocus = {
+    kind: 'search',
+    nodeIds,
+    edgeKeys,
+    primaryNodeId: hit.type === 'node' ? hit.id : null,
+    primaryEdgeKey: hit.type === 'edge' ? hit.key : null,
+  };
+  applyHighlighting();
+
+  if (center && isFinite(center.x) && isFinite(center.y)) {
+    svg.transition().duration(500).call(zoomBehavior.translateTo, center.x, center.y);
+  }
+}
+
+function clearSearchFocus() {
+  if (!highlightFocus || highlightFocus.kind !== 'search') return;
+  highlightFocus = null;
+  applyHighlighting();
+}
+
+// Keep the shared node suggestions (used by the path tool inputs) in sync with the graph
+function renderNodeOptions() {
+  const nodeOptions = document.getElementById('nodeOptions');
+  nodeOptions.innerHTML = '';
+  currentGraph.nodes.forEach((node) => {
+    const option = document.createElement('option');
+    option.value = node.id;
+    if (node.name && node.name !== node.id) {
+      option.label = node.name;
+    }
+    nodeOptions.appendChild(option);
+  });
+}
+
+// Accept an exact id, an exact (case-insensitive) name or the best fuzzy match
+function resolveNodeInput(value) {
+  const query = value.trim();
+  if (!query) return null;
+  const byId = currentGraph.nodes.find((node) => node.id === query);
+  if (byId) return byId;
+  const lower = query.toLowerCase();
+  const byName = currentGraph.nodes.find((node) => (node.name || '').toLowerCase() === lower);
+  if (byName) return byName;
+  const hit = searchGraph(query).find((candidate) => candidate.type === 'node');
+  return hit ? currentGraph.nodes.find((node) => node.id === hit.id) : null;
+}
+
+function initPathFinder() {
+  document.getElementById('pathForm').addEventListener('submit', (event) => {
+    event.preventDefault();
+    findPaths();
+  });
+  document.getElementById('pathClearButton').addEventListener('click', () => {
+    clearPaths();
+  });
+  document.getElementById('pathSwapButton').addEventListener('click', () => {
+    const sourceInput = document.getElementById('pathSource');
+    const targetInput = document.getElementById('pathTarget');
+    [sourceInput.value, targetInput.value] = [targetInput.value, sourceInput.value];
+  });
+}
+
+function findPaths() {
+  const pathResults = document.getElementById('pathResults');
+  const sourceText = document.getElementById('pathSource').value;
+  const targetText = document.getElementById('pathTarget').value;
+  const source = resolveNodeInput(sourceText);
+  const target = resolveNodeInput(targetText);
+
+  if (!source || !target) {
+    clearPaths();
+    pathResults.textContent = `No node matches "${!source ? sourceText : targetText}".`;
+    return;
+  }
+
+  // Paths only run over what is drawn
+  const graph = visibleGraph(currentGraph);
+  const hidden = [source, target].find((node) => !graph.nodes.includes(node));
+  if (hidden) {
+    clearPaths();
+    pathResults.textContent = `${hidden.name || hidden.id} is hidden.`;
+    return;
+  }
+  const directed = document.getElementById('pathMode').value === 'directed';
+  const k = Math.max(1, Math.min(10, parseInt(document.getElementById('pathCount').value) || 1));
+  // The panel looks steps up in currentGraph, so their edge indexes are translated to it
+  const edgeIndexes = new Map(currentGraph.edges.map((edge, index) => [edge, index]));
+  foundPaths = kShortestPaths(graph, source.id, target.id, { k, directed }).map((path) => ({
+    ...path,
+    steps: path.steps.map((step) => ({ ...step, edgeIndex: edgeIndexes.get(graph.edges[step.edgeIndex]) })),
+  }));
+
+  if (!foundPaths.length) {
+    clearPaths();
+    pathResults.textContent = `No ${directed ? 'directed ' : ''}path from ${source.name || source.id} to ${
+      target.name || target.id
+    }.${directed ? ' Try ignoring edge direction.' : ''}`;
+    return;
+  }
+  showPath(0);
+}
+
+function showPath(index) {
+  const path = foundPaths[index];
+  if (!path) return;
+  activePathIndex = index;
+
+  const pathEdges = path.steps.map((step) => currentGraph.edges[step.edgeIndex]);
+  highlightFocus = {
+    kind: 'path',
+    nodeIds: new Set(path.nodes),
+    edgeKeys: new Set(pathEdges.map(edgeKey)),
+    primaryNodeId: null,
+    primaryEdgeKey: null,
+  };
+  applyHighlighting();
+  renderPathResults();
+
+  const pathNodes = renderedNodes.filter((node) => highlightFocus.nodeIds.has(node.id));
+  if (pathNodes.length) {
+    zoomToNodes(pathNodes);
+  }
+}
+
+function clearPaths() {
+  foundPaths = [];
+  activePathIndex = -1;
+  document.getElementById('pathResults').innerHTML = '';
+  if (highlightFocus && highlightFocus.kind === 'path') {
+    highlightFocus = null;
+    applyHighlighting();
+  }
+}
+
+function nodeLabel(id) {
+  const node = currentGraph.nodes.find((candidate) => candidate.id === id);
+  return node ? node.name || node.id : id;
+}
+
+// One hop as `A —relation→ B`, or `A ←relation— B` when walked against the edge direction
+function formatPathStep(path, stepIndex) {
+  const step = path.steps[stepIndex];
+  const relation = currentGraph.edges[step.edgeIndex].relation || 'related_to';
+  const from = nodeLabel(path.nodes[stepIndex]);
+  const to = nodeLabel(path.nodes[stepIndex + 1]);
+  return step.forward ? `${from} —${relation}→ ${to}` : `${from} ←${relation}— ${to}`;
+}
+
+function formatPathChain(path) {
+  let chain = nodeLabel(path.nodes[0]);
+  path.steps.forEach((step, index) => {
+    const relation = currentGraph.edges[step.edgeIndex].relation || 'related_to';
+    chain += step.forward ? ` —${relation}→ ` : ` ←${relation}— `;
+    chain += nodeLabel(path.nodes[index + 1]);
+  });
+  return chain;
+}
+
+function renderPathResults() {
+  const pathResults = document.getElementById('pathResults');
+  const activePath = foundPaths[activePathIndex];
+
+  const pathItems = foundPaths
+    .map(
+      (path, index) => `<li class="${index === activePathIndex ? 'active' : ''}" data-index="${index}">
+        <span class="path-length">${path.steps.length} hop${path.steps.length !== 1 ? 's' : ''}</span>
+        <span class="path-chain">${escapeHtml(formatPathChain(path))}</span>
+      </li>`,
+    )
+    .join('');
+
+  // Evidence: the references attached to every hop of the highlighted path
+  const evidenceItems = activePath.steps
+    .map((step, index) => {
+      const references = currentGraph.edges[step.edgeIndex].reference || [];
+      const referenceList = references.length
+        ? `<ul>${references.map((ref) => `<li>${escapeHtml(ref)}</li>`).join('')}</ul>`
+        : '<em>No references</em>';
+      return `<li><span class="evidence-hop">${escapeHtml(formatPathStep(activePath, index))}</span>${referenceList}</li>`;
+    })
+    .join('');
+
+  pathResults.innerHTML = `
+    <ol class="path-list">${pathItems}</ol>
+    <h3>Evidence</h3>
+    <ul class="evidence-list">${evidenceItems || '<li><em>Source and target are the same node.</em></li>'}</ul>
+  `;
+  pathResults.querySelectorAll('.path-list li').forEach((item) => {
+    item.addEventListener('click', () => showPath(Number(item.dataset.index)));
+  });
+}
+
+function initQueryPanel() {
+  const queryInput = document.getElementById('queryInput');
+  document.getElementById('queryForm').addEventListener('submit', (event) => {
+    event.preventDefault();
+    runQuery();
+  });
+  queryInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      runQuery();
+    }
+  });
+  document.getElementById('queryClearButton').addEventListener('click', () => {
+    queryInput.value = '';
+    clearQueryResult();
+  });
+  document.getElementById('querySaveButton').addEventListener('click', saveQuery);
+  renderSavedQueries();
+  renderQueryResults();
+}
+
+function runQuery() {
+  const text = document.getElementById('queryInput').value;
+  const queryResults = document.getElementById('queryResults');
+  let query;
+  try {
+    query = parseGraphQuery(text);
+  } catch (error) {
+    clearQueryResult();
+    queryResults.innerHTML = `<p class="query-error">${escapeHtml(error.message)}</p>`;
+    return;
+  }
+  if (query.filters.some((filter) => METRIC_FIELDS.includes(filter.field)) && !metricsCalculated) {
+    clearQueryResult();
+    queryResults.innerHTML = '<p class="query-error">Metrics are still being calculated; run the query again in a moment.</p>';
+    return;
+  }
+
+  // Queries only match what is drawn
+  const graph = visibleGraph(currentGraph);
+  const result = runGraphQuery(graph, query);
+  if (result.unknownNodes.length) {
+    clearQueryResult();
+    queryResults.innerHTML = `<p class="query-error">No node is called ${result.unknownNodes
+      .map((name) => `"${escapeHtml(name)}"`)
+      .join(', ')}.</p>`;
+    return;
+  }
+  // Edge keys outlive the edge indexes, which change with every rebuild
+  queryResult = {
+    text,
+    variables: result.variables,
+    truncated: result.truncated,
+    rows: result.rows.map((row) => ({
+      bindings: row.bindings,
+      nodeIds: row.nodeIds,
+      edgeKeys: row.edgeIndexes.map((edgeIndex) => edgeKey(graph.edges[edgeIndex])),
+    })),
+  };
+  showQueryRow(-1);
+}
+
+// Highlight one row of the result, or all of it for -1
+function showQueryRow(index) {
+  if (!queryResult) return;
+  activeQueryRow = index;
+  const rows = index < 0 ? queryResult.rows : [queryResult.rows[index]];
+  if (rows.length) {
+    highlightFocus = {
+      kind: 'query',
+      nodeIds: new Set(rows.flatMap((row) => row.nodeIds)),
+      edgeKeys: new Set(rows.flatMap((row) => row.edgeKeys)),
+      primaryNodeId: null,
+      primaryEdgeKey: null,
+    };
+  } else if (highlightFocus && highlightFocus.kind === 'query') {
+    highlightFocus = null;
+  }
+  applyHighlighting();
+  renderQueryResults();
+
+  const matchedNodes = highlightFocus ? renderedNodes.filter((node) => highlightFocus.nodeIds.has(node.id)) : [];
+  if (rows.length && matchedNodes.length) {
+    zoomToNodes(matchedNodes);
+  }
+}
+
+function clearQueryResult() {
+  queryResult = null;
+  activeQueryRow = -1;
+  renderQueryResults();
+  if (highlightFocus && highlightFocus.kind === 'query') {
+    highlightFocus = null;
+    applyHighlighting();
+  }
+}
+
+function renderQueryResults() {
+  const queryResults = document.getElementById('queryResults');
+  const viewNote = queryView
+    ? `<p class="query-view-note">The graph shows only the ${queryView.nodeIds.size} node${
+        queryView.nodeIds.size !== 1 ? 's' : ''
+      } matched by <code>${escapeHtml(queryView.text.trim())}</code>.
+        <button type="button" class="small-button" data-action="show-all">Show whole graph</button></p>`
+    : '';
+  if (!queryResult) {
+    queryResults.innerHTML = viewNote;
+  } else {
+    const { variables, rows, truncated } = queryResult;
+    const summary = rows.length
+      ? `${truncated ? `First ${rows.length}` : rows.length} match${rows.length !== 1 ? 'es' : ''}${
+          truncated ? ' (refine the query to see the rest)' : ''
+        }.`
+      : 'No matches.';
+    const header = variables.map((variable) => `<th>?${escapeHtml(variable)}</th>`).join('');
+    const body = rows
+      .map(
+        (row, index) => `<tr class="${index === activeQueryRow ? 'active' : ''}" data-index="${index}">${variables
+          .map((variable) => `<td>${escapeHtml(nodeLabel(row.bindings[variable]))}</td>`)
+          .join('')}</tr>`,
+      )
+      .join('');
+    queryResults.innerHTML = `${viewNote}
+      <p class="query-summary">${summary}
+        ${activeQueryRow >= 0 ? '<button type="button" class="small-button" data-action="all-rows">Highlight all</button>' : ''}
+        ${rows.length ? '<button type="button" class="small-button" data-action="show-only">Show only results</button>' : ''}
+      </p>
+      ${rows.length ? `<div class="query-table-wrapper"><table class="query-table"><thead><tr>${header}</tr></thead><tbody>${body}</tbody></table></div>` : ''}`;
+    queryResults.querySelectorAll('tbody tr').forEach((row) => {
+      row.addEventListener('click', () => {
+        const index = Number(row.dataset.index);
+        showQueryRow(index === activeQueryRow ? -1 : index);
+      });
+    });
+  }
+
+  const actions = {
+    'show-all': showWholeGraph,
+    'all-rows': () => showQueryRow(-1),
+    'show-only': showQueryResultOnly,
+  };
+  queryResults.querySelectorAll('button[data-action]').forEach((button) => {
+    button.addEventListener('click', actions[button.dataset.action]);
+  });
+}
+
+// Make the matched nodes and relations the visible graph, until showWholeGraph
+function showQueryResultOnly() {
+  if (!queryResult || !queryResult.rows.length) return;
+  queryView = {
+    text: queryResult.text,
+    nodeIds: new Set(queryResult.rows.flatMap((row) => row.nodeIds)),
+    edgeKeys: new Set(queryResult.rows.flatMap((row) => row.edgeKeys)),
+  };
+  rebuildGraph();
+  statusMessage.textContent = `Showing the query result: ${currentGraph.nodes.length} node${
+    currentGraph.nodes.length !== 1 ? 's' : ''
+  } and ${currentGraph.edges.length} relation${currentGraph.edges.length !== 1 ? 's' : ''}.`;
+}
+
+function showWholeGraph() {
+  queryView = null;
+  rebuildGraph();
+}
+
+// The part of `graph` a query result covers; parallel edges share their key and stay together
+function queryViewGraph(graph, view) {
+  const nodes = graph.nodes.filter((node) => view.nodeIds.has(node.id));
+  const edges = graph.edges.filter(
+    (edge) =>
+      view.edgeKeys.has(edgeKey(edge)) &&
+      view.nodeIds.has(edgeEndpointId(edge.source)) &&
+      view.nodeIds.has(edgeEndpointId(edge.target)),
+  );
+  return { ...graph, nodes, edges };
+}
+
+function loadSavedQueries() {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_QUERIES_KEY)) || [];
+  } catch (error) {
+    console.warn('Unable to read saved queries:', error);
+    return [];
+  }
+}
+
+function storeSavedQueries() {
+  try {
+    localStorage.setItem(SAVED_QUERIES_KEY, JSON.stringify(savedQueries));
+  } catch (error) {
+    console.warn('Unable to store saved queries:', error);
+  }
+}
+
+// Add queries (such as those of an imported workspace); a query replaces the one of its name
+function mergeSavedQueries(queries) {
+  queries.forEach(({ name, text }) => {
+    if (typeof name !== 'string' || typeof text !== 'string') return;
+    savedQueries = [...savedQueries.filter((query) => query.name !== name), { name, text }];
+  });
+  savedQueries.sort((a, b) => a.name.localeCompare(b.name));
+  storeSavedQueries();
+  renderSavedQueries();
+}
+
+function saveQuery() {
+  const text = document.getElementById('queryInput').value.trim();
+  const nameInput = document.getElementById('queryName');
+  if (!text) {
+    statusMessage.textContent = 'Write a query before saving it.';
+    return;
+  }
+  const name = nameInput.value.trim() || text.split('\n')[0].slice(0, 40);
+  mergeSavedQueries([{ name, text }]);
+  nameInput.value = '';
+  scheduleWorkspaceSave();
+  statusMessage.textContent = `Saved the query "${name}".`;
+}
+
+function deleteSavedQuery(name) {
+  savedQueries = savedQueries.filter((query) => query.name !== name);
+  storeSavedQueries();
+  renderSavedQueries();
+  scheduleWorkspaceSave();
+}
+
+function renderSavedQueries() {
+  const list = document.getElementById('savedQueryList');
+  list.innerHTML = '';
+  savedQueries.forEach((query) => {
+    const item = document.createElement('li');
+    item.className = 'saved-query';
+    item.innerHTML = `<button type="button" class="saved-query-name" title="${escapeHtml(query.text)}">${escapeHtml(
+      query.name,
+    )}</button>
+      <button type="button" class="small-button danger-button" title="Delete this saved query">Delete</button>`;
+    item.querySelector('.saved-query-name').addEventListener('click', () => {
+      document.getElementById('queryInput').value = query.text;
+      document.getElementById('queryName').value = query.name;
+      runQuery();
+    });
+    item.querySelector('.danger-button').addEventListener('click', () => deleteSavedQuery(query.name));
+    list.appendChild(item);
+  });
+}
+
+function initComparePanel() {
+  document.getElementById('compareButton').addEventListener('click', startComparison);
+  document.getElementById('compareStopButton').addEventListener('click', stopComparison);
+  document.getElementById('compareChangesOnly').addEventListener('change', (event) => {
+    compareChangesOnly = event.target.checked;
+    if (compareActive) rebuildGraph();
+    scheduleWorkspaceSave();
+  });
+  document.getElementById('comparePatchButton').addEventListener('click', exportComparePatch);
+  renderComparePanel();
+}
+
+// The visible files of each side, or null unless both sides have one
+function compareFileGroups(visibleFiles) {
+  const before = visibleFiles.filter((file) => compareGroups.get(file.name) === 'before');
+  const after = visibleFiles.filter((file) => compareGroups.get(file.name) === 'after');
+  return before.length && after.length ? { before, after } : null;
+}
+
+function startComparison() {
+  if (!compareFileGroups(loadedFiles.filter((file) => file.visible))) {
+    statusMessage.textContent = 'Put at least one visible file in Before and one in After to compare them.';
+    return;
+  }
+  compareActive = true;
+  rebuildGraph();
+  const { nodes, edges } = compareVersions.counts;
+  statusMessage.textContent = `Compared the files: nodes ${formatDiffCounts(nodes)}; relations ${formatDiffCounts(edges)}.`;
+}
+
+function stopComparison() {
+  compareActive = false;
+  rebuildGraph();
+}
+
+function formatDiffCounts(counts) {
+  return `+${counts.added} −${counts.removed} ~${counts.modified}`;
+}
+
+// One Before/After choice per loaded file and, while comparing, the counts of every change
+function renderComparePanel() {
+  const list = document.getElementById('compareFileList');
+  list.innerHTML = '';
+  loadedFiles.forEach((file) => {
+    const item = document.createElement('li');
+    item.className = 'compare-file';
+    item.classList.toggle('hidden-file', !file.visible);
+    const side = compareGroups.get(file.name) || '';
+    item.innerHTML = `<span class="compare-file-name">${escapeHtml(file.name)}</span>
+      <select aria-label="Side of ${escapeHtml(file.name)}">
+        <option value="" ${side === '' ? 'selected' : ''}>—</option>
+        <option value="before" ${side === 'before' ? 'selected' : ''}>Before</option>
+        <option value="after" ${side === 'after' ? 'selected' : ''}>After</option>
+      </select>`;
+    item.querySelector('select').addEventListener('change', (event) => {
+      if (event.target.value) {
+        compareGroups.set(file.name, event.target.value);
+      } else {
+        compareGroups.delete(file.name);
+      }
+      // A running comparison follows the new groups, or ends when a side is left empty
+      if (compareActive) rebuildGraph();
+      scheduleWorkspaceSave();
+    });
+    list.appendChild(item);
+  });
+
+  document.getElementById('compareButton').hidden = Boolean(compareVersions);
+  document.getElementById('compareStopButton').hidden = !compareVersions;
+  document.getElementById('compareChangesOnly').checked = compareChangesOnly;
+  document.getElementById('comparePatchButton').disabled = !compareVersions;
+  document.getElementById('compareSummary').textContent = compareVersions ? 'comparing' : '';
+  const results = document.getElementById('compareResults');
+  if (!compareVersions) {
+    results.innerHTML = compareActive
+      ? '<p class="panel-hint">Put at least one visible file in Before and one in After to compare them.</p>'
+      : '';
+    return;
+  }
+  const { nodes, edges } = compareVersions.counts;
+  const rows = ['added', 'removed', 'modified', 'unchanged']
+    .map(
+      (status) => `<tr>
+        <th><span class="diff-swatch" style="background: ${DIFF_NODE_FILLS[status]}"></span>${DIFF_LABELS[status]}</th>
+        <td>${nodes[status]}</td>
+        <td>${edges[status]}</td>
+      </tr>`,
+    )
+    .join('');
+  results.innerHTML = `<table class="diff-summary">
+      <thead><tr><th></th><th>Nodes</th><th>Relations</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// JSON Patch from the Before graph to the After graph, both as Export → JSON writes them
+function exportComparePatch() {
+  if (!compareVersions) return;
+  const patch = graphJsonPatch(graphToJson(compareVersions.before), graphToJson(compareVersions.after));
+  downloadFile(JSON.stringify(patch, null, 2), 'knowledge-graph-diff.json', 'application/json-patch+json');
+  statusMessage.textContent = `Exported ${patch.length} patch operation${patch.length !== 1 ? 's' : ''}.`;
+}
+
+// Status of an element in compare mode, with the fields that changed
+function formatDiffTooltip(element) {
+  if (!element.diff || element.diff === 'unchanged') return '';
+  const fields = (element.diffChanges || []).map((change) => change.field);
+  return `<div class="tooltip-diff diff-${element.diff}">${DIFF_LABELS[element.diff]}${
+    fields.length ? `: ${fields.map(escapeHtml).join(', ')}` : ''
+  }</div>`;
+}
+
+// Before/after view of a changed element for the details panel: descriptions side by side,
+// reference lists with added and removed entries marked, other fields as "old → new"
+function formatDiffDetails(element) {
+  if (!element.diff || element.diff === 'unchanged') return '';
+  const changes = element.diffChanges || [];
+  const shown = (field, value) => {
+    if (value === undefined || value === null || value === '') return '<em>none</em>';
+    if (field === 'types' && Array.isArray(value)) return value.map(escapeHtml).join(', ');
+    return typeof value === 'object' ? `<code>${escapeHtml(JSON.stringify(value))}</code>` : escapeHtml(value);
+  };
+  const parts = changes.map((change) => {
+    if (change.field === 'description') {
+      return `<h3>Description</h3>
+        <div class="diff-compare">
+          <div class="diff-before"><span class="diff-side">Before</span>${
+            change.before ? renderMarkdown(change.before) : '<em>none</em>'
+          }</div>
+          <div class="diff-after"><span class="diff-side">After</span>${
+            change.after ? renderMarkdown(change.after) : '<em>none</em>'
+          }</div>
+        </div>`;
+    }
+    if (change.field === 'reference') {
+      const items = [
+        ...change.after.map((ref) => [ref, change.added.includes(ref) ? 'diff-ins' : '']),
+        ...change.removed.map((ref) => [ref, 'diff-del']),
+      ]
+        .map(([ref, className]) => `<li${className ? ` class="${className}"` : ''}>${formatReference(ref)}</li>`)
+        .join('');
+      return `<h3>References (+${change.added.length} −${change.removed.length})</h3>
+        <ul class="details-references diff-references">${items}</ul>`;
+    }
+    return detailsList([[change.field, `${shown(change.field, change.before)} → ${shown(change.field, change.after)}`]]);
+  });
+  return `<p class="diff-status diff-${element.diff}">${DIFF_LABELS[element.diff]}</p>${parts.join('')}`;
+}
+
+// Checklist of relation types that define the hierarchy in the layered layout
+function renderHierarchyRelations() {
+  const list = document.getElementById('hierarchyRelationList');
+  const relations = [...new Set(currentGraph.edges.map((edge) => edge.relation).filter(Boolean))].sort();
+  // Forget relations that no longer exist; an empty choice means "all relations"
+  if (hierarchyRelations) {
+    hierarchyRelations = new Set(relations.filter((relation) => hierarchyRelations.has(relation)));
+    if (!hierarchyRelations.size) hierarchyRelations = null;
+  }
+  list.innerHTML = '';
+  relations.forEach((relation) => {
+    const label = document.createElement('label');
+    label.className = 'menu-option';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !hierarchyRelations || hierarchyRelations.has(relation);
+    checkbox.addEventListener('change', () => {
+      const checked = Array.from(list.querySelectorAll('input'))
+        .filter((input) => input.checked)
+        .map((input) => input.value);
+      hierarchyRelations = checked.length && checked.length < relations.length ? new Set(checked) : null;
+      updateHierarchyRelationsLabel();
+      if (currentGraph.nodes.length && currentLayout === 'hierarchical') {
+        renderGraph(currentGraph);
+      }
+    });
+    checkbox.value = relation;
+    label.append(checkbox, ` ${relation}`);
+    list.appendChild(label);
+  });
+  if (!relations.length) {
+    list.innerHTML = '<span class="menu-option">No relations loaded</span>';
+  }
+  updateHierarchyRelationsLabel();
+}
+
+function updateHierarchyRelationsLabel() {
+  document.getElementById('hierarchyRelationsLabel').textContent = hierarchyRelations
+    ? `${hierarchyRelations.size} relation${hierarchyRelations.size !== 1 ? 's' : ''}`
+    : 'All relations';
+}
+
+// Categorical colors for the first eight relations, golden-ratio hues after that.
+// Always hex so the value fits a color input.
+function relationColor(index) {
+  if (index < d3.schemeDark2.length) return d3.schemeDark2[index];
+  return d3.color(d3.interpolateRainbow((index * 0.618033988749895) % 1)).formatHex();
+}
+
+// New relations get the next color; known ones keep their style across reloads
+function syncRelationStyles() {
+  const relations = [...new Set(currentGraph.edges.map((edge) => edge.relation || ''))].sort();
+  relations.forEach((relation) => {
+    if (!relationStyles.has(relation)) {
+      relationStyles.set(relation, { color: relationColor(relationStyles.size), dashed: false, visible: true });
+    }
+  });
+}
+
+function relationStyle(relation) {
+  return relationStyles.get(relation || '') || { color: '#4f46e5', dashed: false, visible: true };
+}
+
+// Color and dash changes restyle the rendered edges in place; visibility needs a re-render
+function applyRelationStyles() {
+  if (!svg) return;
+  svg
+    .selectAll('path.link')
+    .attr('stroke', (d) => relationStyle(d.relation).color)
+    .classed('dashed', (d) => relationStyle(d.relation).dashed);
+  svg.selectAll('marker.relation-arrow path').attr('fill', (relation) => relationStyle(relation).color);
+  svg.selectAll('g.link-label-wrapper rect').attr('stroke', (d) => relationStyle(d.relation).color);
+  scheduleCanvasDraw();
+}
+
+function renderRelationLegend() {
+  const legend = document.getElementById('relationLegend');
+  const list = document.getElementById('relationLegendList');
+  syncRelationStyles();
+  const counts = d3.rollup(currentGraph.edges, (edges) => edges.length, (edge) => edge.relation || '');
+  // Unlabeled edges are listed last
+  const relations = [...counts.keys()].sort((a, b) => (!a - !b) || a.localeCompare(b));
+  legend.hidden = !relations.length;
+  list.innerHTML = '';
+
+  relations.forEach((relation) => {
+    const style = relationStyles.get(relation);
+    const item = document.createElement('li');
+    item.className = 'relation-item';
+    item.classList.toggle('muted', !style.visible);
+    item.innerHTML = `<label class="relation-toggle">
+        <input type="checkbox" ${style.visible ? 'checked' : ''} />
+        <span class="relation-name">${relation ? escapeHtml(relation) : '<em>No relation</em>'}</span>
+      </label>
+      <span class="relation-count">${counts.get(relation)}</span>
+      <input type="color" class="relation-color" value="${style.color}" title="Edge color" />
+      <button type="button" class="relation-dash" aria-pressed="${style.dashed}" title="Dashed edges">
+        <svg viewBox="0 0 24 8" aria-hidden="true">
+          <line x1="1" y1="4" x2="23" y2="4" stroke="${style.color}" stroke-width="2"${
+            style.dashed ? ' stroke-dasharray="4 3"' : ''
+          } />
+        </svg>
+      </button>`;
+    item.querySelector('input[type="checkbox"]').addEventListener('change', (event) => {
+      style.visible = event.target.checked;
+      renderRelationLegend();
+      renderVisibleGraph();
+    });
+    item.querySelector('.relation-color').addEventListener('input', (event) => {
+      style.color = event.target.value;
+      item.querySelector('.relation-dash line').setAttribute('stroke', style.color);
+      applyRelationStyles();
+      scheduleWorkspaceSave();
+    });
+    item.querySelector('.relation-dash').addEventListener('click', () => {
+      style.dashed = !style.dashed;
+      renderRelationLegend();
+      applyRelationStyles();
+      scheduleWorkspaceSave();
+    });
+    list.appendChild(item);
+  });
+
+  const hiddenEdges = currentGraph.edges.filter((edge) => !relationStyle(edge.relation).visible).length;
+  document.getElementById('relationLegendSummary').textContent = hiddenEdges
+    ? `${hiddenEdges} hidden`
+    : '';
+}
+
+function showAllRelations() {
+  relationStyles.forEach((style) => {
+    style.visible = true;
+  });
+  renderRelationLegend();
+  renderVisibleGraph();
+}
+
+function typeColor(index) {
+  if (index < d3.schemeSet3.length) return d3.schemeSet3[index];
+  // Lightened so node labels stay readable on top
+  return d3.interpolateRgb(d3.interpolateSinebow((index * 0.618033988749895) % 1), '#fff')(0.4);
+}
+
+// New types get the next color and shape; known ones keep their style across reloads.
+// Untyped nodes stay white circles.
+function syncTypeStyles() {
+  const types = [...new Set(currentGraph.nodes.flatMap(nodeTypes))].sort();
+  types.forEach((type) => {
+    if (!typeStyles.has(type)) {
+      const index = [...typeStyles.keys()].filter(Boolean).length;
+      typeStyles.set(type, { color: typeColor(index), shape: NODE_SHAPES[index % NODE_SHAPES.length], visible: true });
+    }
+  });
+  if (!typeStyles.has('')) {
+    typeStyles.set('', { color: '#fff', shape: 'circle', visible: true });
+  }
+}
+
+function typeStyle(type) {
+  return typeStyles.get(type || '') || { color: '#fff', shape: 'circle', visible: true };
+}
+
+// A node with several types shows while any of them does
+function nodeTypeVisible(node) {
+  const types = nodeTypes(node);
+  return types.length ? types.some((type) => typeStyle(type).visible) : typeStyle('').visible;
+}
+
+// Record on every node and edge why it breaks the loaded type schema (schemaViolation)
+function applyTypeSchema(graph) {
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  graph.nodes.forEach((node) => {
+    node.schemaViolation = typeSchema ? nodeSchemaViolation(node, typeSchema.schema) : null;
+  });
+  graph.edges.forEach((edge) => {
+    edge.schemaViolation = typeSchema
+      ? edgeSchemaViolation(
+          edge,
+          nodeById.get(edgeEndpointId(edge.source)),
+          nodeById.get(edgeEndpointId(edge.target)),
+          typeSchema.schema,
+        )
+      : null;
+  });
+}
+
+function renderTypeLegend() {
+  const legend = document.getElementById('typeLegend');
+  const list = document.getElementById('typeLegendList');
+  syncTypeStyles();
+  const counts = new Map();
+  currentGraph.nodes.forEach((node) => {
+    const types = nodeTypes(node);
+    (types.length ? types : ['']).forEach((type) => counts.set(type, (counts.get(type) || 0) + 1));
+  });
+  // The legend appears once a node has a type or a schema is loaded; untyped nodes are listed last
+  const types = [...counts.keys()].sort((a, b) => (!a - !b) || a.localeCompare(b));
+  legend.hidden = !typeSchema && !types.some(Boolean);
+  list.innerHTML = '';
+
+  types.forEach((type) => {
+    const style = typeStyles.get(type);
+    const item = document.createElement('li');
+    item.className = 'relation-item';
+    item.classList.toggle('muted', !style.visible);
+    item.innerHTML = `<label class="relation-toggle">
+        <input type="checkbox" ${style.visible ? 'checked' : ''} />
+        <svg class="type-shape" viewBox="-12 -12 24 24" aria-hidden="true">
+          <path d="${nodeShapePath(style.shape, 9)}" fill="${style.color}" />
+        </svg>
+        <span class="relation-name">${type ? escapeHtml(type) : '<em>No type</em>'}</span>
+      </label>
+      <span class="relation-count">${counts.get(type)}</span>
+      <input type="color" class="relation-color" value="${d3.color(style.color).formatHex()}" title="Node color" />
+      <select class="type-shape-select" title="Node shape">
+        ${NODE_SHAPES.map(
+          (shape) => `<option value="${shape}" ${shape === style.shape ? 'selected' : ''}>${shape}</option>`,
+        ).join('')}
+      </select>`;
+    item.querySelector('input[type="checkbox"]').addEventListener('change', (event) => {
+      style.visible = event.target.checked;
+      renderTypeLegend();
+      renderVisibleGraph();
+    });
+    item.querySelector('.relation-color').addEventListener('input', (event) => {
+      style.color = event.target.value;
+      item.querySelector('.type-shape path').setAttribute('fill', style.color);
+      updateNodeStyles();
+      scheduleWorkspaceSave();
+    });
+    item.querySelector('.type-shape-select').addEventListener('change', (event) => {
+      style.shape = event.target.value;
+      renderTypeLegend();
+      updateNodeStyles();
+      scheduleWorkspaceSave();
+    });
+    list.appendChild(item);
+  });
+
+  const hiddenNodes = currentGraph.nodes.filter((node) => !nodeTypeVisible(node)).length;
+  document.getElementById('typeLegendSummary').textContent = hiddenNodes ? `${hiddenNodes} hidden` : '';
+
+  const schemaStatus = document.getElementById('typeSchemaStatus');
+  schemaStatus.hidden = !typeSchema;
+  document.getElementById('typeSchemaRemoveButton').hidden = !typeSchema;
+  if (typeSchema) {
+    const violations = [...currentGraph.nodes, ...currentGraph.edges].filter((element) => element.schemaViolation).length;
+    schemaStatus.classList.toggle('has-violations', violations > 0);
+    schemaStatus.textContent = `${typeSchema.fileName}: ${
+      violations ? `${violations} violation${violations !== 1 ? 's' : ''}, outlined in red` : 'no violations'
+    }`;
+  }
+}
+
+function showAllTypes() {
+  typeStyles.forEach((style) => {
+    style.visible = true;
+  });
+  renderTypeLegend();
+  renderVisibleGraph();
+}
+
+async function loadTypeSchemaFile(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  try {
+    const json = JSON.parse(await readTextFile(file));
+    typeSchema = { fileName: file.name, json, schema: parseTypeSchema(json) };
+    statusMessage.textContent = `Checking relations against the type schema ${file.name}.`;
+    rebuildGraph();
+  } catch (error) {
+    statusMessage.textContent = `Could not load the type schema ${file.name}: ${error.message}`;
+  }
+}
+
+function removeTypeSchema() {
+  typeSchema = null;
+  rebuildGraph();
+}
+
+function initEditing() {
+  const editModeToggle = document.getElementById('editModeToggle');
+  const editForm = document.getElementById('editPanel');
+  // d3-zoom zooms in on double-click; in edit mode a double-click adds a node instead
+  const zoomOnDoubleClick = svg.on('dblclick.zoom');
+
+  editModeToggle.addEventListener('change', (event) => {
+    editMode = event.target.checked;
+    svg.classed('editing', editMode);
+    svg.on('dblclick.zoom', editMode ? null : zoomOnDoubleClick);
+    document.getElementById('addNodeButton').disabled = !editMode;
+    if (!editMode) {
+      closeEditForm();
+    }
+  });
+  svg.on('dblclick.edit', (event) => {
+    if (editMode && event.target === svg.node() && !canvasHitAt(event)) {
+      openEditForm({ type: 'new' });
+    }
+  });
+  document.getElementById('addNodeButton').addEventListener('click', () => openEditForm({ type: 'new' }));
+  document.getElementById('undoButton').addEventListener('click', undoEdit);
+  document.getElementById('redoButton').addEventListener('click', redoEdit);
+  document.getElementById('editDeleteButton').addEventListener('click', deleteEditTarget);
+  document.getElementById('editCloseButton').addEventListener('click', closeEditForm);
+  editForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveEditForm();
+  });
+
+  document.addEventListener('keydown', (event) => {
+    // Text fields keep their own undo and Delete behavior
+    if (event.target.closest('input, textarea, select')) return;
+    const key = event.key.toLowerCase();
+    if ((event.ctrlKey || event.metaKey) && key === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) {
+        redoEdit();
+      } else {
+        undoEdit();
+      }
+    } else if ((event.ctrlKey || event.metaKey) && key === 'y') {
+      event.preventDefault();
+      redoEdit();
+    } else if (editMode && editTarget && editTarget.type !== 'new' && (key === 'delete' || key === 'backspace')) {
+      event.preventDefault();
+      deleteEditTarget();
+    } else if (key === 'escape' && editTarget) {
+      closeEditForm();
+    }
+  });
+  updateEditButtons();
+}
+
+// Check a command against the graph edits replay on (hidden nodes included), then record it and rebuild
+function runEdit(command) {
+  try {
+    applyGraphEdit({ nodes: [...editedGraph.nodes], edges: [...editedGraph.edges] }, command);
+  } catch (error) {
+    statusMessage.textContent = `Edit failed: ${error.message}`;
+    return false;
+  }
+  editHistory.push(command);
+  redoStack = [];
+  rebuildGraph();
+  statusMessage.textContent = `${describeEdit(command)}.`;
+  return true;
+}
+
+function undoEdit() {
+  if (!editHistory.length) return;
+  const command = editHistory.pop();
+  redoStack.push(command);
+  rebuildGraph();
+  statusMessage.textContent = `Undid: ${describeEdit(command)}.`;
+}
+
+function redoEdit() {
+  if (!redoStack.length) return;
+  const command = redoStack.pop();
+  editHistory.push(command);
+  rebuildGraph();
+  statusMessage.textContent = `Redid: ${describeEdit(command)}.`;
+}
+
+function updateEditButtons() {
+  const undoButton = document.getElementById('undoButton');
+  const redoButton = document.getElementById('redoButton');
+  undoButton.disabled = !editHistory.length;
+  redoButton.disabled = !redoStack.length;
+  undoButton.title = editHistory.length
+    ? `Undo ${describeEdit(editHistory[editHistory.length - 1])} (Ctrl+Z)`
+    : 'Nothing to undo';
+  redoButton.title = redoStack.length
+    ? `Redo ${describeEdit(redoStack[redoStack.length - 1])} (Ctrl+Shift+Z)`
+    : 'Nothing to redo';
+}
+
+function describeEdit(command) {
+  const edgeLabel = (key) => {
+    const [source, target, relation] = key.split('|');
+    return `${nodeLabel(source)} —${relation === 'undefined' ? '' : relation}→ ${nodeLabel(target)}`;
+  };
+  switch (command.type) {
+    case 'addNode':
+      return `Added node "${command.node.name || command.node.id}"`;
+    case 'updateNode':
+      return `Edited node "${nodeLabel(command.id)}"`;
+    case 'removeNode':
+      return `Deleted node "${nodeLabel(command.id)}"`;
+    case 'addEdge':
+      return `Added relation ${edgeLabel(edgeKey(command.edge))}`;
+    case 'updateEdge':
+      return `Edited relation ${edgeLabel(command.key)}`;
+    case 'removeEdge':
+      return `Deleted relation ${edgeLabel(command.key)}`;
+    default:
+      return command.type;
+  }
+}
+
+function createEdge(source, target) {
+  const edge = { source, target, relation: lastEditRelation, reference: [] };
+  if (runEdit({ type: 'addEdge', edge })) {
+    openEditForm({ type: 'edge', key: edgeKey(edge) });
+    document.getElementById('editRelation').select();
+  }
+}
+
+function openEditForm(target) {
+  editTarget = target;
+  renderEditPanel();
+  renderDetailsPanel();
+  const form = document.getElementById('editPanel');
+  if (!form.hidden) {
+    form.querySelector(target.type === 'edge' ? '#editRelation' : '#editName').focus();
+  } else if (compareVersions) {
+    statusMessage.textContent = 'Only what is in the newer version can be edited.';
+  }
+}
+
+function closeEditForm() {
+  editTarget = null;
+  renderEditPanel();
+  renderDetailsPanel();
+}
+
+// Fill the edit form from the edited graph; it closes when its element no longer exists
+function renderEditPanel() {
+  updateEditButtons();
+  const form = document.getElementById('editPanel');
+  const relationOptions = document.getElementById('relationOptions');
+  relationOptions.innerHTML = '';
+  [...new Set(editedGraph.edges.map((edge) => edge.relation).filter(Boolean))].sort().forEach((relation) => {
+    const option = document.createElement('option');
+    option.value = relation;
+    relationOptions.appendChild(option);
+  });
+
+  const node = editTarget && editTarget.type === 'node'
+    ? editedGraph.nodes.find((candidate) => candidate.id === editTarget.id)
+    : null;
+  const edge = editTarget && editTarget.type === 'edge'
+    ? editedGraph.edges.find((candidate) => edgeKey(candidate) === editTarget.key)
+    : null;
+  if (!editMode || !editTarget || (editTarget.type !== 'new' && !node && !edge)) {
+    editTarget = null;
+    form.hidden = true;
+    return;
+  }
+
+  form.hidden = false;
+  form.querySelector('[data-edit-fields="node"]').hidden = Boolean(edge);
+  form.querySelector('[data-edit-fields="edge"]').hidden = !edge;
+  document.getElementById('editDeleteButton').hidden = editTarget.type === 'new';
+  const title = document.getElementById('editPanelTitle');
+  const meta = document.getElementById('editPanelMeta');
+  if (edge) {
+    title.textContent = 'Relation';
+    meta.textContent = `${nodeLabel(edgeEndpointId(edge.source))} → ${nodeLabel(edgeEndpointId(edge.target))}`;
+    document.getElementById('editRelation').value = edge.relation || '';
+    document.getElementById('editReferences').value = (edge.reference || []).join('\n');
+    document.getElementById('editWeight').value = typeof edge.weight === 'number' ? edge.weight : '';
+    document.getElementById('editConfidence').value = typeof edge.confidence === 'number' ? edge.confidence : '';
+  } else {
+    title.textContent = node ? 'Node' : 'New node';
+    meta.textContent = node ? `id: ${node.id}` : 'The id is derived from the name.';
+    document.getElementById('editName').value = node ? node.name || '' : '';
+    document.getElementById('editDescription').value = node ? node.description || '' : '';
+  }
+}
+
+function saveEditForm() {
+  if (!editTarget) return;
+  const name = document.getElementById('editName').value.trim();
+  const description = document.getElementById('editDescription').value.trim();
+
+  if (editTarget.type === 'new') {
+    if (!name) {
+      statusMessage.textContent = 'Edit failed: a new node needs a name.';
+      return;
+    }
+    const node = { id: uniqueNodeId(editedGraph, name), name };
+    if (description) node.description = description;
+    if (runEdit({ type: 'addNode', node })) {
+      openEditForm({ type: 'node', id: node.id });
+    }
+  } else if (editTarget.type === 'node') {
+    const node = editedGraph.nodes.find((candidate) => candidate.id === editTarget.id);
+    const changes = {};
+    if (name !== (node.name || '')) changes.name = name;
+    if (description !== (node.description || '')) changes.description = description;
+    if (Object.keys(changes).length) {
+      runEdit({ type: 'updateNode', id: node.id, changes });
+    }
+  } else {
+    const edge = editedGraph.edges.find((candidate) => edgeKey(candidate) === editTarget.key);
+    const relation = document.getElementById('editRelation').value.trim() || undefined;
+    const reference = document
+      .getElementById('editReferences')
+      .value.split('\n')
+      .map((ref) => ref.trim())
+      .filter(Boolean);
+    const numbers = {};
+    for (const field of EDGE_NUMBER_FIELDS) {
+      const input = document.getElementById(field === 'weight' ? 'editWeight' : 'editConfidence');
+      if (!input.checkValidity()) {
+        statusMessage.textContent = `Edit failed: the ${field} is out of range.`;
+        return;
+      }
+      // An empty field removes the value
+      numbers[field] = input.value === '' ? null : Number(input.value);
+    }
+    const changes = {};
+    if (relation !== edge.relation) changes.relation = relation;
+    if (reference.join('\n') !== (edge.reference || []).join('\n')) changes.reference = reference;
+    EDGE_NUMBER_FIELDS.forEach((field) => {
+      const current = typeof edge[field] === 'number' ? edge[field] : null;
+      if (numbers[field] !== current) changes[field] = numbers[field];
+    });
+    if (!Object.keys(changes).length) return;
+    const key = editTarget.key;
+    const updatedKey = edgeKey({ ...edge, ...changes });
+    if (runEdit({ type: 'updateEdge', key, changes })) {
+      if (relation) lastEditRelation = relation;
+      openEditForm({ type: 'edge', key: updatedKey });
+    }
+  }
+}
+
+function deleteEditTarget() {
+  if (!editTarget || editTarget.type === 'new') return;
+  const command = editTarget.type === 'node'
+    ? { type: 'removeNode', id: editTarget.id }
+    : { type: 'removeEdge', key: editTarget.key };
+  // Describe it while the element still exists so the message can use its name
+  const description = describeEdit(command);
+  editTarget = null;
+  if (runEdit(command)) {
+    statusMessage.textContent = `${description}.`;
+  }
+}
+
+function isSimulatedLayout() {
+  return currentLayout === 'force' || currentLayout === 'clustered' || currentLayout === 'typed';
+}
+
+// The group a node is pulled towards: its community, or its first type in the typed layout
+function clusterKey(node) {
+  return currentLayout === 'typed' ? primaryNodeType(node) : node.community;
+}
+
+// Group centers on a circle (or spiral for many groups), area proportional to size
+function clusterCenters(nodes, width, height) {
+  const sizes = d3.rollup(nodes, (members) => members.length, clusterKey);
+  const groups = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a));
+  const centers = new Map();
+  if (groups.length === 1) {
+    centers.set(groups[0], { x: width / 2, y: height / 2 });
+    return centers;
+  }
+  const spacing = Math.max(120, Math.sqrt(nodes.length) * 35);
+  groups.forEach((group, index) => {
+    const angle = index * 2.399963229728653;
+    const radius = spacing * Math.sqrt(index + 0.5);
+    centers.set(group, {
+      x: width / 2 + radius * Math.cos(angle),
+      y: height / 2 + radius * Math.sin(angle),
+    });
+  });
+  return centers;
+}
+
+// Shift+click adds to (or removes from) the selection; a plain click selects only this node,
+// or nothing when it already was the only selected element
+function toggleNodeSelection(id, additive) {
+  if (additive) {
+    const ids = new Set(selectedNodeIds);
+    if (ids.has(id)) {
+      ids.delete(id);
+    } else {
+      ids.add(id);
+    }
+    setSelection([...ids], [...selectedEdgeKeys]);
+  } else {
+    const onlySelected = selectedNodeIds.size === 1 && selectedNodeIds.has(id) && !selectedEdgeKeys.size;
+    setSelection(onlySelected ? [] : [id]);
+  }
+}
+
+function toggleEdgeSelection(key, additive) {
+  if (additive) {
+    const keys = new Set(selectedEdgeKeys);
+    if (keys.has(key)) {
+      keys.delete(key);
+    } else {
+      keys.add(key);
+    }
+    setSelection([...selectedNodeIds], [...keys]);
+  } else {
+    const onlySelected = selectedEdgeKeys.size === 1 && selectedEdgeKeys.has(key) && !selectedNodeIds.size;
+    setSelection([], onlySelected ? [] : [key]);
+  }
+}
+
+function setSelection(ids, edgeKeys = []) {
+  selectedNodeIds = new Set(ids);
+  selectedEdgeKeys = new Set(edgeKeys);
+  if (svg) {
+    svg.selectAll('g.node').classed('selected', (d) => selectedNodeIds.has(d.id));
+    svg.selectAll('path.link').classed('selected', (d) => selectedEdgeKeys.has(edgeKey(d)));
+    svg.selectAll('g.link-label-wrapper').classed('selected', (d) => selectedEdgeKeys.has(edgeKey(d)));
+  }
+  scheduleCanvasDraw();
+  scheduleMinimapUpdate();
+  renderDetailsPanel();
+}
+
+// Move the view to a point of the graph without changing the zoom level
+function panTo(x, y) {
+  if (!svg || !zoomBehavior || !isFinite(x) || !isFinite(y)) return;
+  svg.transition().duration(400).call(zoomBehavior.translateTo, x, y);
+}
 
-  const links = graph.edges.map((edge) => {
-    const link = { ...edge };
-    // Pre-resolve node references for static layouts
-    link.sourceNode = nodeMap.get(link.source);
-    link.targetNode = nodeMap.get(link.target);
-    return link;
+function initDetailsPanel() {
+  document.getElementById('detailsCloseButton').addEventListener('click', () => setSelection([]));
+  // Node and relation names in the panel navigate to them; Shift+click adds them instead
+  document.getElementById('detailsBody').addEventListener('click', (event) => {
+    const target = event.target.closest('[data-node-id], [data-edge-key], [data-copy]');
+    if (!target) return;
+    const { nodeId, edgeKey: key, copy } = target.dataset;
+    if (copy !== undefined) {
+      copyText(copy);
+    } else if (nodeId !== undefined) {
+      if (event.shiftKey) {
+        toggleNodeSelection(nodeId, true);
+        return;
+      }
+      setSelection([nodeId]);
+      const node = renderedNodeById.get(nodeId);
+      if (node) panTo(node.x, node.y);
+    } else {
+      if (event.shiftKey) {
+        toggleEdgeSelection(key, true);
+        return;
+      }
+      setSelection([], [key]);
+      const edge = currentGraph.edges.find((candidate) => edgeKey(candidate) === key);
+      const source = edge && renderedNodeById.get(edgeEndpointId(edge.source));
+      const target = edge && renderedNodeById.get(edgeEndpointId(edge.target));
+      if (source && target) panTo((source.x + target.x) / 2, (source.y + target.y) / 2);
+    }
   });
+}
 
-  const link = linkGroup
-    .selectAll('line')
-    .data(links)
-    .enter()
-    .append('line')
-    .attr('class', 'link')
-    .attr('marker-end', 'url(#arrowhead)')
-    .on('mouseenter', (event, d) =>
-      showTooltip(event, formatEdgeTooltip(d)),
-    )
-    .on('mousemove', updateTooltipPosition)
-    .on('mouseleave', hideTooltip);
+function copyText(text) {
+  if (!navigator.clipboard) {
+    statusMessage.textContent = 'This browser does not allow copying from the page; select the text instead.';
+    return;
+  }
+  navigator.clipboard.writeText(text).then(
+    () => {
+      statusMessage.textContent = `Copied ${text}`;
+    },
+    (error) => {
+      statusMessage.textContent = `Could not copy: ${error.message}`;
+    },
+  );
+}
 
-  const linkLabels = labelGroup
-    .selectAll('g')
-    .data(links)
-    .enter()
-    .append('g')
-    .attr('class', 'link-label-wrapper')
-    .style('pointer-events', 'auto')
-    .on('mouseenter', (event, d) =>
-      showTooltip(event, formatEdgeTooltip(d)),
-    )
-    .on('mousemove', updateTooltipPosition)
-    .on('mouseleave', hideTooltip);
-
-  linkLabels
-    .append('rect')
-    .attr('class', 'link-label-bg')
-    .attr('rx', 6)
-    .attr('ry', 6)
-    .attr('fill', 'rgba(255, 255, 255, 0.85)')
-    .attr('stroke', 'rgba(79, 70, 229, 0.25)')
-    .attr('stroke-width', 1);
-
-  linkLabels
-    .append('text')
-    .attr('class', 'link-label')
-    .attr('text-anchor', 'middle')
-    .attr('alignment-baseline', 'middle')
-    .text((d) => d.relation || '');
+// The selected nodes and relations stay in a side panel until the selection changes, so
+// their references can be clicked and copied. The edit form takes its place while open.
+function renderDetailsPanel() {
+  const panel = document.getElementById('detailsPanel');
+  const nodes = currentGraph.nodes.filter((node) => selectedNodeIds.has(node.id));
+  const edges = currentGraph.edges.filter((edge) => selectedEdgeKeys.has(edgeKey(edge)));
+  panel.hidden = (!nodes.length && !edges.length) || !document.getElementById('editPanel').hidden;
+  if (panel.hidden) return;
 
-  const node = nodeGroup
-    .selectAll('g')
-    .data(nodes)
-    .enter()
-    .append('g')
-    .attr('class', 'node')
-    .call(
-      d3
-        .drag()
-        .on('start', dragStarted)
-        .on('drag', dragged)
-        .on('end', dragEnded),
-    )
-    .on('mouseenter', (event, d) =>
-      showTooltip(event, formatNodeTooltip(d)),
+  const title = document.getElementById('detailsTitle');
+  const body = document.getElementById('detailsBody');
+  if (nodes.length + edges.length > 1) {
+    title.textContent = `${[
+      nodes.length ? `${nodes.length} node${nodes.length !== 1 ? 's' : ''}` : '',
+      edges.length ? `${edges.length} relation${edges.length !== 1 ? 's' : ''}` : '',
+    ]
+      .filter(Boolean)
+      .join(' and ')} selected`;
+    body.innerHTML = formatSelectionDetails(nodes, edges);
+  } else if (nodes.length) {
+    title.textContent = nodes[0].name || nodes[0].id;
+    body.innerHTML = formatNodeDetails(nodes[0]);
+  } else {
+    title.textContent = edges[0].relation || 'Relation';
+    body.innerHTML = formatEdgeDetails(edges[0]);
+  }
+}
+
+function detailsNodeLink(id) {
+  return `<button type="button" class="details-link" data-node-id="${escapeHtml(id)}">${escapeHtml(nodeLabel(id))}</button>`;
+}
+
+function detailsEdgeLink(edge) {
+  return `<button type="button" class="details-link" data-edge-key="${escapeHtml(edgeKey(edge))}">${escapeHtml(
+    edge.relation || 'related_to',
+  )}</button>`;
+}
+
+// <dl> of [label, html] rows, skipping empty ones
+function detailsList(rows) {
+  const items = rows.filter((row) => row && row[1] !== '');
+  return items.length
+    ? `<dl class="details-fields">${items.map(([label, html]) => `<dt>${escapeHtml(label)}</dt><dd>${html}</dd>`).join('')}</dl>`
+    : '';
+}
+
+function formatAttributeValue(value) {
+  if (Array.isArray(value)) return value.map(formatAttributeValue).join(', ');
+  if (value && typeof value === 'object') return `<code>${escapeHtml(JSON.stringify(value))}</code>`;
+  return linkifyText(String(value));
+}
+
+// `edges` as "—relation→ Target" (outgoing) or "Source —relation→" (incoming) entries
+function formatDetailsRelations(heading, edges, outgoing) {
+  if (!edges.length) return '';
+  const items = edges
+    .slice(0, DETAILS_RELATION_LIMIT)
+    .map((edge) =>
+      outgoing
+        ? `<li>—${detailsEdgeLink(edge)}→ ${detailsNodeLink(edgeEndpointId(edge.target))}</li>`
+        : `<li>${detailsNodeLink(edgeEndpointId(edge.source))} —${detailsEdgeLink(edge)}→</li>`,
     )
-    .on('mousemove', updateTooltipPosition)
-    .on('mouseleave', hideTooltip);
-
-  // Create color scale for metrics - using Viridis for better visibility
-  const colorScale = d3.scaleSequential(d3.interpolateViridis).domain([0, 1]);
-
-  // Get metric key for current metric
-  const metricKey = currentMetric === 'degree' ? 'normalizedDegree' : currentMetric;
-
-  node
-    .append('circle')
-    .attr('r', (d) => {
-      if (!sizeByMetric || !metricsCalculated) return 22;
-      // Map metric value to radius 10-40
-      const metricValue = d[metricKey] || 0;
-      return 10 + metricValue * 30;
+    .join('');
+  const more = edges.length > DETAILS_RELATION_LIMIT
+    ? `<li class="panel-hint">and ${edges.length - DETAILS_RELATION_LIMIT} more</li>`
+    : '';
+  return `<h3>${heading} (${edges.length})</h3><ul class="details-relations">${items}${more}</ul>`;
+}
+
+function formatNodeDetails(node) {
+  const percent = (field) => `${((node[field] || 0) * 100).toFixed(1)}%`;
+  const metrics = metricsCalculated
+    ? detailsList([
+        ['Degree', `${node.degree || 0} (in: ${node.inDegree || 0}, out: ${node.outDegree || 0})`],
+        ['PageRank', percent('pagerank')],
+        ['Betweenness', percent('betweenness')],
+        ['Closeness', percent('closeness')],
+        ['Eigenvector', percent('eigenvector')],
+        ['HITS', `hub ${percent('hub')}, authority ${percent('authority')}`],
+      ])
+    : '';
+  const attributes = detailsList([
+    ['Id', escapeHtml(node.id)],
+    ['Type', nodeTypes(node).map(escapeHtml).join(', ')],
+    ['Aliases', (Array.isArray(node.aliases) ? node.aliases : []).map(escapeHtml).join(', ')],
+    ['Valid', escapeHtml(formatTimeInterval(node))],
+    ['Sources', (node.sources || []).map(escapeHtml).join(', ')],
+    ...Object.keys(node)
+      .filter((field) => !DETAILS_HIDDEN_FIELDS.has(field) && node[field] !== undefined && node[field] !== null)
+      .map((field) => [field, formatAttributeValue(node[field])]),
+  ]);
+  const notes = [
+    node.schemaViolation ? `<p class="details-violation">${escapeHtml(node.schemaViolation)}</p>` : '',
+    Array.isArray(node.conflicts) && node.conflicts.length
+      ? `<p class="panel-hint">Files disagree about its ${node.conflicts.map(escapeHtml).join(', ')}.</p>`
+      : '',
+  ].join('');
+  const edges = currentGraph.edges;
+  return `${formatDiffDetails(node)}
+    ${node.description ? `<div class="details-description">${renderMarkdown(node.description)}</div>` : ''}
+    ${notes}${attributes}
+    ${metrics ? `<h3>Metrics</h3>${metrics}` : ''}
+    ${formatDetailsRelations('Outgoing', edges.filter((edge) => edgeEndpointId(edge.source) === node.id), true)}
+    ${formatDetailsRelations('Incoming', edges.filter((edge) => edgeEndpointId(edge.target) === node.id), false)}`;
+}
+
+function formatEdgeDetails(edge) {
+  const references = Array.isArray(edge.reference) ? edge.reference : [];
+  const referenceSources = edge.referenceSources || {};
+  const referenceItems = references
+    .map((ref) => {
+      const sources = referenceSources[ref] || [];
+      return `<li>
+        <span class="details-reference">${formatReference(ref)}</span>
+        <button type="button" class="small-button details-copy" data-copy="${escapeHtml(ref)}" title="Copy ${escapeHtml(
+          ref,
+        )}">Copy</button>
+        ${sources.length ? `<span class="tooltip-source">${sources.map(escapeHtml).join(', ')}</span>` : ''}
+      </li>`;
     })
-    .attr('fill', (d) => {
-      if (!colorByMetric || !metricsCalculated) return '#fff';
-      const metricValue = d[metricKey] || 0;
-      return colorScale(metricValue);
+    .join('');
+  return `<p class="details-endpoints">${detailsNodeLink(edgeEndpointId(edge.source))} → ${detailsNodeLink(
+    edgeEndpointId(edge.target),
+  )}</p>
+    ${formatDiffDetails(edge)}
+    ${edge.schemaViolation ? `<p class="details-violation">${escapeHtml(edge.schemaViolation)}</p>` : ''}
+    ${detailsList([
+      ['Weight', typeof edge.weight === 'number' ? `${+edge.weight.toFixed(3)}` : ''],
+      ['Confidence', typeof edge.confidence === 'number' ? `${Math.round(edge.confidence * 100)}%` : ''],
+      ['Valid', escapeHtml(formatTimeInterval(edge))],
+      ['Sources', (edge.sources || []).map(escapeHtml).join(', ')],
+    ])}
+    <h3>References (${references.length})</h3>
+    ${referenceItems ? `<ul class="details-references">${referenceItems}</ul>` : '<p class="panel-hint">No references.</p>'}`;
+}
+
+function formatSelectionDetails(nodes, edges) {
+  const nodeItems = nodes.map((node) => `<li>${detailsNodeLink(node.id)}</li>`).join('');
+  const edgeItems = edges
+    .map(
+      (edge) =>
+        `<li>${detailsNodeLink(edgeEndpointId(edge.source))} —${detailsEdgeLink(edge)}→ ${detailsNodeLink(
+          edgeEndpointId(edge.target),
+        )}</li>`,
+    )
+    .join('');
+  return `<p class="panel-hint">Click an element to show its details, Shift+click to remove it from the selection.</p>
+    ${nodeItems ? `<h3>Nodes</h3><ul class="details-relations">${nodeItems}</ul>` : ''}
+    ${edgeItems ? `<h3>Relations</h3><ul class="details-relations">${edgeItems}</ul>` : ''}`;
+}
+
+function resetZoom() {
+  if (svg && zoomBehavior) {
+    svg.call(zoomBehavior.transform, d3.zoomIdentity);
+  }
+}
+
+function zoomToFit() {
+  if (!renderedNodes.length) {
+    statusMessage.textContent = 'Load a graph to use the zoom commands.';
+    return;
+  }
+  zoomToNodes(renderedNodes);
+}
+
+function zoomToSelection() {
+  const nodes = renderedNodes.filter((node) => selectedNodeIds.has(node.id));
+  if (!nodes.length) {
+    statusMessage.textContent = 'Select nodes first (click, or Shift+click for several) to zoom to them.';
+    return;
+  }
+  zoomToNodes(nodes);
+}
+
+// Animate the view so the given nodes fill the canvas with some margin
+function zoomToNodes(nodes) {
+  const xs = nodes.map((node) => node.x).filter(isFinite);
+  const ys = nodes.map((node) => node.y).filter(isFinite);
+  if (!xs.length || !ys.length) return;
+
+  const margin = 80;
+  const [minX, maxX] = d3.extent(xs);
+  const [minY, maxY] = d3.extent(ys);
+  const { width, height } = renderedSize;
+  const boundsWidth = maxX - minX + margin * 2;
+  const boundsHeight = maxY - minY + margin * 2;
+  const [minScale, maxScale] = zoomBehavior.scaleExtent();
+  const scale = Math.max(
+    minScale,
+    Math.min(maxScale, 2, Math.min(width / boundsWidth, height / boundsHeight)),
+  );
+  const transform = d3.zoomIdentity
+    .translate(width / 2, height / 2)
+    .scale(scale)
+    .translate(-(minX + maxX) / 2, -(minY + maxY) / 2);
+  svg.transition().duration(600).call(zoomBehavior.transform, transform);
+}
+
+function initMinimap() {
+  const minimap = d3.select('#minimap');
+  minimap.append('g').attr('class', 'minimap-nodes');
+  minimap.append('rect').attr('class', 'minimap-viewport');
+
+  // Clicking or dragging on the minimap centers the main view on that point
+  const navigate = (event) => {
+    const [x, y] = d3.pointer(event, minimap.node());
+    svg.call(zoomBehavior.translateTo, x, y);
+  };
+  minimap
+    .on('pointerdown', (event) => {
+      navigate(event);
+      minimap.node().setPointerCapture(event.pointerId);
     })
-    .attr('stroke-width', 2);
+    .on('pointermove', (event) => {
+      if (event.buttons) navigate(event);
+    });
+}
+
+function scheduleMinimapUpdate() {
+  if (minimapFrame) return;
+  minimapFrame = requestAnimationFrame(() => {
+    minimapFrame = null;
+    updateMinimap();
+  });
+}
 
-  node
-    .append('text')
-    .text((d) => d.name || d.id);
+// The minimap draws in graph coordinates; its viewBox covers the nodes and the visible area
+function updateMinimap() {
+  const minimap = d3.select('#minimap');
+  minimap.classed('visible', renderedNodes.length > 0);
+  if (!renderedNodes.length) {
+    minimap.select('.minimap-nodes').selectAll('circle').remove();
+    return;
+  }
 
-  // Initialize node positions based on layout type
-  if (currentLayout === 'circular' && nodes.length > 0) {
-    const radius = Math.min(width, height) / 3;
-    // Sort by metric if metrics are available
-    let sortedNodes = nodes;
-    if (metricsCalculated) {
-      sortedNodes = [...nodes].sort((a, b) => (b[metricKey] || 0) - (a[metricKey] || 0));
+  const { width, height } = renderedSize;
+  const transform = d3.zoomTransform(svg.node());
+  const [viewX0, viewY0] = transform.invert([0, 0]);
+  const [viewX1, viewY1] = transform.invert([width, height]);
+  const positioned = renderedNodes.filter((node) => isFinite(node.x) && isFinite(node.y));
+  // Large graphs are thinned out to an even sample (plus the selection) to keep the minimap cheap
+  const step = Math.ceil(positioned.length / MINIMAP_NODE_LIMIT);
+  const shown = step > 1
+    ? positioned.filter((node, index) => index % step === 0 || selectedNodeIds.has(node.id))
+    : positioned;
+  const minX = Math.min(viewX0, d3.min(positioned, (node) => node.x) ?? viewX0) - 40;
+  const maxX = Math.max(viewX1, d3.max(positioned, (node) => node.x) ?? viewX1) + 40;
+  const minY = Math.min(viewY0, d3.min(positioned, (node) => node.y) ?? viewY0) - 40;
+  const maxY = Math.max(viewY1, d3.max(positioned, (node) => node.y) ?? viewY1) + 40;
+  const nodeRadius = Math.max(maxX - minX, maxY - minY) / 80;
+
+  minimap.attr('viewBox', `${minX} ${minY} ${maxX - minX} ${maxY - minY}`);
+  minimap
+    .select('.minimap-nodes')
+    .selectAll('circle')
+    .data(shown)
+    .join('circle')
+    .attr('cx', (d) => d.x)
+    .attr('cy', (d) => d.y)
+    .attr('r', nodeRadius)
+    .classed('selected', (d) => selectedNodeIds.has(d.id));
+  minimap
+    .select('.minimap-viewport')
+    .attr('x', viewX0)
+    .attr('y', viewY0)
+    .attr('width', viewX1 - viewX0)
+    .attr('height', viewY1 - viewY0);
+}
+
+function initCanvasRenderer() {
+  document.getElementById('rendererSelect').addEventListener('change', (e) => {
+    rendererMode = e.target.value;
+    if (currentGraph.nodes.length) {
+      renderGraph(currentGraph);
     }
-    sortedNodes.forEach((d, i) => {
-      const angle = (i / sortedNodes.length) * 2 * Math.PI;
-      d.x = width / 2 + radius * Math.cos(angle);
-      d.y = height / 2 + radius * Math.sin(angle);
+  });
+
+  // Pressing on a node drags it rather than panning the view. Without DOM elements per node
+  // the zoom filter and the drag subject look the node up instead.
+  const zoomFilter = zoomBehavior.filter();
+  zoomBehavior.filter(function (event) {
+    const hit = (event.type === 'mousedown' || event.type === 'touchstart') && canvasHitAt(event);
+    return zoomFilter.call(this, event) && !(hit && hit.node);
+  });
+  svg.call(
+    d3
+      .drag()
+      .filter((event) => canvasActive && !event.ctrlKey && !event.button)
+      // Drag coordinates are taken inside the viewport, i.e. in graph coordinates
+      .container(() => svg.select('g.viewport').node() || svg.node())
+      .subject((event) => findCanvasNode(currentCanvasHitIndex(), event.x, event.y, canvasHitPadding()))
+      .on('start', (event) => dragStarted(event, event.subject))
+      .on('drag', (event) => dragged(event, event.subject))
+      .on('end', (event) => dragEnded(event, event.subject)),
+  );
+
+  svg
+    .on('mousemove.canvas', (event) => {
+      if (!canvasActive || event.buttons) return;
+      const hit = canvasHitAt(event);
+      const item = hit ? hit.node || hit.link : null;
+      if (item !== canvasHover) {
+        canvasHover = item;
+        svg.classed('canvas-hover', Boolean(item));
+        if (!hit) {
+          hideTooltip();
+        } else {
+          showTooltip(event, hit.node ? formatNodeTooltip(hit.node) : formatEdgeTooltip(hit.link));
+        }
+        // Hovered nodes get their label even when labels are hidden at this zoom level
+        scheduleCanvasDraw();
+      } else if (item) {
+        updateTooltipPosition(event);
+      }
+    })
+    .on('mouseleave.canvas', () => {
+      if (!canvasHover) return;
+      canvasHover = null;
+      svg.classed('canvas-hover', false);
+      hideTooltip();
+      scheduleCanvasDraw();
     });
-  } else if (currentLayout === 'hierarchical' && nodes.length > 0) {
-    // Sort nodes by selected metric (or degree if metrics not calculated)
-    let sortedNodes;
-    if (metricsCalculated) {
-      sortedNodes = [...nodes].sort((a, b) => (b[metricKey] || 0) - (a[metricKey] || 0));
-    } else {
-      // Fallback to degree-based sorting
-      const degrees = new Map();
-      links.forEach((link) => {
-        const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
-        const targetId = typeof link.target === 'object' ? link.target.id : link.target;
-        degrees.set(sourceId, (degrees.get(sourceId) || 0) + 1);
-        degrees.set(targetId, (degrees.get(targetId) || 0) + 1);
-      });
-      sortedNodes = [...nodes].sort((a, b) => (degrees.get(b.id) || 0) - (degrees.get(a.id) || 0));
+}
+
+function setCanvasActive(active) {
+  canvasActive = active;
+  document.getElementById('graphCanvas').hidden = !active;
+  document.getElementById('rendererInUse').textContent =
+    rendererMode === 'auto' && renderedNodes.length ? (active ? 'canvas' : 'SVG') : '';
+  if (!active) {
+    canvasHover = null;
+    svg.classed('canvas-hover', false);
+  }
+  scheduleCanvasDraw();
+}
+
+function scheduleCanvasDraw() {
+  if (!canvasActive || canvasFrame) return;
+  canvasFrame = requestAnimationFrame(() => {
+    canvasFrame = null;
+    drawCanvas();
+  });
+}
+
+function drawCanvas() {
+  if (!canvasActive) return;
+  const state = highlightState();
+  drawCanvasGraph(document.getElementById('graphCanvas'), {
+    ...renderedSize,
+    transform: d3.zoomTransform(svg.node()),
+    fontFamily: getComputedStyle(svg.node()).fontFamily,
+    nodes: renderedNodes,
+    links: renderedLinks,
+    nodeById: renderedNodeById,
+    nodeStyle: (d) => ({
+      radius: nodeRadius(d),
+      fill: nodeFill(d),
+      shape: typeStyle(primaryNodeType(d)).shape,
+      violation: Boolean(d.schemaViolation),
+      removed: d.diff === 'removed',
+      selected: selectedNodeIds.has(d.id),
+      dimmed: state.nodeDimmed(d),
+      focused: state.nodeFocused(d),
+      emphasized: state.nodeHighlighted(d) || d === canvasHover,
+    }),
+    linkStyle: (d) => ({
+      ...relationStyle(d.relation),
+      width: d.strokeWidth,
+      opacity: d.strokeOpacity,
+      reversed: Boolean(d.reversed),
+      secondary: Boolean(d.secondary),
+      violation: Boolean(d.schemaViolation),
+      diff: d.diff,
+      selected: selectedEdgeKeys.has(edgeKey(d)),
+      dimmed: state.linkDimmed(d),
+      highlighted: state.linkHighlighted(d),
+      labelDimmed: state.labelDimmed(d),
+      labelFocused: state.labelFocused(d),
+    }),
+  });
+}
+
+function currentCanvasHitIndex() {
+  if (!canvasHitIndex) {
+    canvasHitIndex = createCanvasHitIndex(renderedNodes, renderedLinks, renderedNodeById, nodeRadius);
+  }
+  return canvasHitIndex;
+}
+
+// A few screen pixels around nodes still count as a hit, whatever the zoom level
+function canvasHitPadding() {
+  return 3 / d3.zoomTransform(svg.node()).k;
+}
+
+// What is under the pointer on the canvas: { node } or { link }, null over the background
+// (and always null while the SVG renderer is active)
+function canvasHitAt(event) {
+  if (!canvasActive) return null;
+  const pointer = event.touches ? event.touches[0] : event;
+  const [x, y] = d3.zoomTransform(svg.node()).invert(d3.pointer(pointer, svg.node()));
+  const index = currentCanvasHitIndex();
+  const node = findCanvasNode(index, x, y, canvasHitPadding());
+  if (node) return { node };
+  // Edges are picked along their line, or around their middle where the label sits
+  const { k } = d3.zoomTransform(svg.node());
+  const link = findCanvasLink(index, x, y, Math.max(3, 6 / k), Math.max(12, 10 / k));
+  return link ? { link } : null;
+}
+
+function initTimeline() {
+  document.getElementById('timelineMode').addEventListener('change', (e) => {
+    timelineMode = e.target.value;
+    if (timelineMode === 'all') {
+      stopTimelinePlayback();
+    }
+    rebuildGraph();
+  });
+  const startSlider = document.getElementById('timelineStart');
+  const endSlider = document.getElementById('timelineEnd');
+  startSlider.max = TIMELINE_STEPS;
+  endSlider.max = TIMELINE_STEPS;
+  startSlider.addEventListener('input', () => {
+    stopTimelinePlayback();
+    timelineStart = timelineSliderTime(startSlider.value);
+    // The end of a range moves along rather than ending before its start
+    if (timelineMode === 'range' && timelineEnd !== null && timelineEnd < timelineStart) {
+      timelineEnd = timelineStart;
+    }
+    rebuildGraph();
+  });
+  endSlider.addEventListener('input', () => {
+    stopTimelinePlayback();
+    timelineEnd = timelineSliderTime(endSlider.value);
+    if (timelineStart !== null && timelineStart > timelineEnd) {
+      timelineStart = timelineEnd;
     }
+    rebuildGraph();
+  });
+  document.getElementById('timelinePlayButton').addEventListener('click', toggleTimelinePlayback);
+}
 
-    const layers = Math.ceil(Math.sqrt(nodes.length));
-    const nodesPerLayer = Math.ceil(nodes.length / layers);
-    sortedNodes.forEach((d, i) => {
-      const layer = Math.floor(i / nodesPerLayer);
-      const posInLayer = i % nodesPerLayer;
-      d.x = (posInLayer + 0.5) * (width / nodesPerLayer);
-      d.y = (layer + 1) * (height / (layers + 1));
-      // Ensure values are valid numbers
-      if (!isFinite(d.x)) d.x = width / 2;
-      if (!isFinite(d.y)) d.y = height / 2;
-    });
-  } else {
-    // Force layout - initialize nodes with center position + small random offset
-    nodes.forEach((d) => {
-      if (!d.x) d.x = width / 2 + (Math.random() - 0.5) * 100;
-      if (!d.y) d.y = height / 2 + (Math.random() - 0.5) * 100;
-    });
+// Dates the timeline filters the graph on ({ from, to }), null when it shows everything
+function timelineRange() {
+  if (timelineMode === 'all' || !timelineExtent) return null;
+  const { min, max } = timelineExtent;
+  const clamp = (time, fallback) => Math.min(Math.max(time === null ? fallback : time, min), max);
+  const from = clamp(timelineStart, min);
+  if (timelineMode === 'date') {
+    return { from, to: from };
+  }
+  return { from, to: Math.max(from, clamp(timelineEnd, max)) };
+}
+
+// Slider positions fall on whole days (UTC) once the graph spans enough of them
+function timelineSliderTime(value) {
+  const { min, max } = timelineExtent;
+  const time = min + ((max - min) * Number(value)) / TIMELINE_STEPS;
+  const day = 24 * 60 * 60 * 1000;
+  return max - min >= 2 * TIMELINE_STEPS * day ? Math.min(Math.max(Math.round(time / day) * day, min), max) : time;
+}
+
+function timelineSliderValue(time) {
+  const { min, max } = timelineExtent;
+  return max > min ? Math.round(((time - min) / (max - min)) * TIMELINE_STEPS) : 0;
+}
+
+// The timeline only shows for graphs with dates
+function renderTimeline() {
+  const panel = document.getElementById('timelinePanel');
+  panel.hidden = !timelineExtent;
+  if (!timelineExtent) {
+    stopTimelinePlayback();
+    return;
+  }
+  const range = timelineRange() || { from: timelineExtent.min, to: timelineExtent.max };
+  const startSlider = document.getElementById('timelineStart');
+  const endSlider = document.getElementById('timelineEnd');
+  startSlider.value = timelineSliderValue(range.from);
+  endSlider.value = timelineSliderValue(range.to);
+  startSlider.disabled = timelineMode === 'all';
+  endSlider.hidden = timelineMode !== 'range';
+  startSlider.setAttribute('aria-label', timelineMode === 'range' ? 'Start of the range' : 'Date');
+  document.getElementById('timelineMode').value = timelineMode;
+  document.getElementById('timelineLabel').textContent =
+    range.from === range.to ? formatTimeValue(range.from) : `${formatTimeValue(range.from)} – ${formatTimeValue(range.to)}`;
+  const playButton = document.getElementById('timelinePlayButton');
+  playButton.textContent = timelinePlayback ? 'Pause' : 'Play';
+  playButton.setAttribute('aria-pressed', String(Boolean(timelinePlayback)));
+}
+
+// Playback moves the date (or the whole range) forward one slider position at a time; the
+// graph, its metrics and communities are rebuilt for every step
+function toggleTimelinePlayback() {
+  if (timelinePlayback) {
+    stopTimelinePlayback();
+    renderTimeline();
+    return;
+  }
+  if (!timelineExtent) return;
+  if (timelineMode === 'all') {
+    timelineMode = 'date';
+    timelineStart = timelineExtent.min;
   }
+  // Playing from the end starts over
+  const range = timelineRange();
+  if (range.to >= timelineExtent.max) {
+    timelineStart = timelineExtent.min;
+    timelineEnd = timelineExtent.min + (range.to - range.from);
+  }
+  timelinePlayback = setInterval(stepTimelinePlayback, TIMELINE_PLAYBACK_MS);
+  rebuildGraph();
+}
 
-  // Stop any existing simulation to prevent it from modifying our data
-  if (currentSimulation) {
-    currentSimulation.stop();
+function stepTimelinePlayback() {
+  const range = timelineRange();
+  if (!range) {
+    stopTimelinePlayback();
+    return;
+  }
+  const from = timelineSliderTime(timelineSliderValue(range.from) + 1);
+  const step = Math.min(from - range.from, timelineExtent.max - range.to);
+  timelineStart = range.from + step;
+  timelineEnd = range.to + step;
+  if (step <= 0 || timelineEnd >= timelineExtent.max) {
+    stopTimelinePlayback();
   }
+  rebuildGraph();
+}
+
+function stopTimelinePlayback() {
+  if (!timelinePlayback) return;
+  clearInterval(timelinePlayback);
+  timelinePlayback = null;
+}
 
-  let simulation;
+function initWorkspaces() {
+  document.getElementById('workspaceName').addEventListener('change', (event) => {
+    const name = event.target.value.trim();
+    if (!activeWorkspace || !name) {
+      renderWorkspacePanel();
+      return;
+    }
+    activeWorkspace.name = name;
+    saveWorkspace();
+  });
+  document.getElementById('workspaceNewButton').addEventListener('click', clearGraph);
+  document.getElementById('workspaceExportButton').addEventListener('click', async () => {
+    if (!activeWorkspace) return;
+    await saveWorkspace();
+    exportWorkspace(activeWorkspace.id);
+  });
+  document.getElementById('workspaceImportInput').addEventListener('change', importWorkspace);
 
-  if (currentLayout === 'force') {
-    // Force layout with full simulation
-    // IMPORTANT: forceLink will modify links array, replacing source/target strings with node references
+  // Pending changes are written before the page goes away
+  const flush = () => {
+    if (workspaceSaveTimer) saveWorkspace();
+  };
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
 
-    // Add padding to keep nodes comfortably inside viewport
-    const padding = 50;
+  restoreLastWorkspace();
+}
 
-    simulation = d3.forceSimulation(nodes)
-      .force(
-        'link',
-        d3
-          .forceLink(links)
-          .id((d) => d.id)
-          .distance(130)
-          .strength(0.2),
-      )
-      .force('charge', d3.forceManyBody().strength(forceStrength))
-      .force('center', d3.forceCenter(width / 2, height / 2))
-      .force('collision', d3.forceCollide().radius(60))
-      .force('x', d3.forceX(width / 2).strength(0.05))
-      .force('y', d3.forceY(height / 2).strength(0.05))
-      .alpha(1)
-      .restart()
-      .on('tick', () => {
-        // Constrain nodes to viewport with padding
-        nodes.forEach(d => {
-          d.x = Math.max(padding, Math.min(width - padding, d.x));
-          d.y = Math.max(padding, Math.min(height - padding, d.y));
-        });
-        ticked();
-      });
-  } else {
-    // Circular and hierarchical: static layout, no simulation
-    // Just render the initial positions once
-    ticked();
+function rememberActiveWorkspace(id) {
+  try {
+    if (id) {
+      localStorage.setItem(ACTIVE_WORKSPACE_KEY, id);
+    } else {
+      localStorage.removeItem(ACTIVE_WORKSPACE_KEY);
+    }
+  } catch (error) {
+    console.warn('Unable to remember the active workspace:', error);
   }
+}
 
-  // Store simulation for real-time force adjustment
-  currentSimulation = simulation;
+async function restoreLastWorkspace() {
+  let id = null;
+  try {
+    id = localStorage.getItem(ACTIVE_WORKSPACE_KEY);
+  } catch (error) {
+    console.warn('Unable to read the active workspace:', error);
+  }
+  await renderWorkspacePanel();
+  if (!id) return;
+  try {
+    const workspace = await getWorkspace(id);
+    // Files uploaded while the database was opening win over the old session
+    if (!workspace || loadedFiles.length) return;
+    const refused = restoreWorkspace(workspace);
+    statusMessage.textContent = `Restored workspace "${workspace.name}".${refusedFilesNote(refused)}`;
+  } catch (error) {
+    console.error(error);
+    statusMessage.textContent = `Unable to restore the last session: ${error.message}`;
+  }
+}
 
-  // Apply metric-based filtering
-  if (metricsCalculated && metricThreshold > 0) {
-    node.classed('dimmed', (d) => {
-      const metricValue = d[metricKey] || 0;
-      return metricValue < metricThreshold;
-    });
+function scheduleWorkspaceSave() {
+  clearTimeout(workspaceSaveTimer);
+  workspaceSaveTimer = setTimeout(saveWorkspace, 1000);
+}
 
-    // Dim links connected to dimmed nodes
-    link.classed('dimmed', (d) => {
-      let source, target;
-      if (typeof d.source === 'object' && d.source) {
-        source = nodeMap.get(d.source.id || d.source);
-      } else {
-        source = d.sourceNode;
-      }
-      if (typeof d.target === 'object' && d.target) {
-        target = nodeMap.get(d.target.id || d.target);
-      } else {
-        target = d.targetNode;
-      }
+// Snapshot the session synchronously, then write it. The first save of a new session
+// creates its workspace.
+async function saveWorkspace() {
+  clearTimeout(workspaceSaveTimer);
+  workspaceSaveTimer = null;
+  if (!activeWorkspace) {
+    if (!loadedFiles.length && !editHistory.length) return;
+    activeWorkspace = { id: createWorkspaceId(), name: defaultWorkspaceName(), createdAt: Date.now() };
+    rememberActiveWorkspace(activeWorkspace.id);
+  }
+  const workspace = captureWorkspace();
+  try {
+    await putWorkspace(workspace);
+  } catch (error) {
+    console.warn('Unable to save the workspace:', error);
+  }
+  await renderWorkspacePanel();
+}
 
-      const sourceMetric = source ? (source[metricKey] || 0) : 0;
-      const targetMetric = target ? (target[metricKey] || 0) : 0;
-      return sourceMetric < metricThreshold || targetMetric < metricThreshold;
-    });
-  } else {
-    // Remove dimming if no threshold
-    node.classed('dimmed', false);
-    link.classed('dimmed', false);
+function captureWorkspace() {
+  const transform = svg ? d3.zoomTransform(svg.node()) : d3.zoomIdentity;
+  const positions = {};
+  renderedNodes.forEach((node) => {
+    if (isFinite(node.x) && isFinite(node.y)) {
+      positions[node.id] = { x: node.x, y: node.y };
+    }
+  });
+  return {
+    ...activeWorkspace,
+    updatedAt: Date.now(),
+    files: loadedFiles.map(({ name, graph, visible }) => ({ name, graph, visible })),
+    validationReports: [...validationReports.values()],
+    edits: [...editHistory],
+    conflictResolutions: { ...conflictResolutions },
+    entityResolution: { aliases: [...entityResolution.aliases], rejected: [...entityResolution.rejected] },
+    typeSchema: typeSchema ? { fileName: typeSchema.fileName, json: typeSchema.json } : null,
+    savedQueries: [...savedQueries],
+    positions,
+    transform: { x: transform.x, y: transform.y, k: transform.k },
+    settings: {
+      currentLayout,
+      forceStrength,
+      currentMetric,
+      parallelEdgeMode,
+      edgeCombineRule,
+      confidenceThreshold,
+      timelineMode,
+      timelineStart,
+      timelineEnd,
+      metricThreshold,
+      colorByMetric,
+      sizeByMetric,
+      colorByCommunity,
+      communityAlgorithm,
+      hierarchyOrientation,
+      hierarchyRelations: hierarchyRelations ? [...hierarchyRelations] : null,
+      relationStyles: [...relationStyles],
+      typeStyles: [...typeStyles],
+      queryView: queryView
+        ? { text: queryView.text, nodeIds: [...queryView.nodeIds], edgeKeys: [...queryView.edgeKeys] }
+        : null,
+      compare: { groups: [...compareGroups], active: compareActive, changesOnly: compareChangesOnly },
+      hideUnlinkedNodes,
+      rendererMode,
+      validationMode,
+    },
+  };
+}
+
+// Open a stored workspace. Files that fail validation (stored before imports were checked)
+// are left out; the names of those files are returned.
+function restoreWorkspace(workspace) {
+  activeWorkspace = { id: workspace.id, name: workspace.name, createdAt: workspace.createdAt };
+  rememberActiveWorkspace(workspace.id);
+  const checked = validateWorkspaceFiles(
+    Array.isArray(workspace.files) ? workspace.files : [],
+    (workspace.settings && workspace.settings.validationMode) || 'lenient',
+  );
+  loadedFiles = checked.files;
+  validationReports = new Map(
+    (workspace.validationReports || []).map((report) => [report.fileName, report]),
+  );
+  checked.reports
+    .filter((report) => report.refused)
+    .forEach((report) => validationReports.set(report.fileName, report));
+  editHistory = [...(workspace.edits || [])];
+  redoStack = [];
+  // A workspace's choices replace the ones in use while it is open, and stay out of the ones
+  // this browser remembers, so a colleague's workspace does not change other graphs
+  conflictResolutions = { ...(workspace.conflictResolutions || {}) };
+  const resolution = workspace.entityResolution || {};
+  entityResolution = { aliases: new Map(resolution.aliases || []), rejected: new Set(resolution.rejected || []) };
+  duplicateInputs = null;
+  mergeSavedQueries(workspace.savedQueries || []);
+  applyWorkspaceSettings(workspace.settings || {});
+  typeSchema = null;
+  if (workspace.typeSchema) {
+    try {
+      typeSchema = { ...workspace.typeSchema, schema: parseTypeSchema(workspace.typeSchema.json) };
+    } catch (error) {
+      statusMessage.textContent = `Could not load the type schema ${workspace.typeSchema.fileName}: ${error.message}`;
+    }
+  }
+  selectedNodeIds = new Set();
+  selectedEdgeKeys = new Set();
+  highlightFocus = null;
+  closeEditForm();
+  clearRenderedGraph();
+  pendingPositions = new Map(Object.entries(workspace.positions || {}));
+  currentGraph = { nodes: [], edges: [] };
+  rebuildGraph();
+  const { x = 0, y = 0, k = 1 } = workspace.transform || {};
+  if (svg && zoomBehavior) {
+    svg.call(zoomBehavior.transform, d3.zoomIdentity.translate(x, y).scale(k));
+  }
+  renderWorkspacePanel();
+  if (checked.refused.length) {
+    document.getElementById('validationPanel').open = true;
   }
+  return checked.refused;
+}
 
-  function ticked() {
-    link
-      .attr('x1', (d) => {
-        let source;
-        if (typeof d.source === 'object' && d.source) {
-          source = nodeMap.get(d.source.id || d.source);
-        } else {
-          source = d.sourceNode;
-        }
-        const x = source ? source.x : 0;
-        return isFinite(x) ? x : 0;
-      })
-      .attr('y1', (d) => {
-        let source;
-        if (typeof d.source === 'object' && d.source) {
-          source = nodeMap.get(d.source.id || d.source);
-        } else {
-          source = d.sourceNode;
-        }
-        const y = source ? source.y : 0;
-        return isFinite(y) ? y : 0;
-      })
-      .attr('x2', (d) => {
-        let target;
-        if (typeof d.target === 'object' && d.target) {
-          target = nodeMap.get(d.target.id || d.target);
-        } else {
-          target = d.targetNode;
-        }
-        const x = target ? target.x : 0;
-        return isFinite(x) ? x : 0;
-      })
-      .attr('y2', (d) => {
-        let target;
-        if (typeof d.target === 'object' && d.target) {
-          target = nodeMap.get(d.target.id || d.target);
-        } else {
-          target = d.targetNode;
-        }
-        const y = target ? target.y : 0;
-        return isFinite(y) ? y : 0;
-      });
+function refusedFilesNote(refused) {
+  return refused.length ? ` Left out ${refused.join(', ')}, which cannot be loaded (see the validation report).` : '';
+}
 
-    node.attr('transform', (d) => {
-      const x = isFinite(d.x) ? d.x : 0;
-      const y = isFinite(d.y) ? d.y : 0;
-      if (!isFinite(d.x) || !isFinite(d.y)) {
-        console.warn(`Node ${d.id}: invalid position (${d.x}, ${d.y}), using (${x}, ${y})`);
+function applyWorkspaceSettings(settings) {
+  currentLayout = settings.currentLayout || 'force';
+  forceStrength = typeof settings.forceStrength === 'number' ? settings.forceStrength : -350;
+  currentMetric = settings.currentMetric || 'degree';
+  parallelEdgeMode = settings.parallelEdgeMode || 'keep';
+  edgeCombineRule = settings.edgeCombineRule || 'max';
+  confidenceThreshold = settings.confidenceThreshold || 0;
+  stopTimelinePlayback();
+  timelineMode = settings.timelineMode || 'all';
+  timelineStart = typeof settings.timelineStart === 'number' ? settings.timelineStart : null;
+  timelineEnd = typeof settings.timelineEnd === 'number' ? settings.timelineEnd : null;
+  metricThreshold = settings.metricThreshold || 0;
+  colorByMetric = Boolean(settings.colorByMetric);
+  sizeByMetric = Boolean(settings.sizeByMetric);
+  colorByCommunity = Boolean(settings.colorByCommunity);
+  communityAlgorithm = settings.communityAlgorithm || 'louvain';
+  hierarchyOrientation = settings.hierarchyOrientation || 'TB';
+  hierarchyRelations = Array.isArray(settings.hierarchyRelations) ? new Set(settings.hierarchyRelations) : null;
+  relationStyles = new Map(settings.relationStyles || []);
+  typeStyles = new Map(settings.typeStyles || []);
+  queryView = settings.queryView
+    ? {
+        text: settings.queryView.text,
+        nodeIds: new Set(settings.queryView.nodeIds),
+        edgeKeys: new Set(settings.queryView.edgeKeys),
       }
-      return `translate(${x}, ${y})`;
-    });
+    : null;
+  const compare = settings.compare || {};
+  compareGroups = new Map(compare.groups || []);
+  compareActive = Boolean(compare.active);
+  compareChangesOnly = Boolean(compare.changesOnly);
+  hideUnlinkedNodes = Boolean(settings.hideUnlinkedNodes);
+  rendererMode = settings.rendererMode || 'auto';
+  validationMode = settings.validationMode || 'lenient';
 
-    linkLabels.attr('transform', (d) => {
-      // In force layout, d.source/d.target are node objects
-      // In static layouts, they might be strings so use sourceNode/targetNode
-      let source, target;
-      if (typeof d.source === 'object' && d.source) {
-        // Force layout has resolved these to node objects
-        // But they might be OLD node objects from a previous render
-        // So look them up by ID in the current nodeMap
-        source = nodeMap.get(d.source.id || d.source);
-      } else {
-        // Static layout - use pre-resolved nodes
-        source = d.sourceNode;
-      }
+  // Bring the controls in line with the restored settings
+  document.getElementById('layoutSelect').value = currentLayout;
+  document.getElementById('hierarchyOptions').hidden = currentLayout !== 'hierarchical';
+  document.getElementById('hierarchyOrientation').value = hierarchyOrientation;
+  const forceStrengthSlider = document.getElementById('forceStrength');
+  forceStrengthSlider.value = forceStrength;
+  forceStrengthSlider.disabled = !isSimulatedLayout();
+  document.getElementById('forceStrengthValue').textContent = forceStrength;
+  document.getElementById('metricSelect').value = currentMetric;
+  document.getElementById('parallelEdgeMode').value = parallelEdgeMode;
+  document.getElementById('edgeCombineRule').value = edgeCombineRule;
+  document.getElementById('confidenceThreshold').value = Math.round(confidenceThreshold * 100);
+  document.getElementById('confidenceThresholdValue').textContent = `${Math.round(confidenceThreshold * 100)}%`;
+  document.getElementById('metricThreshold').value = Math.round(metricThreshold * 100);
+  document.getElementById('metricThresholdValue').textContent = `${Math.round(metricThreshold * 100)}%`;
+  document.getElementById('colorByMetric').checked = colorByMetric;
+  document.getElementById('sizeByMetric').checked = sizeByMetric;
+  document.getElementById('colorByCommunity').checked = colorByCommunity;
+  document.getElementById('communityAlgorithm').value = communityAlgorithm;
+  document.getElementById('hideUnlinkedNodes').checked = hideUnlinkedNodes;
+  document.getElementById('rendererSelect').value = rendererMode;
+  document.getElementById('validationMode').value = validationMode;
+}
 
-      if (typeof d.target === 'object' && d.target) {
-        target = nodeMap.get(d.target.id || d.target);
-      } else {
-        target = d.targetNode;
-      }
-      if (!source || !target) {
-        return `translate(0, 0)`;
-      }
-      const x = (source.x + target.x) / 2;
-      const y = (source.y + target.y) / 2;
-      if (!isFinite(x) || !isFinite(y)) {
-        return `translate(0, 0)`;
-      }
-      return `translate(${x}, ${y})`;
-    });
+// Named after the first file, numbered when the name is taken
+function defaultWorkspaceName() {
+  const base = loadedFiles.length ? loadedFiles[0].name.replace(/\.[^.]+$/, '') : 'Untitled workspace';
+  const names = new Set(knownWorkspaces.map((workspace) => workspace.name));
+  let name = base;
+  for (let suffix = 2; names.has(name); suffix++) {
+    name = `${base} ${suffix}`;
+  }
+  return name;
+}
 
-    linkLabels.each(function (d) {
-      const text = d3.select(this).select('text');
-      const textNode = text.node();
-      if (!textNode) return; // Skip if text node doesn't exist yet
-      const bbox = textNode.getBBox();
-      d3.select(this)
-        .select('rect')
-        .attr('x', bbox.x - 6)
-        .attr('y', bbox.y - 3)
-        .attr('width', bbox.width + 12)
-        .attr('height', bbox.height + 6);
-    });
+async function openWorkspace(id) {
+  try {
+    if (activeWorkspace && activeWorkspace.id !== id) {
+      await saveWorkspace();
+    }
+    const workspace = await getWorkspace(id);
+    if (!workspace) {
+      throw new Error('The workspace no longer exists.');
+    }
+    const refused = restoreWorkspace(workspace);
+    statusMessage.textContent = `Opened workspace "${workspace.name}".${refusedFilesNote(refused)}`;
+  } catch (error) {
+    console.error(error);
+    statusMessage.textContent = `Error: ${error.message}`;
   }
+}
 
-  function dragStarted(event, d) {
-    if (simulation && !event.active) simulation.alphaTarget(0.3).restart();
-    d.fx = d.x;
-    d.fy = d.y;
+async function duplicateWorkspace(id) {
+  try {
+    if (activeWorkspace && activeWorkspace.id === id) {
+      await saveWorkspace();
+    }
+    const workspace = await getWorkspace(id);
+    const now = Date.now();
+    await putWorkspace({ ...workspace, id: createWorkspaceId(), name: `${workspace.name} (copy)`, createdAt: now, updatedAt: now });
+    await renderWorkspacePanel();
+    statusMessage.textContent = `Duplicated workspace "${workspace.name}".`;
+  } catch (error) {
+    console.error(error);
+    statusMessage.textContent = `Error: ${error.message}`;
   }
+}
 
-  function dragged(event, d) {
-    // Constrain drag position to viewport with padding
-    const padding = 50;
-    const constrainedX = Math.max(padding, Math.min(width - padding, event.x));
-    const constrainedY = Math.max(padding, Math.min(height - padding, event.y));
+async function removeWorkspace(id) {
+  const entry = knownWorkspaces.find((workspace) => workspace.id === id);
+  if (!entry || !window.confirm(`Delete the workspace "${entry.name}"? This cannot be undone.`)) return;
+  try {
+    await deleteWorkspace(id);
+    if (activeWorkspace && activeWorkspace.id === id) {
+      // Detach first so clearing the graph does not save the workspace again
+      activeWorkspace = null;
+      rememberActiveWorkspace(null);
+      clearGraph();
+    }
+    await renderWorkspacePanel();
+    statusMessage.textContent = `Deleted workspace "${entry.name}".`;
+  } catch (error) {
+    console.error(error);
+    statusMessage.textContent = `Error: ${error.message}`;
+  }
+}
 
-    d.fx = constrainedX;
-    d.fy = constrainedY;
+async function exportWorkspace(id) {
+  try {
+    const workspace = await getWorkspace(id);
+    const fileName = `${workspace.name.replace(/[^\w.-]+/g, '-') || 'workspace'}.workspace.json`;
+    downloadFile(workspaceToFile(workspace), fileName, 'application/json');
+    statusMessage.textContent = `Exported workspace "${workspace.name}".`;
+  } catch (error) {
+    console.error(error);
+    statusMessage.textContent = `Export failed: ${error.message}`;
+  }
+}
 
-    // For static layouts, update positions immediately and re-render
-    if (!simulation) {
-      d.x = constrainedX;
-      d.y = constrainedY;
-      ticked();
+async function importWorkspace(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  try {
+    const workspace = workspaceFromFile(await readTextFile(file), file.name);
+    const names = new Set(knownWorkspaces.map((entry) => entry.name));
+    if (!workspace.name || names.has(workspace.name)) {
+      workspace.name = `${workspace.name || file.name} (imported)`;
     }
+    workspace.updatedAt = Date.now();
+    await putWorkspace(workspace);
+    await openWorkspace(workspace.id);
+  } catch (error) {
+    console.error(error);
+    statusMessage.textContent = `Import failed: ${error.message}`;
   }
+}
 
-  function dragEnded(event, d) {
-    if (simulation && !event.active) simulation.alphaTarget(0);
+async function renderWorkspacePanel() {
+  const nameInput = document.getElementById('workspaceName');
+  const list = document.getElementById('workspaceList');
+  nameInput.disabled = !activeWorkspace;
+  nameInput.value = activeWorkspace ? activeWorkspace.name : '';
+  document.getElementById('workspaceExportButton').disabled = !activeWorkspace;
+  document.getElementById('workspaceSummary').textContent = activeWorkspace ? activeWorkspace.name : '';
 
-    // For static layouts, keep the dragged position
-    if (!simulation) {
-      d.x = event.x;
-      d.y = event.y;
-      d.fx = null;
-      d.fy = null;
-    } else {
-      // For force layout, release the fixed position
-      d.fx = null;
-      d.fy = null;
-    }
+  try {
+    knownWorkspaces = await listWorkspaces();
+  } catch (error) {
+    console.warn('Unable to list workspaces:', error);
+    list.innerHTML = '<li class="panel-hint">Workspaces are unavailable in this browser.</li>';
+    return;
+  }
+
+  list.innerHTML = '';
+  if (!knownWorkspaces.length) {
+    list.innerHTML = '<li class="panel-hint">Load files to start a workspace. It is saved automatically.</li>';
+    return;
   }
+  knownWorkspaces.forEach((workspace) => {
+    const active = Boolean(activeWorkspace && activeWorkspace.id === workspace.id);
+    const item = document.createElement('li');
+    item.className = 'workspace-item';
+    item.classList.toggle('active', active);
+    item.innerHTML = `<div class="workspace-info">
+        <strong>${escapeHtml(workspace.name)}</strong>
+        <span class="workspace-meta">${workspace.fileCount} file${workspace.fileCount !== 1 ? 's' : ''}${
+          workspace.editCount ? ` · ${workspace.editCount} edit${workspace.editCount !== 1 ? 's' : ''}` : ''
+        } · saved ${escapeHtml(new Date(workspace.updatedAt).toLocaleString())}</span>
+      </div>
+      <button type="button" class="small-button" data-action="open" ${active ? 'disabled' : ''}>${active ? 'Open now' : 'Open'}</button>
+      <button type="button" class="small-button" data-action="duplicate">Duplicate</button>
+      <button type="button" class="small-button" data-action="export">Export</button>
+      <button type="button" class="small-button danger-button" data-action="delete">Delete</button>`;
+    const actions = {
+      open: openWorkspace,
+      duplicate: duplicateWorkspace,
+      export: exportWorkspace,
+      delete: removeWorkspace,
+    };
+    item.querySelectorAll('[data-action]').forEach((button) => {
+      button.addEventListener('click', () => actions[button.dataset.action](workspace.id));
+    });
+    list.appendChild(item);
+  });
 }
 
 function clearGraph() {
+  // Keep the last changes of the workspace being left, then start a new one
+  if (activeWorkspace) {
+    saveWorkspace();
+    activeWorkspace = null;
+    rememberActiveWorkspace(null);
+  }
+  clearTimeout(workspaceSaveTimer);
+  cancelMetrics();
+  stopTimelinePlayback();
+  metricsCalculated = false;
   fileInput.value = '';
   currentGraph = { nodes: [], edges: [] };
+  editedGraph = { nodes: [], edges: [] };
+  loadedFiles = [];
+  validationReports = new Map();
+  selectedNodeIds = new Set();
+  selectedEdgeKeys = new Set();
+  highlightFocus = null;
+  foundPaths = [];
+  communitySummary = null;
+  renderCommunityPanel();
+  editHistory = [];
+  redoStack = [];
+  closeEditForm();
+  relationStyles = new Map();
+  renderRelationLegend();
+  typeStyles = new Map();
+  typeSchema = null;
+  renderTypeLegend();
+  queryView = null;
+  clearQueryResult();
+  compareGroups = new Map();
+  compareActive = false;
+  compareChangesOnly = false;
+  compareVersions = null;
+  clearRenderedGraph();
+  renderComparePanel();
+  resetZoom();
+  renderFilesPanel();
+  renderConflictsPanel();
+  // The next workspace starts from this browser's choices rather than the closed one's
+  conflictResolutions = loadConflictResolutions();
+  entityResolution = loadEntityResolution();
+  duplicateSuggestions = [];
+  duplicateInputs = null;
+  renderDuplicatesPanel();
+  renderValidationPanel();
+  timelineExtent = null;
+  renderTimeline();
+  renderWorkspacePanel();
   if (svg) {
-    svg.selectAll('*').remove();
     statusMessage.textContent = 'Graph cleared. Select new files to visualize.';
   }
   hideTooltip();
@@ -816,26 +4892,77 @@ function formatNodeTooltip(node) {
         <strong>Degree:</strong> ${node.degree || 0} (in: ${node.inDegree || 0}, out: ${node.outDegree || 0})<br/>
         <strong>PageRank:</strong> ${((node.pagerank || 0) * 100).toFixed(1)}%<br/>
         <strong>Betweenness:</strong> ${((node.betweenness || 0) * 100).toFixed(1)}%<br/>
-        <strong>Closeness:</strong> ${((node.closeness || 0) * 100).toFixed(1)}%
+        <strong>Closeness:</strong> ${((node.closeness || 0) * 100).toFixed(1)}%<br/>
+        <strong>Eigenvector:</strong> ${((node.eigenvector || 0) * 100).toFixed(1)}%<br/>
+        <strong>HITS:</strong> hub ${((node.hub || 0) * 100).toFixed(1)}%, authority ${((node.authority || 0) * 100).toFixed(1)}%
       </div>
     `;
   }
 
-  return `<strong>${escapeHtml(title)}</strong><br />${escapeHtml(description)}${metricsHtml}`;
+  const conflictNote = Array.isArray(node.conflicts) && node.conflicts.length
+    ? `<div class="tooltip-meta">Conflicting ${node.conflicts.map(escapeHtml).join(', ')} across files</div>`
+    : '';
+
+  const types = nodeTypes(node);
+  const typeLine = types.length ? `<div class="tooltip-meta">Type: ${types.map(escapeHtml).join(', ')}</div>` : '';
+  const aliasLine = Array.isArray(node.aliases) && node.aliases.length
+    ? `<div class="tooltip-meta">Also known as: ${node.aliases.map(escapeHtml).join(', ')}</div>`
+    : '';
+
+  return `<strong>${escapeHtml(title)}</strong><br />${escapeHtml(description)}${typeLine}${aliasLine}${formatValidity(node)}${formatDiffTooltip(node)}${formatSchemaViolation(node)}${formatNodeSources(node)}${conflictNote}${metricsHtml}`;
+}
+
+function formatValidity(element) {
+  const period = formatTimeInterval(element);
+  return period ? `<div class="tooltip-meta">Valid: ${escapeHtml(period)}</div>` : '';
+}
+
+function formatSchemaViolation(element) {
+  return element.schemaViolation
+    ? `<div class="tooltip-violation">${escapeHtml(element.schemaViolation)}</div>`
+    : '';
+}
+
+function formatNodeSources(node) {
+  const sources = Array.isArray(node.sources) ? node.sources : [];
+  if (!sources.length) return '';
+  const provenance = node.provenance || {};
+  const details = [];
+  if (provenance.description && sources.length > 1) {
+    details.push(`description from ${escapeHtml(provenance.description)}`);
+  }
+  return `<div class="tooltip-meta">Sources: ${sources.map(escapeHtml).join(', ')}</div>${
+    details.length ? `<div class="tooltip-source">${details.join('; ')}</div>` : ''
+  }`;
 }
 
 function formatEdgeTooltip(edge) {
   const references = Array.isArray(edge.reference) ? edge.reference : [];
+  const referenceSources = edge.referenceSources || {};
   const referenceList =
     references.length === 0
       ? '<em>No references</em>'
       : `<ul>${references
-          .map((ref) => `<li>${escapeHtml(ref)}</li>`)
+          .map((ref) => {
+            const sources = referenceSources[ref] || [];
+            const sourceNote = sources.length
+              ? ` <span class="tooltip-source">(${sources.map(escapeHtml).join(', ')})</span>`
+              : '';
+            return `<li>${escapeHtml(ref)}${sourceNote}</li>`;
+          })
           .join('')}</ul>`;
   const title = escapeHtml(edge.relation || 'Relation');
-  const source = escapeHtml(edge.source || '');
-  const target = escapeHtml(edge.target || '');
-  return `<strong>${title}</strong><div class="tooltip-meta">${source} → ${target}</div>${referenceList}`;
+  const source = escapeHtml(edgeEndpointId(edge.source));
+  const target = escapeHtml(edgeEndpointId(edge.target));
+  const sources = Array.isArray(edge.sources) && edge.sources.length
+    ? `<div class="tooltip-meta">Sources: ${edge.sources.map(escapeHtml).join(', ')}</div>`
+    : '';
+  const numbers = [
+    typeof edge.weight === 'number' ? `Weight: ${+edge.weight.toFixed(3)}` : '',
+    typeof edge.confidence === 'number' ? `Confidence: ${Math.round(edge.confidence * 100)}%` : '',
+  ].filter(Boolean);
+  const numberLine = numbers.length ? `<div class="tooltip-meta">${numbers.join(' · ')}</div>` : '';
+  return `<strong>${title}</strong><div class="tooltip-meta">${source} → ${target}</div>${numberLine}${formatValidity(edge)}${formatDiffTooltip(edge)}${formatSchemaViolation(edge)}${sources}${referenceList}`;
 }
 
 function escapeHtml(value) {
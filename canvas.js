@@ -0,0 +1,381 @@
+// Canvas renderer for graphs too large for one SVG element per node, edge and label.
+// renderGraph still prepares the nodes and links; this file draws them and finds what is
+// under the pointer with quadtrees, since there are no DOM elements to receive events.
+
+// Above this many visible nodes and edges the automatic renderer switches to canvas
+const CANVAS_ELEMENT_THRESHOLD = 2000;
+
+// Level of detail: labels and arrowheads are only drawn when the view holds few enough
+// of them and the zoom level makes them readable. Highlighted, selected and hovered
+// elements always get their label.
+const CANVAS_NODE_LABEL_LIMIT = 400;
+const CANVAS_NODE_LABEL_SCALE = 0.6;
+const CANVAS_EDGE_LABEL_LIMIT = 150;
+const CANVAS_EDGE_LABEL_SCALE = 0.9;
+const CANVAS_ARROW_LIMIT = 3000;
+const CANVAS_ARROW_SCALE = 0.3;
+
+// The colors of the .node, .link and .link-label rules in styles.css
+const CANVAS_COLORS = {
+  accent: '#4f46e5',
+  dimmedNode: 'rgba(79, 70, 229, 0.3)',
+  highlight: '#f59e0b',
+  reversed: 'rgba(220, 38, 38, 0.6)',
+  secondary: 'rgba(31, 31, 45, 0.2)',
+  violation: '#dc2626',
+  added: '#16a34a',
+  removed: '#dc2626',
+  modified: '#ea580c',
+  text: '#1f1f2d',
+  labelText: 'rgba(31, 31, 45, 0.85)',
+  labelBackground: 'rgba(255, 255, 255, 0.85)',
+};
+
+function canvasPositioned(node) {
+  return Boolean(node) && isFinite(node.x) && isFinite(node.y);
+}
+
+// Draw a whole frame. `scene` holds:
+//   width, height, transform (the d3-zoom transform), fontFamily,
+//   nodes, links, nodeById,
+//   nodeStyle(node) -> { radius, fill, shape, violation, removed, selected, dimmed, focused, emphasized }
+//                        (shape is one of NODE_SHAPES, circle when missing)
+//   linkStyle(link) -> { color, dashed, width, opacity, reversed, secondary, violation, diff, selected,
+//                        dimmed, highlighted, labelDimmed, labelFocused }   (width, opacity and diff,
+//                        a diffGraphs status, are optional)
+function drawCanvasGraph(canvas, scene) {
+  const { width, height, transform } = scene;
+  const ratio = window.devicePixelRatio || 1;
+  const pixelWidth = Math.round(width * ratio);
+  const pixelHeight = Math.round(height * ratio);
+  if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+    canvas.width = pixelWidth;
+    canvas.height = pixelHeight;
+  }
+  const context = canvas.getContext('2d');
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  context.translate(transform.x, transform.y);
+  context.scale(transform.k, transform.k);
+
+  // Only what overlaps the visible area is drawn; the margin covers node radii and labels
+  const margin = 60;
+  const [viewX0, viewY0] = transform.invert([0, 0]);
+  const [viewX1, viewY1] = transform.invert([width, height]);
+  const view = { x0: viewX0 - margin, y0: viewY0 - margin, x1: viewX1 + margin, y1: viewY1 + margin };
+
+  const segments = [];
+  scene.links.forEach((link) => {
+    const source = scene.nodeById.get(edgeEndpointId(link.source));
+    const target = scene.nodeById.get(edgeEndpointId(link.target));
+    if (!canvasPositioned(source) || !canvasPositioned(target)) return;
+    const geometry = linkGeometry(link, source, target, canvasLoopRadius(scene, link, source));
+    // A curve stays within the box of its end and control points
+    const points = [geometry.start, geometry.end, ...geometry.controls];
+    if (
+      d3.max(points, (point) => point[0]) < view.x0 ||
+      d3.min(points, (point) => point[0]) > view.x1 ||
+      d3.max(points, (point) => point[1]) < view.y0 ||
+      d3.min(points, (point) => point[1]) > view.y1
+    ) {
+      return;
+    }
+    segments.push({ link, geometry, style: scene.linkStyle(link) });
+  });
+  const nodes = scene.nodes
+    .filter((node) => canvasPositioned(node) && node.x >= view.x0 && node.x <= view.x1 && node.y >= view.y0 && node.y <= view.y1)
+    .map((node) => ({ node, style: scene.nodeStyle(node) }));
+
+  drawCanvasLinks(context, segments);
+  if (transform.k >= CANVAS_ARROW_SCALE && segments.length <= CANVAS_ARROW_LIMIT) {
+    drawCanvasArrows(context, segments);
+  }
+  drawCanvasNodes(context, nodes);
+
+  const allEdgeLabels = transform.k >= CANVAS_EDGE_LABEL_SCALE && segments.length <= CANVAS_EDGE_LABEL_LIMIT;
+  drawCanvasEdgeLabels(
+    context,
+    segments.filter((segment) => allEdgeLabels || segment.style.highlighted || segment.style.selected),
+    scene.fontFamily,
+  );
+  const allNodeLabels = transform.k >= CANVAS_NODE_LABEL_SCALE && nodes.length <= CANVAS_NODE_LABEL_LIMIT;
+  drawCanvasNodeLabels(
+    context,
+    nodes.filter(({ style }) => allNodeLabels || style.emphasized || style.selected || style.focused),
+    scene.fontFamily,
+  );
+}
+
+// Self-loops grow with their node; other links do not need the radius
+function canvasLoopRadius(scene, link, source) {
+  return typeof link.loop === 'number' ? scene.nodeStyle(source).radius : undefined;
+}
+
+function traceCanvasLink(context, { start, end, controls }) {
+  context.moveTo(start[0], start[1]);
+  if (controls.length === 2) {
+    context.bezierCurveTo(controls[0][0], controls[0][1], controls[1][0], controls[1][1], end[0], end[1]);
+  } else if (controls.length === 1) {
+    context.quadraticCurveTo(controls[0][0], controls[0][1], end[0], end[1]);
+  } else {
+    context.lineTo(end[0], end[1]);
+  }
+}
+
+// Same precedence as the .link rules in styles.css
+function canvasLinkPaint(style) {
+  const paint = {
+    color: style.color,
+    alpha: style.opacity === undefined ? 0.7 : style.opacity,
+    width: style.width === undefined ? 2 : style.width,
+    dash: style.dashed ? [6, 4] : [],
+  };
+  if (style.highlighted) {
+    Object.assign(paint, { color: CANVAS_COLORS.highlight, alpha: 1, width: 4 });
+  }
+  if (style.reversed) {
+    Object.assign(paint, { color: CANVAS_COLORS.reversed, dash: [6, 4] });
+  }
+  if (style.secondary) {
+    Object.assign(paint, { color: CANVAS_COLORS.secondary, dash: [2, 4] });
+  }
+  if (style.diff === 'unchanged') {
+    paint.alpha *= 0.5;
+  } else if (style.diff) {
+    Object.assign(paint, { color: CANVAS_COLORS[style.diff], alpha: 1, dash: style.diff === 'removed' ? [6, 4] : [] });
+  }
+  if (style.violation) {
+    Object.assign(paint, { color: CANVAS_COLORS.violation, dash: [] });
+  }
+  if (style.selected) {
+    Object.assign(paint, { color: CANVAS_COLORS.highlight, alpha: 1, width: 4 });
+  }
+  if (style.dimmed) {
+    paint.alpha *= 0.1;
+  }
+  return paint;
+}
+
+function canvasNodePaint(style) {
+  const paint = { fill: style.fill, stroke: CANVAS_COLORS.accent, width: 2, alpha: 1, dash: [] };
+  if (style.removed) {
+    Object.assign(paint, { stroke: CANVAS_COLORS.removed, dash: [4, 2] });
+  }
+  if (style.violation) {
+    Object.assign(paint, { stroke: CANVAS_COLORS.violation, dash: [4, 2] });
+  }
+  if (style.selected) {
+    Object.assign(paint, { stroke: CANVAS_COLORS.highlight, width: 4 });
+  }
+  if (style.focused) {
+    Object.assign(paint, { stroke: CANVAS_COLORS.highlight, width: 5 });
+  }
+  if (style.dimmed) {
+    Object.assign(paint, { stroke: CANVAS_COLORS.dimmedNode, alpha: 0.2 });
+  }
+  return paint;
+}
+
+// Items that share a paint are stroked or filled as one path, which keeps large frames fast
+function groupByPaint(items, paintOf) {
+  const groups = new Map();
+  items.forEach((item) => {
+    const paint = paintOf(item);
+    const key = JSON.stringify(paint);
+    if (!groups.has(key)) {
+      groups.set(key, { paint, items: [] });
+    }
+    groups.get(key).items.push(item);
+  });
+  return [...groups.values()];
+}
+
+function drawCanvasLinks(context, segments) {
+  groupByPaint(segments, (segment) => canvasLinkPaint(segment.style)).forEach(({ paint, items }) => {
+    context.beginPath();
+    items.forEach(({ geometry }) => traceCanvasLink(context, geometry));
+    context.globalAlpha = paint.alpha;
+    context.strokeStyle = paint.color;
+    context.lineWidth = paint.width;
+    context.setLineDash(paint.dash);
+    context.stroke();
+  });
+  context.setLineDash([]);
+  context.globalAlpha = 1;
+}
+
+// Arrowheads sit where the SVG markers do: just outside a default-sized target node, in the
+// direction the link arrives from
+function drawCanvasArrows(context, segments) {
+  groupByPaint(segments, ({ style }) => ({ color: style.color, alpha: style.dimmed ? 0.1 : 1 })).forEach(
+    ({ paint, items }) => {
+      context.beginPath();
+      items.forEach(({ geometry }) => {
+        const { start, end, controls } = geometry;
+        const [fromX, fromY] = controls.length ? controls[controls.length - 1] : start;
+        const length = Math.hypot(end[0] - fromX, end[1] - fromY);
+        if (!length) return;
+        const dx = (end[0] - fromX) / length;
+        const dy = (end[1] - fromY) / length;
+        const tipX = end[0] - dx * 19;
+        const tipY = end[1] - dy * 19;
+        const baseX = tipX - dx * 16;
+        const baseY = tipY - dy * 16;
+        context.moveTo(tipX, tipY);
+        context.lineTo(baseX - dy * 8, baseY + dx * 8);
+        context.lineTo(baseX + dy * 8, baseY - dx * 8);
+        context.closePath();
+      });
+      context.globalAlpha = paint.alpha;
+      context.fillStyle = paint.color;
+      context.fill();
+    },
+  );
+  context.globalAlpha = 1;
+}
+
+function drawCanvasNodes(context, nodes) {
+  groupByPaint(nodes, ({ style }) => canvasNodePaint(style)).forEach(({ paint, items }) => {
+    context.beginPath();
+    items.forEach(({ node, style }) => {
+      if (!style.shape || style.shape === 'circle') {
+        context.moveTo(node.x + style.radius, node.y);
+        context.arc(node.x, node.y, style.radius, 0, 2 * Math.PI);
+        return;
+      }
+      // Symbols are drawn around the origin
+      context.translate(node.x, node.y);
+      nodeShapePath(style.shape, style.radius, context);
+      context.translate(-node.x, -node.y);
+    });
+    context.globalAlpha = paint.alpha;
+    context.fillStyle = paint.fill;
+    context.fill();
+    context.strokeStyle = paint.stroke;
+    context.lineWidth = paint.width;
+    context.setLineDash(paint.dash);
+    context.stroke();
+  });
+  context.setLineDash([]);
+  context.globalAlpha = 1;
+}
+
+function drawCanvasNodeLabels(context, nodes, fontFamily) {
+  context.font = `12.8px ${fontFamily}`;
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  context.fillStyle = CANVAS_COLORS.text;
+  nodes.forEach(({ node, style }) => {
+    context.globalAlpha = style.dimmed ? 0.2 : 1;
+    context.fillText(node.name || node.id, node.x, node.y + 12);
+  });
+  context.globalAlpha = 1;
+}
+
+// Edge labels are drawn at the middle of the edge on a rounded background, as in the SVG
+function drawCanvasEdgeLabels(context, segments, fontFamily) {
+  context.font = `12px ${fontFamily}`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  segments.forEach(({ link, geometry, style }) => {
+    const text = link.relation || '';
+    if (!text) return;
+    const x = geometry.labelX;
+    const y = geometry.labelY;
+    const labelWidth = context.measureText(text).width + 12;
+    const labelHeight = 20;
+    context.globalAlpha = style.labelDimmed ? 0.15 : 1;
+    context.beginPath();
+    if (context.roundRect) {
+      context.roundRect(x - labelWidth / 2, y - labelHeight / 2, labelWidth, labelHeight, 6);
+    } else {
+      context.rect(x - labelWidth / 2, y - labelHeight / 2, labelWidth, labelHeight);
+    }
+    context.fillStyle = CANVAS_COLORS.labelBackground;
+    context.fill();
+    if (style.labelFocused || style.selected) {
+      context.strokeStyle = CANVAS_COLORS.highlight;
+      context.lineWidth = 2;
+    } else {
+      context.globalAlpha *= 0.4;
+      context.strokeStyle = style.color;
+      context.lineWidth = 1;
+    }
+    context.stroke();
+    context.globalAlpha = style.labelDimmed ? 0.15 : 1;
+    context.fillStyle = CANVAS_COLORS.labelText;
+    context.fillText(text, x, y);
+  });
+  context.globalAlpha = 1;
+}
+
+// Quadtrees over node centers, edge label positions (the middle of the line or arc) and the
+// short straight pieces edges are split into, rebuilt after the nodes move. Pieces are
+// stored at their middle. `radiusOf` gives a node's drawn radius.
+function createCanvasHitIndex(nodes, links, nodeById, radiusOf) {
+  const positioned = nodes.filter(canvasPositioned);
+  const midpoints = [];
+  const pieces = [];
+  links.forEach((link) => {
+    const source = nodeById.get(edgeEndpointId(link.source));
+    const target = nodeById.get(edgeEndpointId(link.target));
+    if (canvasPositioned(source) && canvasPositioned(target)) {
+      const geometry = linkGeometry(link, source, target, radiusOf(source));
+      midpoints.push({ link, x: geometry.labelX, y: geometry.labelY });
+      const points = linkPoints(geometry);
+      points.slice(1).forEach((end, index) => {
+        const start = points[index];
+        pieces.push({
+          link,
+          start,
+          end,
+          x: (start[0] + end[0]) / 2,
+          y: (start[1] + end[1]) / 2,
+          length: Math.hypot(end[0] - start[0], end[1] - start[1]),
+        });
+      });
+    }
+  });
+  return {
+    nodes: d3.quadtree(positioned, (d) => d.x, (d) => d.y),
+    midpoints: d3.quadtree(midpoints, (d) => d.x, (d) => d.y),
+    pieces: d3.quadtree(pieces, (d) => d.x, (d) => d.y),
+    maxPieceLength: d3.max(pieces, (d) => d.length) || 0,
+    radiusOf,
+    maxRadius: d3.max(positioned, radiusOf) || 0,
+  };
+}
+
+// The node whose circle contains the point (in graph coordinates), give or take `padding`
+function findCanvasNode(index, x, y, padding = 0) {
+  const node = index.nodes.find(x, y, index.maxRadius + padding);
+  if (!node || Math.hypot(node.x - x, node.y - y) > index.radiusOf(node) + padding) {
+    return null;
+  }
+  return node;
+}
+
+// The edge whose line or arc passes within `tolerance` of the point, or failing that the
+// edge whose label position is within `labelTolerance` of it
+function findCanvasLink(index, x, y, tolerance, labelTolerance = tolerance) {
+  // A piece within reach has its middle no further away than half its length plus the tolerance
+  const reach = index.maxPieceLength / 2 + tolerance;
+  let nearest = null;
+  let nearestDistance = tolerance;
+  index.pieces.visit((quad, x0, y0, x1, y1) => {
+    if (!quad.length) {
+      for (let leaf = quad; leaf; leaf = leaf.next) {
+        const piece = leaf.data;
+        const distance = distanceToSegment(x, y, piece.start, piece.end);
+        if (distance <= nearestDistance) {
+          nearest = piece.link;
+          nearestDistance = distance;
+        }
+      }
+    }
+    return x0 > x + reach || x1 < x - reach || y0 > y + reach || y1 < y - reach;
+  });
+  if (nearest) return nearest;
+  const midpoint = index.midpoints.find(x, y, labelTolerance);
+  return midpoint ? midpoint.link : null;
+}
@@ -0,0 +1,178 @@
+// Differences between two versions of a graph, such as last week's and this week's release.
+// Both sides are merged graphs (see mergeGraphs); nodes are matched by id and edges by
+// source|target|relation, the keys mergeGraphs merges on. The union of both sides is drawn,
+// every element marked with its `diff` status and, when modified, its `diffChanges`.
+
+const DIFF_STATUSES = ['added', 'removed', 'modified', 'unchanged'];
+// Keys, and what merging adds about where an element came from
+const DIFF_IGNORED_FIELDS = new Set([
+  'id',
+  'source',
+  'target',
+  'relation',
+  'sources',
+  'provenance',
+  'conflicts',
+  'placeholder',
+  'referenceSources',
+]);
+
+function sameDiffValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// [{ field, before, after }] for every field the two versions disagree on; reference lists
+// are compared as sets and also list the `added` and `removed` references
+function diffFields(before, after) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (field) => !DIFF_IGNORED_FIELDS.has(field),
+  );
+  const changes = [];
+  fields.forEach((field) => {
+    const old = before[field];
+    const current = after[field];
+    if (field === 'reference') {
+      const oldList = Array.isArray(old) ? old : [];
+      const currentList = Array.isArray(current) ? current : [];
+      const added = currentList.filter((ref) => !oldList.includes(ref));
+      const removed = oldList.filter((ref) => !currentList.includes(ref));
+      if (added.length || removed.length) {
+        changes.push({ field, before: oldList, after: currentList, added, removed });
+      }
+      return;
+    }
+    const missing = (value) => value === undefined || value === null || value === '';
+    if (missing(old) && missing(current)) return;
+    if (!sameDiffValue(old, current)) {
+      changes.push({ field, before: old, after: current });
+    }
+  });
+  return changes;
+}
+
+// The union of `before` and `after` with `diff` and `diffChanges` on every element. A
+// placeholder node only stands in for a missing definition, so it counts as absent: a node
+// that is a placeholder before and defined after has been added.
+function diffGraphs(before, after) {
+  const defined = (node) => Boolean(node) && !node.placeholder;
+  const beforeNodes = new Map(before.nodes.map((node) => [node.id, node]));
+  const afterNodes = new Map(after.nodes.map((node) => [node.id, node]));
+  const ids = [...new Set([...afterNodes.keys(), ...beforeNodes.keys()])];
+  const nodes = ids.map((id) => {
+    const old = beforeNodes.get(id);
+    const current = afterNodes.get(id);
+    let status = 'unchanged';
+    let changes = [];
+    if (defined(old) && defined(current)) {
+      changes = diffFields(old, current);
+      if (changes.length) status = 'modified';
+    } else if (defined(current)) {
+      status = 'added';
+    } else if (defined(old)) {
+      status = 'removed';
+    }
+    return diffElement(status === 'removed' ? old : current || old, old, current, status, changes);
+  });
+  nodes.sort((a, b) => (a.name || a.id || '').localeCompare(b.name || b.id || ''));
+
+  const beforeEdges = new Map(before.edges.map((edge) => [edgeKey(edge), edge]));
+  const afterEdges = new Map(after.edges.map((edge) => [edgeKey(edge), edge]));
+  const keys = [...new Set([...afterEdges.keys(), ...beforeEdges.keys()])];
+  const edges = keys.map((key) => {
+    const old = beforeEdges.get(key);
+    const current = afterEdges.get(key);
+    if (!old) return diffElement(current, old, current, 'added', []);
+    if (!current) return diffElement(old, old, current, 'removed', []);
+    const changes = diffFields(old, current);
+    return diffElement(current, old, current, changes.length ? 'modified' : 'unchanged', changes);
+  });
+
+  // A conflict of either side can be resolved; the newer version's come first
+  const conflictKeys = new Set((after.conflicts || []).map((conflict) => conflict.key));
+  const conflicts = [
+    ...(after.conflicts || []),
+    ...(before.conflicts || []).filter((conflict) => !conflictKeys.has(conflict.key)),
+  ];
+  return { nodes, edges, conflicts };
+}
+
+// Copy of `element` that knows both of its versions' files
+function diffElement(element, old, current, status, changes) {
+  const sources = [...((old && old.sources) || []), ...((current && current.sources) || [])];
+  return {
+    ...element,
+    sources: sources.filter((fileName, index) => sources.indexOf(fileName) === index),
+    diff: status,
+    diffChanges: changes,
+  };
+}
+
+// { nodes: { added, removed, modified, unchanged }, edges: { ... } }
+function diffCounts(graph) {
+  const count = (elements) => {
+    const counts = {};
+    DIFF_STATUSES.forEach((status) => {
+      counts[status] = elements.filter((element) => element.diff === status).length;
+    });
+    return counts;
+  };
+  return { nodes: count(graph.nodes), edges: count(graph.edges) };
+}
+
+// Only what changed: changed nodes and edges, plus the unchanged endpoints of changed edges
+// so every edge can still be drawn
+function diffChangesGraph(graph) {
+  const edges = graph.edges.filter((edge) => edge.diff !== 'unchanged');
+  const nodeIds = new Set(graph.nodes.filter((node) => node.diff !== 'unchanged').map((node) => node.id));
+  edges.forEach((edge) => {
+    nodeIds.add(edgeEndpointId(edge.source));
+    nodeIds.add(edgeEndpointId(edge.target));
+  });
+  return { ...graph, nodes: graph.nodes.filter((node) => nodeIds.has(node.id)), edges };
+}
+
+// JSON Pointer segment (RFC 6901)
+function jsonPointerSegment(name) {
+  return String(name).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// JSON Patch (RFC 6902) operations that turn `before` into `after`, both graphs in the JSON
+// schema of graphToJson. Removed elements go first, from the end so earlier indexes stay
+// valid; then changed fields of the remaining ones; then added elements are appended.
+function graphJsonPatch(before, after) {
+  const operations = [];
+  [
+    ['nodes', (node) => node.id],
+    ['edges', edgeKey],
+  ].forEach(([collection, keyOf]) => {
+    const afterByKey = new Map(after[collection].map((element) => [keyOf(element), element]));
+    const beforeKeys = new Set(before[collection].map(keyOf));
+    for (let index = before[collection].length - 1; index >= 0; index--) {
+      if (!afterByKey.has(keyOf(before[collection][index]))) {
+        operations.push({ op: 'remove', path: `/${collection}/${index}` });
+      }
+    }
+    before[collection]
+      .filter((element) => afterByKey.has(keyOf(element)))
+      .forEach((element, index) => {
+        const current = afterByKey.get(keyOf(element));
+        const fields = [...new Set([...Object.keys(element), ...Object.keys(current)])];
+        fields.forEach((field) => {
+          const path = `/${collection}/${index}/${jsonPointerSegment(field)}`;
+          if (!(field in current)) {
+            operations.push({ op: 'remove', path });
+          } else if (!(field in element)) {
+            operations.push({ op: 'add', path, value: current[field] });
+          } else if (!sameDiffValue(element[field], current[field])) {
+            operations.push({ op: 'replace', path, value: current[field] });
+          }
+        });
+      });
+    after[collection]
+      .filter((element) => !beforeKeys.has(keyOf(element)))
+      .forEach((element) => {
+        operations.push({ op: 'add', path: `/${collection}/-`, value: element });
+      });
+  });
+  return operations;
+}
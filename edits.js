@@ -0,0 +1,156 @@
+// Graph edits are plain commands replayed on top of the merged files. Keeping them as data
+// means they survive hiding or re-uploading a file, and undo/redo only changes how many
+// of them are replayed.
+//   { type: 'addNode', node: { id, name, description } }
+//   { type: 'updateNode', id, changes: { name?, description? } }
+//   { type: 'removeNode', id }             (also removes the node's edges)
+//   { type: 'addEdge', edge: { source, target, relation, reference } }
+//   { type: 'updateEdge', key, changes: { relation?, reference?, weight?, confidence? } }
+//                                           (a null weight or confidence removes it)
+//   { type: 'removeEdge', key }
+// Edges are addressed by the same source|target|relation key mergeGraphs uses.
+
+// Shown as the source of everything created or changed by hand
+const EDIT_SOURCE = 'Manual edits';
+
+function withEditSource(sources) {
+  const list = Array.isArray(sources) ? sources : [];
+  return list.includes(EDIT_SOURCE) ? list : [...list, EDIT_SOURCE];
+}
+
+// Replay commands on a copy of the graph. Commands that no longer apply (for example
+// because the file that held their node is hidden) are skipped.
+function applyGraphEdits(graph, commands) {
+  const edited = { ...graph, nodes: [...graph.nodes], edges: [...graph.edges] };
+  commands.forEach((command) => {
+    try {
+      applyGraphEdit(edited, command);
+    } catch (error) {
+      console.warn(`Skipped edit "${command.type}": ${error.message}`);
+    }
+  });
+  return edited;
+}
+
+// Apply one command in place. Node and edge objects are replaced rather than changed,
+// so a shallow copy of a graph can be used to check a command before running it.
+function applyGraphEdit(graph, command) {
+  switch (command.type) {
+    case 'addNode': {
+      const { id } = command.node;
+      if (!id) {
+        throw new Error('A node needs an id.');
+      }
+      if (graph.nodes.some((node) => node.id === id)) {
+        throw new Error(`A node with id "${id}" already exists.`);
+      }
+      graph.nodes.push({
+        ...command.node,
+        sources: [EDIT_SOURCE],
+        provenance: { name: EDIT_SOURCE, description: command.node.description ? EDIT_SOURCE : null },
+        edited: true,
+      });
+      break;
+    }
+    case 'updateNode': {
+      const index = findEditNode(graph, command.id);
+      const node = graph.nodes[index];
+      const provenance = { ...node.provenance };
+      Object.keys(command.changes).forEach((field) => {
+        provenance[field] = EDIT_SOURCE;
+      });
+      graph.nodes[index] = {
+        ...node,
+        ...command.changes,
+        sources: withEditSource(node.sources),
+        provenance,
+        placeholder: false,
+        edited: true,
+      };
+      break;
+    }
+    case 'removeNode': {
+      findEditNode(graph, command.id);
+      graph.nodes = graph.nodes.filter((node) => node.id !== command.id);
+      graph.edges = graph.edges.filter(
+        (edge) => edgeEndpointId(edge.source) !== command.id && edgeEndpointId(edge.target) !== command.id,
+      );
+      break;
+    }
+    case 'addEdge': {
+      const { source, target } = command.edge;
+      findEditNode(graph, source);
+      findEditNode(graph, target);
+      if (graph.edges.some((edge) => edgeKey(edge) === edgeKey(command.edge))) {
+        throw new Error('These nodes are already connected by this relation.');
+      }
+      const references = command.edge.reference || [];
+      graph.edges.push({
+        ...command.edge,
+        reference: [...references],
+        sources: [EDIT_SOURCE],
+        referenceSources: Object.fromEntries(references.map((ref) => [ref, [EDIT_SOURCE]])),
+        edited: true,
+      });
+      break;
+    }
+    case 'updateEdge': {
+      const index = findEditEdge(graph, command.key);
+      const edge = graph.edges[index];
+      const updated = { ...edge, ...command.changes };
+      const key = edgeKey(updated);
+      if (key !== command.key && graph.edges.some((other) => edgeKey(other) === key)) {
+        throw new Error('These nodes are already connected by this relation.');
+      }
+      // References that were already there keep their file attribution
+      const referenceSources = edge.referenceSources || {};
+      updated.reference = [...(updated.reference || [])];
+      updated.referenceSources = Object.fromEntries(
+        updated.reference.map((ref) => [ref, referenceSources[ref] || [EDIT_SOURCE]]),
+      );
+      updated.sources = withEditSource(edge.sources);
+      updated.edited = true;
+      graph.edges[index] = updated;
+      break;
+    }
+    case 'removeEdge': {
+      const index = findEditEdge(graph, command.key);
+      graph.edges = graph.edges.filter((_, edgeIndex) => edgeIndex !== index);
+      break;
+    }
+    default:
+      throw new Error(`Unknown edit "${command.type}".`);
+  }
+  return graph;
+}
+
+function findEditNode(graph, id) {
+  const index = graph.nodes.findIndex((node) => node.id === id);
+  if (index < 0) {
+    throw new Error(`Node "${id}" does not exist.`);
+  }
+  return index;
+}
+
+function findEditEdge(graph, key) {
+  const index = graph.edges.findIndex((edge) => edgeKey(edge) === key);
+  if (index < 0) {
+    throw new Error('The relation does not exist.');
+  }
+  return index;
+}
+
+// Readable id derived from a name, made unique within the graph
+function uniqueNodeId(graph, name) {
+  const base =
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'node';
+  const ids = new Set(graph.nodes.map((node) => node.id));
+  let id = base;
+  for (let suffix = 2; ids.has(id); suffix++) {
+    id = `${base}_${suffix}`;
+  }
+  return id;
+}
@@ -0,0 +1,301 @@
+// Exporters turn the merged graph (or the rendered SVG) into downloadable files.
+
+// Computed style properties copied onto each element of a standalone SVG
+const INLINED_STYLE_PROPERTIES = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-opacity',
+  'stroke-dasharray',
+  'opacity',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'text-anchor',
+  'dominant-baseline',
+  'alignment-baseline',
+  'transform',
+  'visibility',
+  'display',
+];
+
+// Placeholders only stand in for endpoints no file defines; importing the edges brings them back
+function exportedNodes(graph) {
+  return graph.nodes.filter((node) => !node.placeholder);
+}
+
+function exportMetricFields(graph) {
+  return METRIC_FIELDS.filter((field) => graph.nodes.some((node) => typeof node[field] === 'number'));
+}
+
+// JSON in the same { nodes, edges } schema the app reads
+function graphToJson(graph, { includeMetrics = false } = {}) {
+  const metricFields = includeMetrics ? exportMetricFields(graph) : [];
+  return {
+    nodes: exportedNodes(graph).map((node) => {
+      const exported = { id: node.id, name: node.name || node.id };
+      if (node.description) exported.description = node.description;
+      const types = nodeTypes(node);
+      if (types.length === 1) exported.type = types[0];
+      if (types.length > 1) exported.types = types;
+      if (Array.isArray(node.aliases) && node.aliases.length) exported.aliases = [...node.aliases];
+      addExportedTimeFields(exported, node);
+      if (metricFields.length) {
+        exported.metrics = {};
+        metricFields.forEach((field) => {
+          exported.metrics[field] = node[field];
+        });
+      }
+      return exported;
+    }),
+    edges: graph.edges.map((edge) => {
+      const exported = {
+        source: edgeEndpointId(edge.source),
+        target: edgeEndpointId(edge.target),
+        relation: edge.relation,
+        reference: Array.isArray(edge.reference) ? [...edge.reference] : [],
+      };
+      if (typeof edge.weight === 'number') exported.weight = edge.weight;
+      if (typeof edge.confidence === 'number') exported.confidence = edge.confidence;
+      addExportedTimeFields(exported, edge);
+      return exported;
+    }),
+  };
+}
+
+function addExportedTimeFields(exported, element) {
+  TIME_FIELDS.forEach((field) => {
+    if (element[field] !== undefined && element[field] !== null) exported[field] = element[field];
+  });
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function graphToGraphML(graph, { includeMetrics = true } = {}) {
+  const metricFields = includeMetrics ? exportMetricFields(graph) : [];
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+    '  <key id="description" for="node" attr.name="description" attr.type="string"/>',
+    '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+    ...['node', 'edge'].flatMap((kind) =>
+      TIME_FIELDS.map(
+        (field) => `  <key id="${kind}-${field}" for="${kind}" attr.name="${field}" attr.type="string"/>`,
+      ),
+    ),
+    ...metricFields.map(
+      (field) => `  <key id="${field}" for="node" attr.name="${field}" attr.type="double"/>`,
+    ),
+    '  <key id="relation" for="edge" attr.name="relation" attr.type="string"/>',
+    '  <key id="reference" for="edge" attr.name="reference" attr.type="string"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    '  <key id="confidence" for="edge" attr.name="confidence" attr.type="double"/>',
+    '  <graph id="G" edgedefault="directed">',
+  ];
+
+  exportedNodes(graph).forEach((node) => {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(`      <data key="name">${escapeXml(node.name || node.id)}</data>`);
+    if (node.description) {
+      lines.push(`      <data key="description">${escapeXml(node.description)}</data>`);
+    }
+    if (nodeTypes(node).length) {
+      lines.push(`      <data key="type">${escapeXml(nodeTypes(node).join('; '))}</data>`);
+    }
+    lines.push(...graphMLTimeData('node', node));
+    metricFields.forEach((field) => {
+      if (typeof node[field] === 'number') {
+        lines.push(`      <data key="${field}">${node[field]}</data>`);
+      }
+    });
+    lines.push('    </node>');
+  });
+
+  graph.edges.forEach((edge, index) => {
+    const references = Array.isArray(edge.reference) ? edge.reference : [];
+    lines.push(
+      `    <edge id="e${index}" source="${escapeXml(edgeEndpointId(edge.source))}" target="${escapeXml(
+        edgeEndpointId(edge.target),
+      )}">`,
+    );
+    if (edge.relation) {
+      lines.push(`      <data key="relation">${escapeXml(edge.relation)}</data>`);
+    }
+    if (references.length) {
+      lines.push(`      <data key="reference">${escapeXml(references.join('; '))}</data>`);
+    }
+    ['weight', 'confidence'].forEach((field) => {
+      if (typeof edge[field] === 'number') {
+        lines.push(`      <data key="${field}">${edge[field]}</data>`);
+      }
+    });
+    lines.push(...graphMLTimeData('edge', edge));
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+// Node and edge keys share the attribute names, so their ids carry the kind
+function graphMLTimeData(kind, element) {
+  return TIME_FIELDS.filter((field) => element[field] !== undefined && element[field] !== null).map(
+    (field) => `      <data key="${kind}-${field}">${escapeXml(element[field])}</data>`,
+  );
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Node and edge tables in the layout the CSV importer reads back
+function graphToCsv(graph, { includeMetrics = true } = {}) {
+  const metricFields = includeMetrics ? exportMetricFields(graph) : [];
+  const nodes = toCsv(
+    ['id', 'name', 'description', 'type', ...TIME_FIELDS, ...metricFields],
+    exportedNodes(graph).map((node) => [
+      node.id,
+      node.name || node.id,
+      node.description || '',
+      nodeTypes(node).join('; '),
+      ...TIME_FIELDS.map((field) => node[field]),
+      ...metricFields.map((field) => node[field]),
+    ]),
+  );
+  const edges = toCsv(
+    ['source', 'target', 'relation', 'reference', 'weight', 'confidence', ...TIME_FIELDS],
+    graph.edges.map((edge) => [
+      edgeEndpointId(edge.source),
+      edgeEndpointId(edge.target),
+      edge.relation || '',
+      (Array.isArray(edge.reference) ? edge.reference : []).join('; '),
+      typeof edge.weight === 'number' ? edge.weight : '',
+      typeof edge.confidence === 'number' ? edge.confidence : '',
+      ...TIME_FIELDS.map((field) => edge[field]),
+    ]),
+  );
+  return { nodes, edges };
+}
+
+// Clone the live SVG with computed styles inlined so it renders the same outside the page
+function serializeSvg(svgElement) {
+  const clone = svgElement.cloneNode(true);
+  const sourceElements = [svgElement, ...svgElement.querySelectorAll('*')];
+  const cloneElements = [clone, ...clone.querySelectorAll('*')];
+
+  sourceElements.forEach((source, index) => {
+    const target = cloneElements[index];
+    const computed = window.getComputedStyle(source);
+    const declarations = INLINED_STYLE_PROPERTIES.map((property) => {
+      // Positions set through the transform attribute must not be overridden
+      if (property === 'transform' && source.hasAttribute('transform')) return '';
+      const value = computed.getPropertyValue(property);
+      return value ? `${property}: ${value};` : '';
+    }).join(' ');
+    target.setAttribute('style', `${declarations} ${target.getAttribute('style') || ''}`.trim());
+    target.removeAttribute('class');
+  });
+
+  const { width, height } = svgSize(svgElement);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  if (!clone.getAttribute('viewBox')) {
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  }
+
+  // Reports expect an opaque background rather than the page behind the canvas
+  const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+  const [minX, minY, viewWidth, viewHeight] = clone.getAttribute('viewBox').split(/[\s,]+/).map(Number);
+  background.setAttribute('x', minX);
+  background.setAttribute('y', minY);
+  background.setAttribute('width', viewWidth);
+  background.setAttribute('height', viewHeight);
+  background.setAttribute('fill', '#ffffff');
+  clone.insertBefore(background, clone.firstChild);
+
+  return new XMLSerializer().serializeToString(clone);
+}
+
+function svgSize(svgElement) {
+  const rect = svgElement.getBoundingClientRect();
+  const viewBox = (svgElement.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  return {
+    width: Math.round(rect.width) || viewBox[2] || 900,
+    height: Math.round(rect.height) || viewBox[3] || 600,
+  };
+}
+
+// Rasterize an SVG string on a canvas; scale > 1 gives sharper images for slides
+function svgToPngBlob(svgString, width, height, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' }));
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('The browser could not create a PNG image.'));
+        }
+      }, 'image/png');
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The graph image could not be rasterized.'));
+    };
+    image.src = url;
+  });
+}
+
+// The canvas renderer's current frame on an opaque background
+function canvasToPngBlob(sourceCanvas) {
+  return new Promise((resolve, reject) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = sourceCanvas.width;
+    canvas.height = sourceCanvas.height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(sourceCanvas, 0, 0);
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('The browser could not create a PNG image.'));
+      }
+    }, 'image/png');
+  });
+}
+
+function downloadFile(content, fileName, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,161 @@
+// Safe HTML for text from graph files: node descriptions written in Markdown and edge
+// references that are DOIs, arXiv ids or URLs. Text is escaped piece by piece, so the only
+// tags that reach the page are the ones built here, and links only use http(s) or mailto.
+
+const DOI_PATTERN = /^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?(10\.\d{4,9}\/\S+)$/i;
+// New-style ids (2101.01234v2) and old-style ones (hep-th/9901001)
+const ARXIV_PATTERN =
+  /^(?:arxiv:\s*|https?:\/\/(?:www\.)?arxiv\.org\/(?:abs|pdf)\/)?(\d{4}\.\d{4,5}(?:v\d+)?|[a-z-]+(?:\.[a-z]{2})?\/\d{7}(?:v\d+)?)(?:\.pdf)?$/i;
+const URL_PATTERN = /^(?:https?:\/\/|www\.)\S+$/i;
+// Bare URLs inside text; trailing punctuation belongs to the sentence
+const INLINE_URL_PATTERN = /https?:\/\/[^\s<>"]*[^\s<>".,;:!?)\]']/g;
+
+function safeLinkUrl(url) {
+  return /^(https?:|mailto:)/i.test(url.trim()) ? url.trim() : null;
+}
+
+function linkHtml(url, label) {
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+// What a reference is: { kind: 'doi' | 'arxiv' | 'url' | 'text', id, url }
+function parseReference(reference) {
+  const text = String(reference).trim();
+  const doi = DOI_PATTERN.exec(text);
+  if (doi) {
+    return { kind: 'doi', id: doi[1], url: `https://doi.org/${doi[1]}` };
+  }
+  const arxiv = ARXIV_PATTERN.exec(text);
+  if (arxiv) {
+    return { kind: 'arxiv', id: arxiv[1], url: `https://arxiv.org/abs/${arxiv[1]}` };
+  }
+  if (URL_PATTERN.test(text)) {
+    return { kind: 'url', id: text, url: /^www\./i.test(text) ? `https://${text}` : text };
+  }
+  return { kind: 'text', id: text, url: null };
+}
+
+// A reference as a link labeled by its kind; other text keeps any URLs it contains clickable
+function formatReference(reference) {
+  const parsed = parseReference(reference);
+  switch (parsed.kind) {
+    case 'doi':
+      return `<span class="reference-kind">DOI</span> ${linkHtml(parsed.url, escapeHtml(parsed.id))}`;
+    case 'arxiv':
+      return `<span class="reference-kind">arXiv</span> ${linkHtml(parsed.url, escapeHtml(parsed.id))}`;
+    case 'url':
+      return linkHtml(parsed.url, escapeHtml(parsed.id.replace(/^https?:\/\//i, '').replace(/\/$/, '')));
+    default:
+      return linkifyText(parsed.id);
+  }
+}
+
+function linkifyText(text) {
+  let html = '';
+  let last = 0;
+  text.replace(INLINE_URL_PATTERN, (url, offset) => {
+    html += escapeHtml(text.slice(last, offset)) + linkHtml(url, escapeHtml(url));
+    last = offset + url.length;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+// Inline Markdown: `code`, [links](https://…), bare URLs, **bold** and *italic*
+function renderInlineMarkdown(text) {
+  const tokens = /`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<>"]*[^\s<>".,;:!?)\]'])/g;
+  const emphasis = (plain) =>
+    escapeHtml(plain)
+      .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|\W)__(?=\S)(.+?)__(?=\W|$)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)([^*]+?)\*/g, '<em>$1</em>')
+      .replace(/(^|\W)_(?=\S)([^_]+?)_(?=\W|$)/g, '$1<em>$2</em>');
+  let html = '';
+  let last = 0;
+  let match;
+  while ((match = tokens.exec(text))) {
+    html += emphasis(text.slice(last, match.index));
+    const [, code, label, url, bareUrl] = match;
+    if (code !== undefined) {
+      html += `<code>${escapeHtml(code)}</code>`;
+    } else if (label !== undefined) {
+      const safe = safeLinkUrl(url);
+      html += safe ? linkHtml(safe, emphasis(label)) : emphasis(label);
+    } else {
+      html += linkHtml(bareUrl, escapeHtml(bareUrl));
+    }
+    last = tokens.lastIndex;
+  }
+  return html + emphasis(text.slice(last));
+}
+
+// Block Markdown: paragraphs, headings, lists, quotes and fenced code. Raw HTML in the text
+// is shown as text.
+function renderMarkdown(text) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      blocks.push(`<p>${renderInlineMarkdown(paragraph.join('\n'))}</p>`);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      blocks.push(`<${list.tag}>${list.items.map((item) => `<li>${renderInlineMarkdown(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+  const flush = () => {
+    flushParagraph();
+    flushList();
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (/^\s*```/.test(line)) {
+      flush();
+      const code = [];
+      for (index++; index < lines.length && !/^\s*```/.test(lines[index]); index++) {
+        code.push(lines[index]);
+      }
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+    const heading = /^(#{1,6})\s+(.*?)\s*#*$/.exec(line);
+    const bullet = /^\s*[-*+]\s+(.*)$/.exec(line);
+    const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+    const quote = /^\s*>\s?(.*)$/.exec(line);
+    if (!line.trim()) {
+      flush();
+    } else if (heading) {
+      flush();
+      // The panel title is an h2, so description headings start below it
+      const level = Math.min(6, heading[1].length + 2);
+      blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || numbered)[1]);
+    } else if (quote) {
+      flush();
+      const quoted = [quote[1]];
+      while (index + 1 < lines.length && /^\s*>/.test(lines[index + 1])) {
+        quoted.push(lines[++index].replace(/^\s*>\s?/, ''));
+      }
+      blocks.push(`<blockquote>${renderInlineMarkdown(quoted.join('\n'))}</blockquote>`);
+    } else if (list && /^\s+\S/.test(line)) {
+      // An indented line continues the list item above it
+      list.items[list.items.length - 1] += ` ${line.trim()}`;
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  }
+  flush();
+  return blocks.join('');
+}
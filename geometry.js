@@ -0,0 +1,126 @@
+// Edge shapes shared by the SVG and canvas renderers. A single edge between two nodes is a
+// straight line; parallel and reciprocal edges between the same pair become arcs that bow
+// out to either side, and self-loops are drawn as loops above their node.
+
+// Distance between the middles of neighboring arcs, enough for their labels not to overlap
+const PARALLEL_EDGE_SPACING = 28;
+// How far a self-loop reaches beyond the node, and how much further each additional one does
+const SELF_LOOP_SIZE = 28;
+const SELF_LOOP_STEP = 18;
+
+// Set `curve` (how far the arc's middle lies from the straight line, along the normal of
+// the edge's own direction) and `loop` (the position among the node's self-loops) on every link
+function assignLinkCurves(links) {
+  const groups = new Map();
+  links.forEach((link) => {
+    const source = edgeEndpointId(link.source);
+    const target = edgeEndpointId(link.target);
+    const key = JSON.stringify(source < target ? [source, target] : [target, source]);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(link);
+  });
+
+  groups.forEach((group) => {
+    group.forEach((link, index) => {
+      const source = edgeEndpointId(link.source);
+      const target = edgeEndpointId(link.target);
+      if (source === target) {
+        link.loop = index;
+        link.curve = 0;
+        return;
+      }
+      link.loop = null;
+      // Offsets are spread evenly around the straight line of the pair, measured in the
+      // direction of the lower id; edges running the other way flip the sign
+      const offset = (index - (group.length - 1) / 2) * PARALLEL_EDGE_SPACING;
+      link.curve = source < target ? offset : -offset;
+    });
+  });
+}
+
+// Shape of a link between positioned nodes: the start and end points, the Bézier control
+// points (none for a straight line, one for an arc, two for a loop), the SVG path and
+// where the label sits. `radius` is the radius of the node a self-loop belongs to.
+function linkGeometry(link, source, target, radius = 10) {
+  if (typeof link.loop === 'number') {
+    const size = radius + SELF_LOOP_SIZE + link.loop * SELF_LOOP_STEP;
+    const controls = [
+      [source.x - size * 0.8, source.y - size * 1.6],
+      [source.x + size * 0.8, source.y - size * 1.6],
+    ];
+    return {
+      start: [source.x, source.y],
+      end: [source.x, source.y],
+      controls,
+      path: `M${source.x},${source.y} C${controls[0][0]},${controls[0][1]} ${controls[1][0]},${controls[1][1]} ${source.x},${source.y}`,
+      labelX: source.x,
+      labelY: source.y - size * 1.2,
+    };
+  }
+
+  const midX = (source.x + target.x) / 2;
+  const midY = (source.y + target.y) / 2;
+  const length = Math.hypot(target.x - source.x, target.y - source.y);
+  if (!link.curve || !length) {
+    return {
+      start: [source.x, source.y],
+      end: [target.x, target.y],
+      controls: [],
+      path: `M${source.x},${source.y} L${target.x},${target.y}`,
+      labelX: midX,
+      labelY: midY,
+    };
+  }
+  // A quadratic curve passes halfway between the straight middle and its control point
+  const normalX = (source.y - target.y) / length;
+  const normalY = (target.x - source.x) / length;
+  const control = [midX + normalX * link.curve * 2, midY + normalY * link.curve * 2];
+  return {
+    start: [source.x, source.y],
+    end: [target.x, target.y],
+    controls: [control],
+    path: `M${source.x},${source.y} Q${control[0]},${control[1]} ${target.x},${target.y}`,
+    labelX: midX + normalX * link.curve,
+    labelY: midY + normalY * link.curve,
+  };
+}
+
+// Points along the shape of linkGeometry, about `spacing` apart, so the shape can be treated
+// as a chain of short straight pieces
+function linkPoints(geometry, spacing = 20) {
+  const { start, end, controls } = geometry;
+  const at = (t) => {
+    const u = 1 - t;
+    if (controls.length === 2) {
+      return [0, 1].map(
+        (axis) =>
+          u * u * u * start[axis] +
+          3 * u * u * t * controls[0][axis] +
+          3 * u * t * t * controls[1][axis] +
+          t * t * t * end[axis],
+      );
+    }
+    if (controls.length === 1) {
+      return [0, 1].map((axis) => u * u * start[axis] + 2 * u * t * controls[0][axis] + t * t * end[axis]);
+    }
+    return [0, 1].map((axis) => start[axis] + (end[axis] - start[axis]) * t);
+  };
+  // A curve is never longer than the polygon through its control points
+  const outline = [start, ...controls, end];
+  const length = d3.sum(outline.slice(1), (point, index) =>
+    Math.hypot(point[0] - outline[index][0], point[1] - outline[index][1]),
+  );
+  const steps = Math.max(1, Math.ceil(length / spacing));
+  return Array.from({ length: steps + 1 }, (value, index) => at(index / steps));
+}
+
+// Distance from the point (x, y) to the straight piece from `a` to `b`
+function distanceToSegment(x, y, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const squared = dx * dx + dy * dy;
+  const t = squared ? Math.max(0, Math.min(1, ((x - a[0]) * dx + (y - a[1]) * dy) / squared)) : 0;
+  return Math.hypot(x - (a[0] + dx * t), y - (a[1] + dy * t));
+}
@@ -0,0 +1,609 @@
+// Importers convert every supported file format into the { nodes, edges } shape
+// that validateGraph and mergeGraphs expect.
+
+const GRAPH_FORMATS_BY_EXTENSION = {
+  json: 'json',
+  graphml: 'graphml',
+  gexf: 'gexf',
+  csv: 'csv',
+  tsv: 'csv',
+  ttl: 'turtle',
+  turtle: 'turtle',
+};
+
+// Attribute names (lower case) that map onto the internal node/edge fields
+const NAME_ATTRIBUTES = ['name', 'label', 'title'];
+const DESCRIPTION_ATTRIBUTES = ['description', 'desc', 'comment', 'summary'];
+const TYPE_ATTRIBUTES = ['type', 'types', 'category'];
+const RELATION_ATTRIBUTES = ['relation', 'label', 'predicate', 'type', 'relationship'];
+const REFERENCE_ATTRIBUTES = ['reference', 'references', 'ref', 'url', 'source_url'];
+const WEIGHT_ATTRIBUTES = ['weight'];
+const CONFIDENCE_ATTRIBUTES = ['confidence', 'score'];
+const START_ATTRIBUTES = ['start', 'valid_from'];
+const END_ATTRIBUTES = ['end', 'valid_to'];
+const TIMESTAMP_ATTRIBUTES = ['timestamp'];
+
+function detectGraphFormat(fileName, text) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (GRAPH_FORMATS_BY_EXTENSION[extension]) {
+    return GRAPH_FORMATS_BY_EXTENSION[extension];
+  }
+
+  // Unknown extension (e.g. .xml or .txt): sniff the content instead
+  const head = text.replace(/^﻿/, '').trimStart().slice(0, 2000);
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  if (head.startsWith('<')) {
+    if (/<gexf[\s>]/.test(head)) return 'gexf';
+    if (/<graphml[\s>]/.test(head)) return 'graphml';
+  }
+  if (/^(@prefix|@base|prefix\s|base\s)/i.test(head) || /^<[^>\s]+>\s+(<|a\s)/.test(head)) {
+    return 'turtle';
+  }
+  if (/^[^\n]*[,;\t][^\n]*\n/.test(head)) return 'csv';
+
+  throw new Error('Unrecognized file format. Use JSON, GraphML, GEXF, CSV or Turtle.');
+}
+
+function parseGraphText(text, fileName) {
+  const format = detectGraphFormat(fileName, text);
+  switch (format) {
+    case 'graphml':
+      return parseGraphML(text);
+    case 'gexf':
+      return parseGexf(text);
+    case 'csv':
+      return parseCsvGraph(text, fileName);
+    case 'turtle':
+      return parseTurtle(text);
+    default:
+      return JSON.parse(text);
+  }
+}
+
+function splitReferences(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return String(value)
+    .split(/\s*[|;\n]\s*/)
+    .map((ref) => ref.trim())
+    .filter(Boolean);
+}
+
+// Build a node/edge from a plain attribute map using the known field aliases
+function nodeFromAttributes(id, attributes) {
+  const node = { id };
+  const name = pickAttribute(attributes, NAME_ATTRIBUTES);
+  const description = pickAttribute(attributes, DESCRIPTION_ATTRIBUTES);
+  if (name) node.name = name;
+  if (description) node.description = description;
+  // Several types are written as one value separated by | or ;
+  const types = splitReferences(pickAttribute(attributes, TYPE_ATTRIBUTES));
+  if (types.length === 1) node.type = types[0];
+  if (types.length > 1) node.types = types;
+  return addTimeAttributes(node, attributes);
+}
+
+function edgeFromAttributes(source, target, attributes) {
+  const edge = { source, target };
+  const relation = pickAttribute(attributes, RELATION_ATTRIBUTES);
+  if (relation) edge.relation = relation;
+  edge.reference = splitReferences(pickAttribute(attributes, REFERENCE_ATTRIBUTES));
+  // Text that is not a number becomes NaN, which validateGraph reports and drops
+  const weight = pickAttribute(attributes, WEIGHT_ATTRIBUTES);
+  const confidence = pickAttribute(attributes, CONFIDENCE_ATTRIBUTES);
+  if (weight !== undefined) edge.weight = Number(weight);
+  if (confidence !== undefined) edge.confidence = Number(confidence);
+  return addTimeAttributes(edge, attributes);
+}
+
+// Dates stay text; validateGraph reports the ones that do not parse
+function addTimeAttributes(element, attributes) {
+  const start = pickAttribute(attributes, START_ATTRIBUTES);
+  const end = pickAttribute(attributes, END_ATTRIBUTES);
+  const timestamp = pickAttribute(attributes, TIMESTAMP_ATTRIBUTES);
+  if (start !== undefined) element.start = start;
+  if (end !== undefined) element.end = end;
+  if (timestamp !== undefined) element.timestamp = timestamp;
+  return element;
+}
+
+function pickAttribute(attributes, names) {
+  for (const name of names) {
+    const value = attributes[name];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      return String(value).trim();
+    }
+  }
+  return undefined;
+}
+
+function parseXmlDocument(text, formatName) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const error = doc.getElementsByTagName('parsererror')[0];
+  if (error) {
+    throw new Error(`Invalid ${formatName} XML: ${error.textContent.trim().split('\n')[0]}`);
+  }
+  return doc;
+}
+
+function childElements(parent, localName) {
+  return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+function parseGraphML(text) {
+  const doc = parseXmlDocument(text, 'GraphML');
+  if (!childElements(doc, 'graph').length) {
+    throw new Error('GraphML file does not contain a <graph> element.');
+  }
+
+  // <key> elements declare attribute names and optional defaults per element kind
+  const keys = new Map();
+  childElements(doc, 'key').forEach((key) => {
+    const defaultEl = childElements(key, 'default')[0];
+    keys.set(key.getAttribute('id'), {
+      name: (key.getAttribute('attr.name') || key.getAttribute('id') || '').toLowerCase(),
+      domain: key.getAttribute('for') || 'all',
+      defaultValue: defaultEl ? defaultEl.textContent : undefined,
+    });
+  });
+
+  const readData = (element, domain) => {
+    const attributes = {};
+    keys.forEach((key) => {
+      if ((key.domain === domain || key.domain === 'all') && key.defaultValue !== undefined) {
+        attributes[key.name] = key.defaultValue;
+      }
+    });
+    Array.from(element.children)
+      .filter((child) => child.localName === 'data')
+      .forEach((data) => {
+        const key = keys.get(data.getAttribute('key'));
+        // yEd stores visible labels inside y:NodeLabel / y:EdgeLabel
+        const yedLabel = childElements(data, domain === 'node' ? 'NodeLabel' : 'EdgeLabel')[0];
+        if (yedLabel) {
+          attributes.label = yedLabel.textContent.trim();
+        } else if (key) {
+          attributes[key.name] = data.textContent;
+        }
+      });
+    return attributes;
+  };
+
+  const nodes = childElements(doc, 'node').map((nodeEl, index) => {
+    const id = nodeEl.getAttribute('id');
+    if (!id) {
+      throw new Error(`GraphML node at position ${index} is missing an "id" attribute.`);
+    }
+    return nodeFromAttributes(id, readData(nodeEl, 'node'));
+  });
+
+  const edges = childElements(doc, 'edge').map((edgeEl, index) => {
+    const source = edgeEl.getAttribute('source');
+    const target = edgeEl.getAttribute('target');
+    if (!source || !target) {
+      throw new Error(`GraphML edge at position ${index} is missing "source" or "target".`);
+    }
+    return edgeFromAttributes(source, target, readData(edgeEl, 'edge'));
+  });
+
+  return { nodes, edges };
+}
+
+function parseGexf(text) {
+  const doc = parseXmlDocument(text, 'GEXF');
+  if (!childElements(doc, 'graph').length) {
+    throw new Error('GEXF file does not contain a <graph> element.');
+  }
+
+  // <attributes class="node|edge"> map attribute ids to titles
+  const attributeTitles = { node: new Map(), edge: new Map() };
+  childElements(doc, 'attributes').forEach((group) => {
+    const titles = attributeTitles[group.getAttribute('class')];
+    if (!titles) return;
+    childElements(group, 'attribute').forEach((attribute) => {
+      titles.set(
+        attribute.getAttribute('id'),
+        (attribute.getAttribute('title') || attribute.getAttribute('id') || '').toLowerCase(),
+      );
+    });
+  });
+
+  const readAttributes = (element, kind) => {
+    const attributes = {};
+    if (element.hasAttribute('label')) {
+      attributes.label = element.getAttribute('label');
+    }
+    // Edge weights and the periods of dynamic graphs are native GEXF attributes
+    ['weight', 'start', 'end', 'timestamp'].forEach((name) => {
+      if (element.hasAttribute(name)) {
+        attributes[name] = element.getAttribute(name);
+      }
+    });
+    childElements(element, 'attvalue').forEach((attvalue) => {
+      const key = attvalue.getAttribute('for') || attvalue.getAttribute('id');
+      const title = attributeTitles[kind].get(key) || String(key).toLowerCase();
+      attributes[title] = attvalue.getAttribute('value');
+    });
+    return attributes;
+  };
+
+  const nodes = childElements(doc, 'node').map((nodeEl, index) => {
+    const id = nodeEl.getAttribute('id');
+    if (!id) {
+      throw new Error(`GEXF node at position ${index} is missing an "id" attribute.`);
+    }
+    return nodeFromAttributes(id, readAttributes(nodeEl, 'node'));
+  });
+
+  const edges = childElements(doc, 'edge').map((edgeEl, index) => {
+    const source = edgeEl.getAttribute('source');
+    const target = edgeEl.getAttribute('target');
+    if (!source || !target) {
+      throw new Error(`GEXF edge at position ${index} is missing "source" or "target".`);
+    }
+    return edgeFromAttributes(source, target, readAttributes(edgeEl, 'edge'));
+  });
+
+  return { nodes, edges };
+}
+
+// A CSV file is either a node table (id column) or an edge table (source and target columns)
+function parseCsvGraph(text, fileName) {
+  const firstLine = text.replace(/^﻿/, '').split(/\r?\n/, 1)[0];
+  const delimiter = fileName.toLowerCase().endsWith('.tsv')
+    ? '\t'
+    : [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best,
+      );
+  const rows = parseCsvRows(text.replace(/^﻿/, ''), delimiter).filter((row) =>
+    row.some((cell) => cell.trim() !== ''),
+  );
+  if (!rows.length) {
+    throw new Error('CSV file is empty.');
+  }
+
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const records = rows.slice(1).map((row) => {
+    const record = {};
+    header.forEach((column, index) => {
+      record[column] = row[index] !== undefined ? row[index].trim() : '';
+    });
+    return record;
+  });
+
+  const sourceColumn = ['source', 'from', 'subject'].find((column) => header.includes(column));
+  const targetColumn = ['target', 'to', 'object'].find((column) => header.includes(column));
+
+  if (sourceColumn && targetColumn) {
+    const edges = records.map((record, index) => {
+      if (!record[sourceColumn] || !record[targetColumn]) {
+        throw new Error(`CSV row ${index + 2} is missing a ${sourceColumn} or ${targetColumn} value.`);
+      }
+      return edgeFromAttributes(record[sourceColumn], record[targetColumn], record);
+    });
+    return { nodes: [], edges };
+  }
+
+  if (header.includes('id')) {
+    const nodes = records.map((record, index) => {
+      if (!record.id) {
+        throw new Error(`CSV row ${index + 2} is missing an id value.`);
+      }
+      return nodeFromAttributes(record.id, record);
+    });
+    return { nodes, edges: [] };
+  }
+
+  throw new Error(
+    'CSV header must contain an "id" column (node table) or "source" and "target" columns (edge table).',
+  );
+}
+
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV file ends inside a quoted value.');
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+// Predicates whose literal values become the node name or description
+const RDF_NAME_PREDICATES = [
+  'http://www.w3.org/2000/01/rdf-schema#label',
+  'http://www.w3.org/2004/02/skos/core#prefLabel',
+  'http://schema.org/name',
+  'https://schema.org/name',
+  'http://xmlns.com/foaf/0.1/name',
+];
+const RDF_DESCRIPTION_PREDICATES = [
+  'http://www.w3.org/2000/01/rdf-schema#comment',
+  'http://www.w3.org/2004/02/skos/core#definition',
+  'http://purl.org/dc/terms/description',
+  'http://purl.org/dc/elements/1.1/description',
+  'http://schema.org/description',
+  'https://schema.org/description',
+];
+
+// Resources are identified by the local part of their IRI so they line up with JSON ids
+function rdfLocalName(iri) {
+  const match = /[^#/:]+$/.exec(iri.replace(/[#/]+$/, ''));
+  return match ? decodeURIComponent(match[0]) : iri;
+}
+
+function parseTurtle(text) {
+  const triples = parseTurtleTriples(text);
+  const nodeMap = new Map();
+  const edges = [];
+
+  const ensureNode = (term) => {
+    const id = term.type === 'blank' ? term.value : rdfLocalName(term.value);
+    if (!nodeMap.has(id)) {
+      nodeMap.set(id, { id, name: term.type === 'blank' ? id : rdfLocalName(term.value) });
+    }
+    return nodeMap.get(id);
+  };
+
+  triples.forEach(({ subject, predicate, object }) => {
+    const node = ensureNode(subject);
+    if (object.type === 'literal') {
+      if (RDF_NAME_PREDICATES.includes(predicate)) {
+        node.name = object.value;
+      } else if (RDF_DESCRIPTION_PREDICATES.includes(predicate) && !node.description) {
+        node.description = object.value;
+      }
+      return;
+    }
+    const target = ensureNode(object);
+    // The classes of a resource are its types too; the edges to them stay
+    if (predicate === RDF_TYPE) {
+      node.types = [...(node.types || []), target.id];
+    }
+    edges.push({
+      source: node.id,
+      target: target.id,
+      relation: predicate === RDF_TYPE ? 'type' : rdfLocalName(predicate),
+      reference: [],
+    });
+  });
+
+  return { nodes: Array.from(nodeMap.values()), edges };
+}
+
+// Minimal Turtle reader: prefixes, base, IRIs, prefixed names, literals, blank nodes,
+// predicate lists (;) and object lists (,). Collections are not supported.
+function parseTurtleTriples(text) {
+  const tokens = tokenizeTurtle(text);
+  const prefixes = {};
+  let base = '';
+  let position = 0;
+  let blankCounter = 0;
+  const triples = [];
+
+  const peek = () => tokens[position];
+  const next = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error('Turtle file ended unexpectedly.');
+    return token;
+  };
+  const expect = (value) => {
+    const token = next();
+    if (token.value !== value) {
+      throw new Error(`Expected "${value}" on line ${token.line} but found "${token.value}".`);
+    }
+  };
+
+  const resolveIri = (iri) => (/^[a-z][a-z0-9+.-]*:/i.test(iri) || !base ? iri : base + iri);
+
+  const readTerm = (token) => {
+    switch (token.type) {
+      case 'iri':
+        return { type: 'iri', value: resolveIri(token.value) };
+      case 'pname': {
+        const separator = token.value.indexOf(':');
+        const prefix = token.value.slice(0, separator);
+        if (!(prefix in prefixes)) {
+          throw new Error(`Unknown prefix "${prefix}:" on line ${token.line}.`);
+        }
+        return { type: 'iri', value: prefixes[prefix] + token.value.slice(separator + 1) };
+      }
+      case 'blank':
+        return { type: 'blank', value: token.value };
+      case 'literal':
+        return { type: 'literal', value: token.value };
+      default:
+        if (token.value === '[') return readBlankNodePropertyList();
+        if (token.value === '(') {
+          throw new Error(`RDF collections are not supported (line ${token.line}).`);
+        }
+        throw new Error(`Unexpected "${token.value}" on line ${token.line}.`);
+    }
+  };
+
+  const readPredicate = () => {
+    const token = next();
+    if (token.type === 'keyword' && token.value === 'a') return RDF_TYPE;
+    const term = readTerm(token);
+    if (term.type !== 'iri') {
+      throw new Error(`Predicate on line ${token.line} must be an IRI.`);
+    }
+    return term.value;
+  };
+
+  const readPredicateObjectList = (subject, terminator) => {
+    for (;;) {
+      const predicate = readPredicate();
+      for (;;) {
+        const object = readTerm(next());
+        triples.push({ subject, predicate, object });
+        if (peek() && peek().value === ',') {
+          next();
+          continue;
+        }
+        break;
+      }
+      if (peek() && peek().value === ';') {
+        // Repeated or trailing semicolons are allowed
+        while (peek() && peek().value === ';') next();
+        if (peek() && peek().value === terminator) break;
+        continue;
+      }
+      break;
+    }
+  };
+
+  function readBlankNodePropertyList() {
+    const subject = { type: 'blank', value: `_:b${++blankCounter}` };
+    if (peek() && peek().value === ']') {
+      next();
+      return subject;
+    }
+    readPredicateObjectList(subject, ']');
+    expect(']');
+    return subject;
+  }
+
+  while (position < tokens.length) {
+    const token = next();
+    const directive = token.value.toLowerCase();
+    if (directive === '@prefix' || (token.type === 'keyword' && directive === 'prefix')) {
+      const name = next();
+      const iri = next();
+      if (name.type !== 'pname' || iri.type !== 'iri') {
+        throw new Error(`Malformed prefix declaration on line ${token.line}.`);
+      }
+      prefixes[name.value.slice(0, -1)] = resolveIri(iri.value);
+      if (directive === '@prefix') expect('.');
+    } else if (directive === '@base' || (token.type === 'keyword' && directive === 'base')) {
+      const iri = next();
+      base = resolveIri(iri.value);
+      if (directive === '@base') expect('.');
+    } else {
+      const subject = readTerm(token);
+      if (subject.type === 'literal') {
+        throw new Error(`A literal cannot be a subject (line ${token.line}).`);
+      }
+      if (!(token.value === '[' && peek() && peek().value === '.')) {
+        readPredicateObjectList(subject, '.');
+      }
+      expect('.');
+    }
+  }
+
+  return triples;
+}
+
+function tokenizeTurtle(text) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '<') {
+      const end = text.indexOf('>', i);
+      if (end === -1) throw new Error(`Unterminated IRI on line ${line}.`);
+      tokens.push({ type: 'iri', value: text.slice(i + 1, end), line });
+      i = end + 1;
+    } else if (char === '"' || char === "'") {
+      const long = text.startsWith(char.repeat(3), i);
+      const quote = long ? char.repeat(3) : char;
+      let j = i + quote.length;
+      let value = '';
+      while (j < text.length && !text.startsWith(quote, j)) {
+        if (text[j] === '\\') {
+          const escaped = text[j + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+          j += 2;
+        } else {
+          if (text[j] === '\n') {
+            if (!long) throw new Error(`Unterminated string on line ${line}.`);
+            line++;
+          }
+          value += text[j++];
+        }
+      }
+      if (j >= text.length) throw new Error(`Unterminated string on line ${line}.`);
+      i = j + quote.length;
+      // Language tags and datatypes are accepted but not kept
+      if (text[i] === '@') {
+        while (i < text.length && /[A-Za-z0-9@-]/.test(text[i])) i++;
+      } else if (text.startsWith('^^', i)) {
+        i += 2;
+        if (text[i] === '<') {
+          const end = text.indexOf('>', i);
+          if (end === -1) throw new Error(`Unterminated IRI on line ${line}.`);
+          i = end + 1;
+        } else {
+          while (i < text.length && /[^\s;,.\])]/.test(text[i])) i++;
+        }
+      }
+      tokens.push({ type: 'literal', value, line });
+    } else if ('.;,[]()'.includes(char) && !(char === '.' && /[0-9]/.test(text[i + 1] || ''))) {
+      tokens.push({ type: 'punctuation', value: char, line });
+      i++;
+    } else {
+      let j = i;
+      while (j < text.length && !/[\s;,[\]()<"']/.test(text[j])) j++;
+      // A trailing dot ends the statement rather than belonging to the name
+      while (j > i + 1 && text[j - 1] === '.') j--;
+      const value = text.slice(i, j);
+      i = j;
+      if (value.startsWith('_:')) {
+        tokens.push({ type: 'blank', value, line });
+      } else if (/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(value) || value === 'true' || value === 'false') {
+        tokens.push({ type: 'literal', value, line });
+      } else if (value.includes(':')) {
+        tokens.push({ type: 'pname', value, line });
+      } else if (value.startsWith('@') || ['a', 'prefix', 'base'].includes(value.toLowerCase())) {
+        tokens.push({ type: 'keyword', value, line });
+      } else {
+        throw new Error(`Unexpected "${value}" on line ${line}.`);
+      }
+    }
+  }
+
+  return tokens;
+}
@@ -0,0 +1,11 @@
+// How nodes and edges are identified, shared by every module and the worker.
+
+// In the force layout d3 replaces edge endpoints with node objects
+function edgeEndpointId(endpoint) {
+  return endpoint && typeof endpoint === 'object' ? endpoint.id : endpoint;
+}
+
+// Same key mergeGraphs uses to combine edges across files
+function edgeKey(edge) {
+  return `${edgeEndpointId(edge.source)}|${edgeEndpointId(edge.target)}|${edge.relation}`;
+}
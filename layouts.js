@@ -0,0 +1,281 @@
+// Layouts: static ones that compute node positions directly, and the force simulation
+// run by worker.js.
+
+// Layered (Sugiyama) layout for directed hierarchies:
+//   1. cycle breaking (depth-first search, back edges are reversed)
+//   2. layer assignment (longest path from the sources)
+//   3. dummy vertices for edges that span several layers
+//   4. crossing minimization (barycenter sweeps, best ordering kept)
+//   5. coordinate assignment (neighbor averaging with minimum separation)
+// Only edges whose relation is in `relations` (all edges when null) define the hierarchy.
+// `orientation` is the direction edges flow in: TB (top-down), BT, LR (left-right) or RL.
+// Returns { positions: Map<nodeId, {x, y}>, reversedEdges, hierarchyEdges } where the
+// edge sets hold indices into graph.edges.
+function layeredLayout(graph, options = {}) {
+  const {
+    orientation = 'TB',
+    relations = null,
+    nodeSpacing = 140,
+    layerSpacing = 120,
+  } = options;
+
+  const ids = graph.nodes.map((node) => node.id);
+  const known = new Set(ids);
+  const hierarchyEdges = new Set();
+  const dagEdges = [];
+  const reversedEdges = new Set();
+
+  const candidates = [];
+  graph.edges.forEach((edge, index) => {
+    const source = edgeEndpointId(edge.source);
+    const target = edgeEndpointId(edge.target);
+    if (!known.has(source) || !known.has(target) || source === target) return;
+    if (relations && !relations.has(edge.relation)) return;
+    hierarchyEdges.add(index);
+    candidates.push({ index, source, target });
+  });
+
+  // 1. Cycle breaking: an edge that points back to a vertex on the DFS stack is reversed
+  const outgoing = new Map(ids.map((id) => [id, []]));
+  const inDegree = new Map(ids.map((id) => [id, 0]));
+  candidates.forEach((edge) => {
+    outgoing.get(edge.source).push(edge);
+    inDegree.set(edge.target, inDegree.get(edge.target) + 1);
+  });
+  const state = new Map();
+  // Start from the natural roots so the hierarchy keeps its intended direction
+  const roots = [...ids].sort((a, b) => inDegree.get(a) - inDegree.get(b));
+  roots.forEach((root) => {
+    if (state.has(root)) return;
+    const stack = [{ id: root, next: 0 }];
+    state.set(root, 'active');
+    while (stack.length) {
+      const frame = stack[stack.length - 1];
+      const edges = outgoing.get(frame.id);
+      if (frame.next >= edges.length) {
+        state.set(frame.id, 'done');
+        stack.pop();
+        continue;
+      }
+      const edge = edges[frame.next++];
+      const targetState = state.get(edge.target);
+      if (targetState === 'active') {
+        reversedEdges.add(edge.index);
+        dagEdges.push({ from: edge.target, to: edge.source });
+      } else {
+        dagEdges.push({ from: edge.source, to: edge.target });
+        if (!targetState) {
+          state.set(edge.target, 'active');
+          stack.push({ id: edge.target, next: 0 });
+        }
+      }
+    }
+  });
+
+  // 2. Layer assignment: longest path from the sources (Kahn's topological order)
+  const successors = new Map(ids.map((id) => [id, []]));
+  const remaining = new Map(ids.map((id) => [id, 0]));
+  dagEdges.forEach(({ from, to }) => {
+    successors.get(from).push(to);
+    remaining.set(to, remaining.get(to) + 1);
+  });
+  const layerOf = new Map();
+  const queue = ids.filter((id) => remaining.get(id) === 0);
+  queue.forEach((id) => layerOf.set(id, 0));
+  for (let head = 0; head < queue.length; head++) {
+    const id = queue[head];
+    successors.get(id).forEach((next) => {
+      layerOf.set(next, Math.max(layerOf.get(next) || 0, layerOf.get(id) + 1));
+      remaining.set(next, remaining.get(next) - 1);
+      if (remaining.get(next) === 0) queue.push(next);
+    });
+  }
+
+  // Nodes outside the hierarchy get their own row after the last layer instead of crowding the first
+  const connected = new Set(dagEdges.flatMap(({ from, to }) => [from, to]));
+  const maxLayer = Math.max(0, ...[...connected].map((id) => layerOf.get(id)));
+  ids.forEach((id) => {
+    if (!connected.has(id)) {
+      layerOf.set(id, connected.size ? maxLayer + 1 : 0);
+    }
+  });
+
+  // 3. Dummy vertices so every edge connects adjacent layers
+  const layerCount = Math.max(...ids.map((id) => layerOf.get(id))) + 1;
+  const layers = Array.from({ length: layerCount }, () => []);
+  ids.forEach((id) => layers[layerOf.get(id)].push(id));
+  const upper = new Map(ids.map((id) => [id, []]));
+  const lower = new Map(ids.map((id) => [id, []]));
+  const dummies = new Set();
+  let dummyCounter = 0;
+  dagEdges.forEach(({ from, to }) => {
+    let previous = from;
+    for (let layer = layerOf.get(from) + 1; layer < layerOf.get(to); layer++) {
+      const dummy = `\u0000dummy${dummyCounter++}`;
+      dummies.add(dummy);
+      layers[layer].push(dummy);
+      upper.set(dummy, []);
+      lower.set(dummy, []);
+      lower.get(previous).push(dummy);
+      upper.get(dummy).push(previous);
+      previous = dummy;
+    }
+    lower.get(previous).push(to);
+    upper.get(to).push(previous);
+  });
+
+  // 4. Crossing minimization with alternating barycenter sweeps
+  const positionIn = (layer) => new Map(layer.map((id, index) => [id, index]));
+  // Two segments cross when their ends are in opposite orders. With the segments sorted by
+  // their upper end, that is an inversion of the lower ends, counted with a Fenwick tree
+  // in O(E log V) per layer pair.
+  const countCrossings = (order) => {
+    let crossings = 0;
+    for (let i = 0; i < order.length - 1; i++) {
+      const nextPosition = positionIn(order[i + 1]);
+      const segments = [];
+      order[i].forEach((id, position) =>
+        lower.get(id).forEach((next) => segments.push([position, nextPosition.get(next)])),
+      );
+      segments.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+      const size = order[i + 1].length;
+      const tree = new Array(size + 1).fill(0);
+      segments.forEach(([, end], index) => {
+        // Earlier segments ending at or left of `end` do not cross this one
+        let notCrossing = 0;
+        for (let k = end + 1; k > 0; k -= k & -k) notCrossing += tree[k];
+        crossings += index - notCrossing;
+        for (let k = end + 1; k <= size; k += k & -k) tree[k]++;
+      });
+    }
+    return crossings;
+  };
+  const reorder = (layer, reference, neighbors) => {
+    const referencePosition = positionIn(reference);
+    const current = positionIn(layer);
+    const barycenter = new Map(
+      layer.map((id) => {
+        const positions = neighbors.get(id).map((other) => referencePosition.get(other));
+        return [
+          id,
+          positions.length ? positions.reduce((sum, value) => sum + value, 0) / positions.length : current.get(id),
+        ];
+      }),
+    );
+    return [...layer].sort((a, b) => barycenter.get(a) - barycenter.get(b) || current.get(a) - current.get(b));
+  };
+
+  let order = layers.map((layer) => [...layer]);
+  let best = order.map((layer) => [...layer]);
+  let bestCrossings = countCrossings(order);
+  for (let iteration = 0; iteration < 12 && bestCrossings > 0; iteration++) {
+    if (iteration % 2 === 0) {
+      for (let i = 1; i < order.length; i++) order[i] = reorder(order[i], order[i - 1], upper);
+    } else {
+      for (let i = order.length - 2; i >= 0; i--) order[i] = reorder(order[i], order[i + 1], lower);
+    }
+    const crossings = countCrossings(order);
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      best = order.map((layer) => [...layer]);
+    }
+  }
+  order = best;
+
+  // 5. Coordinate assignment: move vertices towards the average of their neighbors while
+  // keeping at least the minimum separation (dummies only need half of it)
+  const x = new Map();
+  order.forEach((layer) =>
+    layer.forEach((id, index) => x.set(id, (index - (layer.length - 1) / 2) * nodeSpacing)),
+  );
+  const separation = (a, b) => (dummies.has(a) || dummies.has(b) ? nodeSpacing / 2 : nodeSpacing);
+  const placeLayer = (layer, neighbors) => {
+    const desired = layer.map((id) => {
+      const positions = neighbors.get(id).map((other) => x.get(other));
+      return positions.length
+        ? positions.reduce((sum, value) => sum + value, 0) / positions.length
+        : x.get(id);
+    });
+    const left = [...desired];
+    for (let i = 1; i < layer.length; i++) {
+      left[i] = Math.max(left[i], left[i - 1] + separation(layer[i - 1], layer[i]));
+    }
+    const right = [...desired];
+    for (let i = layer.length - 2; i >= 0; i--) {
+      right[i] = Math.min(right[i], right[i + 1] - separation(layer[i], layer[i + 1]));
+    }
+    layer.forEach((id, i) => x.set(id, (left[i] + right[i]) / 2));
+  };
+  for (let iteration = 0; iteration < 8; iteration++) {
+    if (iteration % 2 === 0) {
+      for (let i = 1; i < order.length; i++) placeLayer(order[i], upper);
+    } else {
+      for (let i = order.length - 2; i >= 0; i--) placeLayer(order[i], lower);
+    }
+  }
+
+  const positions = new Map();
+  order.forEach((layer, layerIndex) =>
+    layer.forEach((id) => {
+      if (dummies.has(id)) return;
+      const along = x.get(id);
+      const across = layerIndex * layerSpacing;
+      switch (orientation) {
+        case 'BT':
+          positions.set(id, { x: along, y: -across });
+          break;
+        case 'LR':
+          positions.set(id, { x: across, y: along });
+          break;
+        case 'RL':
+          positions.set(id, { x: -across, y: along });
+          break;
+        default:
+          positions.set(id, { x: along, y: across });
+      }
+    }),
+  );
+
+  return { positions, reversedEdges, hierarchyEdges };
+}
+
+// Force-directed layouts. 'force' keeps the graph around the middle of the view; 'clustered'
+// and 'typed' pull nodes towards the center of their group (their community or their type,
+// in node.group; `centers`: [[group, { x, y }]]) and keep links between groups weak.
+function createForceSimulation(nodes, links, { layout, strength, width, height, centers = [] }) {
+  const simulation = d3.forceSimulation(nodes);
+
+  if (layout === 'clustered' || layout === 'typed') {
+    const centerOf = new Map(centers);
+    const groupOf = new Map(nodes.map((node) => [node.id, node.group]));
+    const sameGroup = (link) => groupOf.get(edgeEndpointId(link.source)) === groupOf.get(edgeEndpointId(link.target));
+    return simulation
+      .force(
+        'link',
+        d3
+          .forceLink(links)
+          .id((d) => d.id)
+          .distance((link) => (sameGroup(link) ? 80 : 220))
+          .strength((link) => (sameGroup(link) ? 0.4 : 0.02)),
+      )
+      .force('charge', d3.forceManyBody().strength(strength))
+      .force('collision', d3.forceCollide().radius(45))
+      .force('x', d3.forceX((d) => (centerOf.get(d.group) || { x: width / 2 }).x).strength(0.25))
+      .force('y', d3.forceY((d) => (centerOf.get(d.group) || { y: height / 2 }).y).strength(0.25));
+  }
+
+  return simulation
+    .force(
+      'link',
+      d3
+        .forceLink(links)
+        .id((d) => d.id)
+        .distance(130)
+        .strength(0.2),
+    )
+    .force('charge', d3.forceManyBody().strength(strength))
+    .force('center', d3.forceCenter(width / 2, height / 2))
+    .force('collision', d3.forceCollide().radius(60))
+    .force('x', d3.forceX(width / 2).strength(0.05))
+    .force('y', d3.forceY(height / 2).strength(0.05));
+}
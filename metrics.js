@@ -0,0 +1,426 @@
+// Node metrics (degree, PageRank, betweenness, closeness, eigenvector and HITS scores).
+// Self-contained, so metrics work without any external script. The algorithms follow
+// graphology-metrics step for step and give the same results for the same unweighted graph;
+// edge weights are read as strengths (see metricEdgeLength).
+// Loaded by the page and by worker.js, so it must not touch the DOM.
+
+// Node fields written by computeMetrics
+const METRIC_FIELDS = [
+  'degree',
+  'inDegree',
+  'outDegree',
+  'normalizedDegree',
+  'pagerank',
+  'betweenness',
+  'closeness',
+  'eigenvector',
+  'hub',
+  'authority',
+];
+
+// Combine the values several files (or collapsed parallel edges) give for one edge field:
+// 'max', 'sum' or 'mean'. Also used by mergeGraphs.
+function combineEdgeValues(values, rule) {
+  if (!values.length) return undefined;
+  const sum = values.reduce((total, value) => total + value, 0);
+  if (rule === 'sum') return sum;
+  if (rule === 'mean') return sum / values.length;
+  return Math.max(...values);
+}
+
+// Index-based directed graph: nodes keep their order and self-loops are kept. With
+// `parallelEdges: 'keep'` every edge counts, as in a graphology MultiDirectedGraph; with
+// 'collapse' edges repeating a source and target become one, as in a DirectedGraph, whose
+// weight follows the `combine` rule. Edges without a weight weigh 1.
+function createMetricGraph(graph, { parallelEdges = 'keep', combine = 'max' } = {}) {
+  const ids = [];
+  const indexById = new Map();
+  graph.nodes.forEach((node) => {
+    if (indexById.has(node.id)) return;
+    indexById.set(node.id, ids.length);
+    ids.push(node.id);
+  });
+
+  const links = [];
+  const linkByKey = new Map();
+  graph.edges.forEach((edge) => {
+    const source = indexById.get(edgeEndpointId(edge.source));
+    const target = indexById.get(edgeEndpointId(edge.target));
+    if (source === undefined || target === undefined) return;
+    const weight = typeof edge.weight === 'number' && edge.weight >= 0 ? edge.weight : 1;
+    const key = `${source}|${target}`;
+    if (parallelEdges === 'collapse' && linkByKey.has(key)) {
+      linkByKey.get(key).weights.push(weight);
+      return;
+    }
+    const link = { source, target, weights: [weight] };
+    linkByKey.set(key, link);
+    links.push(link);
+  });
+
+  const outbound = ids.map(() => []);
+  const outboundWeights = ids.map(() => []);
+  const inbound = ids.map(() => []);
+  const inboundWeights = ids.map(() => []);
+  links.forEach(({ source, target, weights }) => {
+    const weight = weights.length > 1 ? combineEdgeValues(weights, combine) : weights[0];
+    outbound[source].push(target);
+    outboundWeights[source].push(weight);
+    inbound[target].push(source);
+    inboundWeights[target].push(weight);
+  });
+  return { ids, outbound, outboundWeights, inbound, inboundWeights };
+}
+
+// Weighted PageRank: a node passes its score on in proportion to the weights of its edges
+function pagerankScores(metricGraph, { alpha = 0.85, tolerance = 1e-6, maxIterations = 100 } = {}) {
+  const { outbound, outboundWeights } = metricGraph;
+  const count = outbound.length;
+  const p = 1 / count;
+  const dangling = [];
+  const outWeight = outboundWeights.map((weights) => weights.reduce((total, weight) => total + weight, 0));
+  let x = new Float64Array(count).fill(p);
+  outWeight.forEach((total, i) => {
+    if (total === 0) dangling.push(i);
+  });
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const last = x;
+    x = new Float64Array(count);
+    let dangleSum = 0;
+    dangling.forEach((i) => {
+      dangleSum += last[i];
+    });
+    dangleSum *= alpha;
+
+    for (let i = 0; i < count; i++) {
+      const targets = outbound[i];
+      const weights = outboundWeights[i];
+      for (let j = 0; j < targets.length; j++) {
+        x[targets[j]] += alpha * last[i] * (weights[j] / outWeight[i]);
+      }
+      x[i] += dangleSum * p + (1 - alpha) * p;
+    }
+
+    let error = 0;
+    for (let i = 0; i < count; i++) {
+      error += Math.abs(x[i] - last[i]);
+    }
+    if (error < count * tolerance) return { scores: x, converged: true };
+  }
+  return { scores: x, converged: false };
+}
+
+// Binary min-heap of nodes by distance, for Dijkstra's algorithm
+function createDistanceHeap() {
+  const items = [];
+  return {
+    get size() {
+      return items.length;
+    },
+    push(distance, node) {
+      items.push({ distance, node });
+      let index = items.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (items[parent].distance <= items[index].distance) break;
+        [items[parent], items[index]] = [items[index], items[parent]];
+        index = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let index = 0;
+        for (;;) {
+          const left = index * 2 + 1;
+          const right = left + 1;
+          let smallest = index;
+          if (left < items.length && items[left].distance < items[smallest].distance) smallest = left;
+          if (right < items.length && items[right].distance < items[smallest].distance) smallest = right;
+          if (smallest === index) break;
+          [items[smallest], items[index]] = [items[index], items[smallest]];
+          index = smallest;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+// Shortest paths treat a weight as a strength: an edge is 1 / weight long, so strong
+// relations bring nodes closer. Edges of weight 0 cannot be used.
+function metricEdgeLength(weight) {
+  return weight > 0 ? 1 / weight : Infinity;
+}
+
+// Brandes' algorithm with Dijkstra's shortest paths. Scores are divided by (n - 1)(n - 2),
+// the number of ordered pairs a node can lie between.
+function betweennessScores(metricGraph) {
+  const { outbound, outboundWeights } = metricGraph;
+  const count = outbound.length;
+  const scores = new Float64Array(count);
+  const sigma = new Float64Array(count);
+  const distance = new Float64Array(count);
+  const delta = new Float64Array(count);
+  const predecessors = outbound.map(() => []);
+
+  for (let source = 0; source < count; source++) {
+    sigma.fill(0);
+    distance.fill(Infinity);
+    delta.fill(0);
+    predecessors.forEach((list) => {
+      list.length = 0;
+    });
+    sigma[source] = 1;
+    distance[source] = 0;
+    const heap = createDistanceHeap();
+    heap.push(0, source);
+    // Nodes in the order their distance became final
+    const settled = [];
+    while (heap.size) {
+      const { distance: reached, node } = heap.pop();
+      if (reached > distance[node]) continue;
+      settled.push(node);
+      const targets = outbound[node];
+      const weights = outboundWeights[node];
+      for (let j = 0; j < targets.length; j++) {
+        const target = targets[j];
+        const length = metricEdgeLength(weights[j]);
+        if (length === Infinity) continue;
+        const candidate = distance[node] + length;
+        if (candidate < distance[target]) {
+          distance[target] = candidate;
+          sigma[target] = sigma[node];
+          predecessors[target].length = 0;
+          predecessors[target].push(node);
+          heap.push(candidate, target);
+        } else if (candidate === distance[target]) {
+          sigma[target] += sigma[node];
+          predecessors[target].push(node);
+        }
+      }
+    }
+    // Dependencies accumulate from the farthest nodes back to the source
+    for (let index = settled.length - 1; index >= 0; index--) {
+      const node = settled[index];
+      const coefficient = (1 + delta[node]) / sigma[node];
+      predecessors[node].forEach((predecessor) => {
+        delta[predecessor] += sigma[predecessor] * coefficient;
+      });
+      if (node !== source) {
+        scores[node] += delta[node];
+      }
+    }
+  }
+
+  if (count > 2) {
+    const scale = 1 / ((count - 1) * (count - 2));
+    for (let i = 0; i < count; i++) {
+      scores[i] *= scale;
+    }
+  }
+  return scores;
+}
+
+// Nodes reached over inbound edges divided by the sum of their distances. Parallel edges
+// do not change distances (graphology-metrics 2.4 gets the last node of a multigraph wrong here).
+function closenessScores(metricGraph) {
+  const { inbound, inboundWeights } = metricGraph;
+  const count = inbound.length;
+  const scores = new Float64Array(count);
+  const distance = new Float64Array(count);
+
+  for (let source = 0; source < count; source++) {
+    distance.fill(Infinity);
+    distance[source] = 0;
+    const heap = createDistanceHeap();
+    heap.push(0, source);
+    let reached = 0;
+    let total = 0;
+    while (heap.size) {
+      const { distance: current, node } = heap.pop();
+      if (current > distance[node]) continue;
+      if (node !== source) {
+        total += current;
+        reached += 1;
+      }
+      const sources = inbound[node];
+      const weights = inboundWeights[node];
+      for (let j = 0; j < sources.length; j++) {
+        const candidate = current + metricEdgeLength(weights[j]);
+        if (candidate < distance[sources[j]]) {
+          distance[sources[j]] = candidate;
+          heap.push(candidate, sources[j]);
+        }
+      }
+    }
+    scores[source] = total > 0 && count > 1 ? reached / total : 0;
+  }
+  return scores;
+}
+
+// Euclidean norm that neither overflows nor underflows
+function metricNorm(values) {
+  let max = 0;
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    const value = Math.abs(values[i]);
+    if (value > max) {
+      sum *= (max / value) * (max / value);
+      max = value;
+    }
+    sum += value === 0 && max === 0 ? 0 : (value / max) * (value / max);
+  }
+  return max === Infinity ? 1 : max * Math.sqrt(sum);
+}
+
+function eigenvectorScores(metricGraph, { tolerance = 1e-6, maxIterations = 100 } = {}) {
+  const { outbound, outboundWeights } = metricGraph;
+  const count = outbound.length;
+  let x = new Float64Array(count).fill(1 / count);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const last = x;
+    x = new Float64Array(last);
+    for (let i = 0; i < count; i++) {
+      const targets = outbound[i];
+      for (let j = 0; j < targets.length; j++) {
+        x[targets[j]] += last[i] * outboundWeights[i][j];
+      }
+    }
+    const norm = metricNorm(x);
+    let error = 0;
+    for (let i = 0; i < count; i++) {
+      x[i] /= norm;
+      error += Math.abs(x[i] - last[i]);
+    }
+    if (error < count * tolerance) return { scores: x, converged: true };
+  }
+  return { scores: x, converged: false };
+}
+
+// Hub and authority scores, each summing to 1
+function hitsScores(metricGraph, { tolerance = 1e-8, maxIterations = 100 } = {}) {
+  const { outbound, outboundWeights } = metricGraph;
+  const count = outbound.length;
+  let hubs = new Float64Array(count).fill(1 / count);
+  let authorities = new Float64Array(count);
+  let converged = false;
+  const scale = (values, factor) => {
+    for (let i = 0; i < count; i++) {
+      values[i] *= factor;
+    }
+  };
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const last = hubs;
+    hubs = new Float64Array(count);
+    authorities = new Float64Array(count);
+    let maxHub = 0;
+    let maxAuthority = 0;
+    for (let i = 0; i < count; i++) {
+      const targets = outbound[i];
+      for (let j = 0; j < targets.length; j++) {
+        authorities[targets[j]] += last[i] * outboundWeights[i][j];
+        maxAuthority = Math.max(maxAuthority, authorities[targets[j]]);
+      }
+    }
+    for (let i = 0; i < count; i++) {
+      const targets = outbound[i];
+      for (let j = 0; j < targets.length; j++) {
+        hubs[i] += authorities[targets[j]] * outboundWeights[i][j];
+      }
+      maxHub = Math.max(maxHub, hubs[i]);
+    }
+    // Without edges every score stays 0 (graphology divides by zero here and never converges)
+    if (maxHub === 0 || maxAuthority === 0) {
+      return { hubs, authorities, converged: true };
+    }
+    scale(hubs, 1 / maxHub);
+    scale(authorities, 1 / maxAuthority);
+
+    let error = 0;
+    for (let i = 0; i < count; i++) {
+      error += Math.abs(hubs[i] - last[i]);
+    }
+    if (error < tolerance) {
+      converged = true;
+      break;
+    }
+  }
+  scale(authorities, 1 / authorities.reduce((sum, value) => sum + value, 0));
+  scale(hubs, 1 / hubs.reduce((sum, value) => sum + value, 0));
+  return { hubs, authorities, converged };
+}
+
+// Scale values to 0-1; values that are all equal are left as they are
+function normalizeMetric(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach((value) => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  const range = max - min;
+  return range === 0 ? values : values.map((value) => (value - min) / range);
+}
+
+// Metrics for every node of `graph`, keyed by node id. Centralities are normalized to 0-1 and
+// use edge weights; parallel edges count once per edge unless `parallelEdges` is 'collapse'
+// (see createMetricGraph). Degrees count edges. `onProgress(stage, done, total)` is called
+// before each step. Where graphology gives up
+// because an iterative centrality did not converge in 100 iterations (common for eigenvector
+// and HITS scores on graphs with few cycles), the last iteration is used instead.
+function computeMetrics(graph, { parallelEdges = 'keep', combine = 'max', onProgress = () => {} } = {}) {
+  const metricGraph = createMetricGraph(graph, { parallelEdges, combine });
+  const { ids, outbound, inbound } = metricGraph;
+  if (!ids.length) return {};
+  const total = 5;
+  const unconverged = [];
+  const iterated = (name, result) => {
+    if (!result.converged) unconverged.push(name);
+    return result;
+  };
+
+  onProgress('PageRank', 0, total);
+  const pagerank = iterated('PageRank', pagerankScores(metricGraph, { alpha: 0.85, tolerance: 0.0001 }));
+  onProgress('betweenness', 1, total);
+  const betweenness = betweennessScores(metricGraph);
+  onProgress('closeness', 2, total);
+  const closeness = closenessScores(metricGraph);
+  onProgress('eigenvector', 3, total);
+  const eigenvector = iterated('eigenvector', eigenvectorScores(metricGraph));
+  onProgress('HITS', 4, total);
+  const hits = iterated('HITS', hitsScores(metricGraph));
+  if (unconverged.length) {
+    console.warn(`Approximate metrics, no convergence after 100 iterations: ${unconverged.join(', ')}.`);
+  }
+
+  const scores = {
+    pagerank: normalizeMetric(pagerank.scores),
+    betweenness: normalizeMetric(betweenness),
+    closeness: normalizeMetric(closeness),
+    eigenvector: normalizeMetric(eigenvector.scores),
+    hub: normalizeMetric(hits.hubs),
+    authority: normalizeMetric(hits.authorities),
+  };
+  const degrees = ids.map((id, i) => outbound[i].length + inbound[i].length);
+  const maxDegree = Math.max(0, ...degrees);
+
+  const metrics = {};
+  ids.forEach((id, i) => {
+    metrics[id] = {
+      degree: degrees[i],
+      inDegree: inbound[i].length,
+      outDegree: outbound[i].length,
+      normalizedDegree: maxDegree > 0 ? degrees[i] / maxDegree : 0,
+    };
+    Object.keys(scores).forEach((field) => {
+      metrics[id][field] = scores[field][i] || 0;
+    });
+  });
+  return metrics;
+}
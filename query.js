@@ -0,0 +1,312 @@
+// Pattern queries over the { nodes, edges } model. A query is a list of clauses separated
+// by ";" or new lines:
+//   ?person -works_at-> ?org          a relation between two nodes
+//   ?org -located_in-> "Berlin"       a node given by its id or name
+//   ?part <-has_part- ?whole          against the edge direction
+//   ?a -knows- ?b                     in either direction
+//   ?a --> ?b                         any relation
+//   ?a -works_at|founded-> ?b         one of several relations
+//   ?a -knows*1..3-> ?b               one to three hops (*2 exactly two, * up to QUERY_MAX_HOPS)
+//   ?a -r-> ?b -s-> ?c                a chain of patterns
+//   ?person.name contains "Ann"       a filter on id, name, description, type or a metric
+// A match binds every variable to a node; the same node may be bound to several variables.
+
+const QUERY_MAX_HOPS = 6;
+// Matches beyond this are dropped so a broad query cannot freeze the page
+const QUERY_RESULT_LIMIT = 500;
+const QUERY_TEXT_FIELDS = ['id', 'name', 'description', 'type'];
+
+// Parse query text into { patterns, filters, variables }. A pattern is { subject, hop, object }
+// with terms { variable } or { literal } and hop { relations (null for any), min, max,
+// direction ('out', 'in' or 'both') }; a lone term is a pattern without hop or object.
+// Filters are { variable, field, operator, value, test }. Syntax errors throw, naming the clause.
+function parseGraphQuery(text) {
+  // Separators inside quotes belong to the quoted node
+  const clauses = (text.match(/(?:"(?:[^"\\\n]|\\.)*"|[^;\n"]|")+/g) || [])
+    .map((clause) => clause.trim())
+    .filter((clause) => clause && !clause.startsWith('#'));
+  if (!clauses.length) {
+    throw new Error('The query is empty.');
+  }
+
+  const patterns = [];
+  const filters = [];
+  const variables = [];
+  const useVariable = (name) => {
+    if (!variables.includes(name)) variables.push(name);
+  };
+
+  clauses.forEach((clause, index) => {
+    const fail = (message) => {
+      throw new Error(`Clause ${index + 1} (${clause}): ${message}`);
+    };
+    const filter = /^\?(\w+)\.(\w+)\s*(!=|<=|>=|=|<|>|contains\b|matches\b)\s*(.*)$/i.exec(clause);
+    if (filter) {
+      filters.push(parseQueryFilter(filter, fail));
+      useVariable(filter[1]);
+      return;
+    }
+
+    let rest = clause;
+    const readTerm = (after) => {
+      const match = /^\s*(?:\?(\w+)|"((?:[^"\\]|\\.)*)")/.exec(rest);
+      if (!match) {
+        fail(after ? `expected a ?variable or a "quoted" node after ${after}.` : 'expected a ?variable or a "quoted" node.');
+      }
+      rest = rest.slice(match[0].length);
+      if (match[1] !== undefined) {
+        useVariable(match[1]);
+        return { variable: match[1] };
+      }
+      return { literal: match[2].replace(/\\(.)/g, '$1') };
+    };
+
+    let subject = readTerm(null);
+    if (!rest.trim()) {
+      patterns.push({ subject, hop: null, object: null });
+      return;
+    }
+    while (rest.trim()) {
+      // The relation ends at the first "-" or "->" that is followed by the next term
+      const edge = /^\s*(<-|-)\s*([^<>"?]*?)\s*(->|-)(?=\s*[?"])/.exec(rest);
+      if (!edge) {
+        if (/^\s*(<-|-)[^<>"?]*(->|-)\s*$/.test(rest)) {
+          fail(`expected a ?variable or a "quoted" node after ${rest.trim()}.`);
+        }
+        fail(`expected a relation such as -works_at-> near "${rest.trim()}".`);
+      }
+      if (edge[1] === '<-' && edge[3] === '->') {
+        fail(`${edge[0].trim()} points both ways; use -relation- for either direction.`);
+      }
+      rest = rest.slice(edge[0].length);
+      const hop = parseQueryHop(edge[2], fail);
+      hop.direction = edge[1] === '<-' ? 'in' : edge[3] === '->' ? 'out' : 'both';
+      const object = readTerm(edge[0].trim());
+      patterns.push({ subject, hop, object });
+      subject = object;
+    }
+  });
+
+  filters.forEach((filter) => {
+    const inPattern = patterns.some((pattern) =>
+      [pattern.subject, pattern.object].some((term) => term && term.variable === filter.variable),
+    );
+    // A variable only used in filters ranges over every node
+    if (!inPattern) {
+      patterns.push({ subject: { variable: filter.variable }, hop: null, object: null });
+    }
+  });
+  return { patterns, filters, variables };
+}
+
+// "works_at|founded*1..3" into { relations, min, max }
+function parseQueryHop(text, fail) {
+  const match = /^([^*]*?)\s*(?:\*\s*(\d*)\s*(?:(\.\.)\s*(\d*))?)?$/.exec(text);
+  if (!match) fail(`"${text}" is not a relation.`);
+  const relations = match[1]
+    .split('|')
+    .map((relation) => relation.trim())
+    .filter(Boolean);
+  let min = 1;
+  let max = 1;
+  if (text.includes('*')) {
+    const [, , low, range, high] = match;
+    min = low ? Number(low) : 1;
+    max = high ? Number(high) : range || !low ? QUERY_MAX_HOPS : min;
+  }
+  if (min > max) fail(`the hop range ${min}..${max} is empty.`);
+  if (max > QUERY_MAX_HOPS) fail(`at most ${QUERY_MAX_HOPS} hops are supported.`);
+  return { relations: relations.length ? relations : null, min, max };
+}
+
+function parseQueryFilter([, variable, fieldText, operatorText, valueText], fail) {
+  const operator = operatorText.toLowerCase();
+  const fields = [...QUERY_TEXT_FIELDS, ...METRIC_FIELDS];
+  const field = fields.find((candidate) => candidate.toLowerCase() === fieldText.toLowerCase());
+  if (!field) {
+    fail(`unknown field "${fieldText}"; use one of ${fields.join(', ')}.`);
+  }
+  const quoted = /^"((?:[^"\\]|\\.)*)"$/.exec(valueText.trim());
+  const value = quoted ? quoted[1].replace(/\\(.)/g, '$1') : valueText.trim();
+  if (!value && !quoted) fail(`"${operatorText}" needs a value.`);
+  const filter = { variable, field, operator, value };
+
+  if (METRIC_FIELDS.includes(field)) {
+    const number = Number(value);
+    if (quoted || !Number.isFinite(number) || operator === 'contains' || operator === 'matches') {
+      fail(`${field} is a number; compare it with =, !=, <, <=, > or >= and a number.`);
+    }
+    const compare = {
+      '=': (actual) => actual === number,
+      '!=': (actual) => actual !== number,
+      '<': (actual) => actual < number,
+      '<=': (actual) => actual <= number,
+      '>': (actual) => actual > number,
+      '>=': (actual) => actual >= number,
+    }[operator];
+    filter.test = (node) => compare(typeof node[field] === 'number' ? node[field] : 0);
+    return filter;
+  }
+
+  // Text comparisons ignore case; a node with several types passes when one of them does
+  let matches;
+  const lower = value.toLowerCase();
+  if (operator === '=' || operator === '!=') {
+    matches = (text) => text.toLowerCase() === lower;
+  } else if (operator === 'contains') {
+    matches = (text) => text.toLowerCase().includes(lower);
+  } else if (operator === 'matches') {
+    let pattern;
+    try {
+      pattern = new RegExp(value, 'i');
+    } catch (error) {
+      fail(`"${value}" is not a regular expression.`);
+    }
+    matches = (text) => pattern.test(text);
+  } else {
+    fail(`${field} is text; compare it with =, !=, contains or matches.`);
+  }
+  const texts = (node) => {
+    if (field === 'type') return nodeTypes(node);
+    return [node[field] === undefined || node[field] === null ? '' : String(node[field])];
+  };
+  filter.test = operator === '!=' ? (node) => !texts(node).some(matches) : (node) => texts(node).some(matches);
+  return filter;
+}
+
+// Every match of a parsed query: { variables, rows, truncated, unknownNodes }. A row has
+// `bindings` (variable → node id) and the `nodeIds` and `edgeIndexes` it walked through.
+// `unknownNodes` lists the quoted nodes that are not in the graph.
+function runGraphQuery(graph, query, { limit = QUERY_RESULT_LIMIT } = {}) {
+  const nodeById = new Map(graph.nodes.map((node) => [node.id, node]));
+  const outgoing = new Map(graph.nodes.map((node) => [node.id, []]));
+  const incoming = new Map(graph.nodes.map((node) => [node.id, []]));
+  graph.edges.forEach((edge, edgeIndex) => {
+    const source = edgeEndpointId(edge.source);
+    const target = edgeEndpointId(edge.target);
+    if (!nodeById.has(source) || !nodeById.has(target)) return;
+    outgoing.get(source).push({ to: target, edgeIndex, relation: edge.relation });
+    incoming.get(target).push({ to: source, edgeIndex, relation: edge.relation });
+  });
+
+  // Quoted nodes match an id, or else a name regardless of case
+  const literalIds = new Map();
+  const unknownNodes = [];
+  query.patterns.forEach(({ subject, object }) => {
+    [subject, object].forEach((term) => {
+      if (!term || term.variable !== undefined || literalIds.has(term.literal)) return;
+      const lower = term.literal.toLowerCase();
+      const ids = nodeById.has(term.literal)
+        ? [term.literal]
+        : graph.nodes.filter((node) => (node.name || '').toLowerCase() === lower).map((node) => node.id);
+      literalIds.set(term.literal, ids);
+      if (!ids.length) unknownNodes.push(term.literal);
+    });
+  });
+
+  // Nodes `hop` reaches from `start`: end id → { nodeIds, edgeIndexes } of the shortest walk
+  const walk = (start, hop, reverse) => {
+    const direction = reverse ? { out: 'in', in: 'out', both: 'both' }[hop.direction] : hop.direction;
+    const ends = new Map();
+    let frontier = new Map([[start, { nodeIds: [start], edgeIndexes: [] }]]);
+    for (let depth = 0; depth <= hop.max && frontier.size; depth++) {
+      if (depth >= hop.min) {
+        frontier.forEach((path, id) => {
+          if (!ends.has(id)) ends.set(id, path);
+        });
+      }
+      if (depth === hop.max) break;
+      const next = new Map();
+      frontier.forEach((path, id) => {
+        const steps = [
+          ...(direction !== 'in' ? outgoing.get(id) : []),
+          ...(direction !== 'out' ? incoming.get(id) : []),
+        ];
+        steps.forEach((step) => {
+          if (next.has(step.to) || (hop.relations && !hop.relations.includes(step.relation))) return;
+          next.set(step.to, {
+            nodeIds: [...path.nodeIds, step.to],
+            edgeIndexes: [...path.edgeIndexes, step.edgeIndex],
+          });
+        });
+      });
+      frontier = next;
+    }
+    return ends;
+  };
+
+  // Candidates for a term given the bindings so far (null when it is still free)
+  const candidates = (term, bindings) => {
+    if (term.variable === undefined) return literalIds.get(term.literal);
+    return bindings[term.variable] !== undefined ? [bindings[term.variable]] : null;
+  };
+
+  // Patterns run starting with the ones that touch a bound variable or a quoted node, and
+  // every filter runs as soon as its variable is bound
+  const bound = new Set();
+  const isBound = (term) => term && (term.variable === undefined || bound.has(term.variable));
+  const remaining = [...query.patterns];
+  const steps = [];
+  while (remaining.length) {
+    let index = remaining.findIndex((pattern) => isBound(pattern.subject) || isBound(pattern.object));
+    if (index < 0) index = remaining.findIndex((pattern) => pattern.hop);
+    if (index < 0) index = 0;
+    const pattern = remaining.splice(index, 1)[0];
+    const newlyBound = [pattern.subject, pattern.object].filter((term) => term && !isBound(term));
+    newlyBound.forEach((term) => bound.add(term.variable));
+    steps.push({
+      pattern,
+      filters: query.filters.filter((filter) => newlyBound.some((term) => term.variable === filter.variable)),
+    });
+  }
+
+  const rows = [];
+  let truncated = false;
+  const passes = (filters, bindings) => filters.every((filter) => filter.test(nodeById.get(bindings[filter.variable])));
+
+  const extend = (stepIndex, bindings, nodeIds, edgeIndexes) => {
+    if (truncated) return;
+    if (stepIndex === steps.length) {
+      if (rows.length === limit) {
+        truncated = true;
+        return;
+      }
+      rows.push({ bindings, nodeIds: [...new Set(nodeIds)], edgeIndexes: [...new Set(edgeIndexes)] });
+      return;
+    }
+    const { pattern, filters } = steps[stepIndex];
+    const bind = (term, id, current) =>
+      term.variable === undefined || current[term.variable] !== undefined ? current : { ...current, [term.variable]: id };
+    const next = (nextBindings, path) => {
+      if (!passes(filters, nextBindings)) return;
+      extend(stepIndex + 1, nextBindings, [...nodeIds, ...path.nodeIds], [...edgeIndexes, ...path.edgeIndexes]);
+    };
+
+    const subjects = candidates(pattern.subject, bindings);
+    if (!pattern.hop) {
+      (subjects || graph.nodes.map((node) => node.id)).forEach((id) => {
+        next(bind(pattern.subject, id, bindings), { nodeIds: [id], edgeIndexes: [] });
+      });
+      return;
+    }
+    const objects = candidates(pattern.object, bindings);
+    // Walk from whichever end is known; with neither, from every node
+    const reverse = !subjects && Boolean(objects);
+    const starts = reverse ? objects : subjects || graph.nodes.map((node) => node.id);
+    const [startTerm, endTerm] = reverse ? [pattern.object, pattern.subject] : [pattern.subject, pattern.object];
+    const allowedEnds = reverse ? subjects : objects;
+    starts.forEach((start) => {
+      walk(start, pattern.hop, reverse).forEach((path, end) => {
+        if (allowedEnds && !allowedEnds.includes(end)) return;
+        // A variable on both ends of one pattern must bind one node
+        if (startTerm.variable !== undefined && startTerm.variable === endTerm.variable && start !== end) return;
+        next(bind(endTerm, end, bind(startTerm, start, bindings)), path);
+      });
+    });
+  };
+
+  if (!unknownNodes.length) {
+    extend(0, {}, [], []);
+  }
+  return { variables: query.variables, rows, truncated, unknownNodes };
+}
@@ -0,0 +1,226 @@
+// Entity resolution. Files from different teams may name one entity new_york, NYC and
+// new_york_city; mergeGraphs only merges equal ids, so these stay separate nodes. Likely
+// duplicates are suggested from their names and neighbors; an accepted suggestion makes one
+// id an alias of the other, and aliases are rewritten to their canonical id in every file
+// before merging, so the nodes merge and their edges follow.
+
+// Suggestions need at least this score (0-1)
+const DUPLICATE_MIN_SCORE = 0.6;
+// Share of the score that comes from the names; the rest comes from shared neighbors
+const DUPLICATE_NAME_WEIGHT = 0.75;
+// Name parts shared by more nodes than this are too common to pair nodes on
+const DUPLICATE_BLOCK_LIMIT = 50;
+const DUPLICATE_SUGGESTION_LIMIT = 200;
+
+// The id `id` ends up as once aliases are followed (they may chain: a → b → c)
+function canonicalEntityId(aliases, id) {
+  const seen = new Set();
+  while (aliases.has(id) && !seen.has(id)) {
+    seen.add(id);
+    id = aliases.get(id);
+  }
+  return id;
+}
+
+// Copies of `files` ({ name, graph }) with alias ids replaced by canonical ones, and the
+// alias ids that were replaced, by canonical id. Files without aliases are returned as they are.
+function applyEntityAliases(files, aliases) {
+  const aliasesById = new Map();
+  if (!aliases.size) return { files, aliasesById };
+  const resolve = (id) => {
+    const canonical = canonicalEntityId(aliases, id);
+    if (canonical !== id) {
+      if (!aliasesById.has(canonical)) aliasesById.set(canonical, new Set());
+      aliasesById.get(canonical).add(id);
+    }
+    return canonical;
+  };
+  const resolved = files.map((file) => {
+    const { graph } = file;
+    const ids = [
+      ...graph.nodes.map((node) => node.id),
+      ...graph.edges.flatMap((edge) => [edgeEndpointId(edge.source), edgeEndpointId(edge.target)]),
+    ];
+    if (!ids.some((id) => resolve(id) !== id)) return file;
+    return {
+      ...file,
+      graph: {
+        ...graph,
+        nodes: graph.nodes.map((node) => (resolve(node.id) === node.id ? node : { ...node, id: resolve(node.id) })),
+        edges: graph.edges.map((edge) => {
+          const source = resolve(edgeEndpointId(edge.source));
+          const target = resolve(edgeEndpointId(edge.target));
+          return source === edge.source && target === edge.target ? edge : { ...edge, source, target };
+        }),
+      },
+    };
+  });
+  return { files: resolved, aliasesById };
+}
+
+// Record on every merged node the aliases that were merged into it (`aliases`, next to
+// any aliases its files already listed)
+function addEntityAliases(graph, aliasesById) {
+  graph.nodes.forEach((node) => {
+    const merged = aliasesById.get(node.id);
+    if (!merged) return;
+    const own = Array.isArray(node.aliases) ? node.aliases.filter((alias) => typeof alias === 'string') : [];
+    node.aliases = [...new Set([...own, ...merged])];
+  });
+}
+
+// Lower case words without accents or punctuation; camelCase is split into words
+function normalizeEntityName(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function levenshteinDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// How alike two labels are: { score, reason } with a score from 0 to 1
+function entityNameSimilarity(labelA, labelB) {
+  const a = normalizeEntityName(labelA);
+  const b = normalizeEntityName(labelB);
+  if (!a || !b) return { score: 0, reason: '' };
+  if (a === b) return { score: 1, reason: 'same name apart from case and punctuation' };
+  const compactA = a.replace(/ /g, '');
+  const compactB = b.replace(/ /g, '');
+  if (compactA === compactB) return { score: 0.95, reason: 'same name apart from spacing' };
+
+  const wordsA = a.split(' ');
+  const wordsB = b.split(' ');
+  const initials = (words) => words.map((word) => word[0]).join('');
+  if (
+    (wordsA.length === 1 && wordsB.length > 1 && compactA === initials(wordsB)) ||
+    (wordsB.length === 1 && wordsA.length > 1 && compactB === initials(wordsA))
+  ) {
+    const [short, long] = wordsA.length === 1 ? [labelA, labelB] : [labelB, labelA];
+    return { score: 0.9, reason: `"${short}" abbreviates "${long}"` };
+  }
+
+  const candidates = [];
+  const [fewer, more] = wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  if (fewer.length < more.length && fewer.every((word) => more.includes(word))) {
+    candidates.push({ score: 0.6 + (0.3 * fewer.length) / more.length, reason: 'one name contains the other' });
+  }
+  // Long labels are descriptions rather than names; comparing them letter by letter is slow
+  if (compactA.length <= 100 && compactB.length <= 100) {
+    const score = 1 - levenshteinDistance(compactA, compactB) / Math.max(compactA.length, compactB.length);
+    candidates.push({ score, reason: `names ${Math.round(score * 100)}% alike` });
+  }
+  return candidates.reduce((best, candidate) => (candidate.score > best.score ? candidate : best), {
+    score: 0,
+    reason: '',
+  });
+}
+
+// Parts of a node's labels that a duplicate probably shares: words, the start of the name
+// and its initials (or the name itself when it may be an abbreviation)
+function entityBlockingKeys(node) {
+  const keys = new Set();
+  [node.name, node.id].forEach((label) => {
+    const normalized = normalizeEntityName(label);
+    if (!normalized) return;
+    const words = normalized.split(' ');
+    const compact = words.join('');
+    words.filter((word) => word.length > 1 || /\d/.test(word)).forEach((word) => keys.add(`word:${word}`));
+    keys.add(`start:${compact.slice(0, 4)}`);
+    if (words.length > 1) {
+      keys.add(`initials:${words.map((word) => word[0]).join('')}`);
+    } else if (compact.length >= 2 && compact.length <= 6) {
+      keys.add(`initials:${compact}`);
+    }
+  });
+  return keys;
+}
+
+function duplicatePairKey(a, b) {
+  return JSON.stringify([a, b].sort());
+}
+
+// Likely duplicates in `graph`, best first: [{ keep, merge, score, reasons }] where `keep`
+// is the id that would stay (defined nodes with more relations win) and `merge` the one that
+// would become its alias. Pairs in `rejected` (keys from duplicatePairKey) are left out.
+function findDuplicateEntities(graph, rejected = new Set()) {
+  const neighbors = new Map(graph.nodes.map((node) => [node.id, new Set()]));
+  graph.edges.forEach((edge) => {
+    const source = edgeEndpointId(edge.source);
+    const target = edgeEndpointId(edge.target);
+    if (source === target || !neighbors.has(source) || !neighbors.has(target)) return;
+    neighbors.get(source).add(target);
+    neighbors.get(target).add(source);
+  });
+
+  // Only nodes that share a blocking key are compared, which keeps large graphs fast
+  const blocks = new Map();
+  graph.nodes.forEach((node) => {
+    entityBlockingKeys(node).forEach((key) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(node);
+    });
+  });
+  const pairs = new Map();
+  blocks.forEach((nodes) => {
+    if (nodes.length < 2 || nodes.length > DUPLICATE_BLOCK_LIMIT) return;
+    nodes.forEach((a, index) => {
+      nodes.slice(index + 1).forEach((b) => {
+        const key = duplicatePairKey(a.id, b.id);
+        if (!rejected.has(key)) pairs.set(key, [a, b]);
+      });
+    });
+  });
+
+  const suggestions = [];
+  pairs.forEach(([a, b]) => {
+    let name = { score: 0, reason: '' };
+    [a.name || a.id, a.id].forEach((labelA) => {
+      [b.name || b.id, b.id].forEach((labelB) => {
+        const similarity = entityNameSimilarity(labelA, labelB);
+        if (similarity.score > name.score) name = similarity;
+      });
+    });
+    const neighborsA = neighbors.get(a.id);
+    const neighborsB = neighbors.get(b.id);
+    const shared = [...neighborsA].filter((id) => id !== b.id && neighborsB.has(id)).length;
+    const all = new Set([...neighborsA, ...neighborsB]);
+    all.delete(a.id);
+    all.delete(b.id);
+    const neighborScore = all.size ? shared / all.size : 0;
+    let score = DUPLICATE_NAME_WEIGHT * name.score + (1 - DUPLICATE_NAME_WEIGHT) * neighborScore;
+    const reasons = [name.reason];
+    if (shared) reasons.push(`${shared} shared neighbor${shared !== 1 ? 's' : ''}`);
+    // Nodes typed differently by their files may still be one entity, but less likely so
+    const typesA = nodeTypes(a);
+    const typesB = nodeTypes(b);
+    if (typesA.length && typesB.length && !typesA.some((type) => typesB.includes(type))) {
+      score *= 0.8;
+      reasons.push('different types');
+    }
+    if (score < DUPLICATE_MIN_SCORE) return;
+    const rank = (node) => [node.placeholder ? 0 : 1, neighbors.get(node.id).size, (node.sources || []).length];
+    const rankA = rank(a);
+    const rankB = rank(b);
+    const order = rankA.map((value, index) => value - rankB[index]).find((difference) => difference !== 0) || 0;
+    const [keep, merge] = order >= 0 ? [a, b] : [b, a];
+    suggestions.push({ keep: keep.id, merge: merge.id, score, reasons: reasons.filter(Boolean) });
+  });
+  return suggestions
+    .sort((x, y) => y.score - x.score || x.keep.localeCompare(y.keep))
+    .slice(0, DUPLICATE_SUGGESTION_LIMIT);
+}
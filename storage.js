@@ -0,0 +1,141 @@
+// Workspaces are stored in IndexedDB, one record per workspace keyed by `id`.
+
+const WORKSPACE_DB_NAME = 'knowledgeGraph';
+const WORKSPACE_STORE = 'workspaces';
+// Marks exported workspace files so they are not mistaken for graph files
+const WORKSPACE_FILE_FORMAT = 'knowledge-graph-workspace';
+const WORKSPACE_FILE_VERSION = 1;
+
+let workspaceDbPromise = null;
+
+function openWorkspaceDb() {
+  if (!workspaceDbPromise) {
+    workspaceDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser does not support IndexedDB.'));
+        return;
+      }
+      const request = indexedDB.open(WORKSPACE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(WORKSPACE_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error('Unable to open the workspace database.'));
+    });
+    // Allow another attempt after a failure (for example a blocked upgrade)
+    workspaceDbPromise.catch(() => {
+      workspaceDbPromise = null;
+    });
+  }
+  return workspaceDbPromise;
+}
+
+// Run one request in its own transaction and resolve with its result
+async function workspaceRequest(mode, createRequest) {
+  const db = await openWorkspaceDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(WORKSPACE_STORE, mode);
+    const request = createRequest(transaction.objectStore(WORKSPACE_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error || request.error);
+    transaction.onabort = () => reject(transaction.error || new Error('The workspace transaction was aborted.'));
+  });
+}
+
+// Workspaces without their (potentially large) contents, most recently saved first
+async function listWorkspaces() {
+  const workspaces = await workspaceRequest('readonly', (store) => store.getAll());
+  return workspaces
+    .map(({ id, name, createdAt, updatedAt, files = [], edits = [] }) => ({
+      id,
+      name,
+      createdAt,
+      updatedAt,
+      fileCount: files.length,
+      editCount: edits.length,
+    }))
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+function getWorkspace(id) {
+  return workspaceRequest('readonly', (store) => store.get(id));
+}
+
+function putWorkspace(workspace) {
+  return workspaceRequest('readwrite', (store) => store.put(workspace));
+}
+
+function deleteWorkspace(id) {
+  return workspaceRequest('readwrite', (store) => store.delete(id));
+}
+
+function createWorkspaceId() {
+  return `ws-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// A workspace as a standalone JSON document that can be handed to someone else
+function workspaceToFile(workspace) {
+  const { id, ...contents } = workspace;
+  return JSON.stringify({ format: WORKSPACE_FILE_FORMAT, version: WORKSPACE_FILE_VERSION, ...contents }, null, 2);
+}
+
+function workspaceFromFile(text, fileName) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${fileName} is not valid JSON.`);
+  }
+  if (!data || data.format !== WORKSPACE_FILE_FORMAT) {
+    throw new Error(`${fileName} is not a workspace file.`);
+  }
+  if (data.version > WORKSPACE_FILE_VERSION) {
+    throw new Error(`${fileName} was saved by a newer version of the app.`);
+  }
+  if (!Array.isArray(data.files)) {
+    throw new Error(`${fileName} does not list any graph files.`);
+  }
+  // The graphs are checked like uploads, so a broken one never reaches the database
+  const mode = (data.settings && data.settings.validationMode) || 'lenient';
+  const checked = validateWorkspaceFiles(data.files, mode);
+  if (checked.refused.length) {
+    const report = checked.reports.find((entry) => entry.refused);
+    const issue = report.errors[0];
+    throw new Error(
+      `${fileName} holds a graph that cannot be loaded: ${report.fileName}${
+        issue ? ` (${issue.path}: ${issue.message})` : ''
+      }.`,
+    );
+  }
+  const { format, version, ...workspace } = data;
+  const reports = new Map((workspace.validationReports || []).map((entry) => [entry.fileName, entry]));
+  checked.reports.forEach((entry) => reports.set(entry.fileName, entry));
+  return {
+    ...workspace,
+    files: checked.files,
+    validationReports: [...reports.values()],
+    id: createWorkspaceId(),
+  };
+}
+
+// Run the files of a workspace through the validation uploads get (validation.js):
+// { files, reports, refused } with the files `mode` accepts, their graphs as validated,
+// a report per file like the ones uploads leave, and the names of the refused files
+function validateWorkspaceFiles(files, mode) {
+  const accepted = [];
+  const reports = [];
+  const refused = [];
+  files.forEach((file, index) => {
+    const entry = file && typeof file === 'object' ? file : {};
+    const name = typeof entry.name === 'string' && entry.name ? entry.name : `File ${index + 1}`;
+    const report = validateGraph(entry.graph);
+    const ok = acceptsValidationReport(report, mode);
+    reports.push({ fileName: name, mode, refused: !ok, errors: report.errors, warnings: report.warnings });
+    if (ok) {
+      accepted.push({ name, graph: report.graph, visible: entry.visible !== false });
+    } else {
+      refused.push(name);
+    }
+  });
+  return { files: accepted, reports, refused };
+}
@@ -0,0 +1,111 @@
+// Validity periods of nodes and edges. An element may have `start` and `end` (either one
+// may be missing, leaving that side open) or a single `timestamp`; elements without any of
+// them are valid at all times. Values are ISO 8601 dates ("2021", "2021-03-04",
+// "2021-03-04T10:00:00Z") or numbers, which are read as years.
+
+const TIME_FIELDS = ['start', 'end', 'timestamp'];
+
+// Milliseconds since the epoch, NaN for values that are not a date, undefined when missing
+function parseTimeValue(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) return NaN;
+    // setUTCFullYear keeps years below 100 from being read as 19xx
+    const date = new Date(Date.UTC(2000, 0, 1));
+    date.setUTCFullYear(value);
+    return date.getTime();
+  }
+  if (typeof value !== 'string') return NaN;
+  const text = value.trim();
+  // A bare year would otherwise need four digits
+  if (/^-?\d{1,6}$/.test(text)) return parseTimeValue(Number(text));
+  return Date.parse(text);
+}
+
+// { start, end } in milliseconds, -Infinity and Infinity for open sides. A timestamp is
+// used only when neither start nor end is given.
+function timeInterval(element) {
+  const start = parseTimeValue(element.start);
+  const end = parseTimeValue(element.end);
+  const timestamp = parseTimeValue(element.timestamp);
+  if (start === undefined && end === undefined && Number.isFinite(timestamp)) {
+    return { start: timestamp, end: timestamp };
+  }
+  return {
+    start: Number.isFinite(start) ? start : -Infinity,
+    end: Number.isFinite(end) ? end : Infinity,
+  };
+}
+
+function hasTimeFields(element) {
+  return TIME_FIELDS.some((field) => Number.isFinite(parseTimeValue(element[field])));
+}
+
+// Time fields of an element merged from several files: it is valid whenever one of them
+// says so, from the earliest start to the latest end. The original values are kept, so a
+// file's own date format is what gets exported again.
+function mergedTimeFields(elements) {
+  let start = { time: Infinity, value: undefined };
+  let end = { time: -Infinity, value: undefined };
+  elements.forEach((element) => {
+    const interval = timeInterval(element);
+    const timestampOnly = element.start === undefined && element.end === undefined;
+    if (interval.start < start.time) {
+      start = { time: interval.start, value: timestampOnly ? element.timestamp : element.start };
+    }
+    if (interval.end > end.time) {
+      end = { time: interval.end, value: timestampOnly ? element.timestamp : element.end };
+    }
+  });
+  const fields = {};
+  if (Number.isFinite(start.time)) fields.start = start.value;
+  if (Number.isFinite(end.time)) fields.end = end.value;
+  return fields;
+}
+
+// Earliest and latest date any node or edge mentions: { min, max }, or null when none does
+function graphTimeExtent(graph) {
+  let min = Infinity;
+  let max = -Infinity;
+  [...graph.nodes, ...graph.edges].forEach((element) => {
+    if (!hasTimeFields(element)) return;
+    const { start, end } = timeInterval(element);
+    [start, end].filter(Number.isFinite).forEach((time) => {
+      min = Math.min(min, time);
+      max = Math.max(max, time);
+    });
+  });
+  return Number.isFinite(min) ? { min, max } : null;
+}
+
+// The part of `graph` valid at some moment of `range` ({ from, to }, the same value for a
+// single date). Edges need both of their endpoints to be valid too.
+function filterGraphByTime(graph, range) {
+  const valid = (element) => {
+    const { start, end } = timeInterval(element);
+    return start <= range.to && end >= range.from;
+  };
+  const nodes = graph.nodes.filter(valid);
+  const nodeIds = new Set(nodes.map((node) => node.id));
+  const edges = graph.edges.filter(
+    (edge) => valid(edge) && nodeIds.has(edgeEndpointId(edge.source)) && nodeIds.has(edgeEndpointId(edge.target)),
+  );
+  return { ...graph, nodes, edges };
+}
+
+// Validity period for tooltips, such as "2019-01-01 – 2021-06-30" or "since 2020-01-01";
+// empty for elements that are always valid
+function formatTimeInterval(element) {
+  if (!hasTimeFields(element)) return '';
+  const { start, end } = timeInterval(element);
+  if (start === end) return formatTimeValue(start);
+  if (!Number.isFinite(start)) return `until ${formatTimeValue(end)}`;
+  if (!Number.isFinite(end)) return `since ${formatTimeValue(start)}`;
+  return `${formatTimeValue(start)} – ${formatTimeValue(end)}`;
+}
+
+// Dates are shown without their time of day when it is midnight (UTC)
+function formatTimeValue(time) {
+  const iso = new Date(time).toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : `${iso.slice(0, 16).replace('T', ' ')} UTC`;
+}
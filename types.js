@@ -0,0 +1,113 @@
+// Node types and the optional type schema. A node has a `type` or a `types` array; the
+// first type decides its shape and color. A type schema names the relations allowed
+// between types and, optionally, the known types:
+//   { "types": ["Person", "Organization"],
+//     "relations": [{ "relation": "works_at", "source": "Person", "target": ["Organization"] }] }
+// `source` and `target` are a type, a list of types or "*" for any type.
+
+// Shapes in the order new types receive them (d3 symbol names)
+const NODE_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'star', 'cross', 'wye'];
+const NODE_SHAPE_SYMBOLS = {
+  circle: 'symbolCircle',
+  square: 'symbolSquare',
+  triangle: 'symbolTriangle',
+  diamond: 'symbolDiamond',
+  star: 'symbolStar',
+  cross: 'symbolCross',
+  wye: 'symbolWye',
+};
+
+// Types of a node, without blanks and repeats ([] for untyped nodes)
+function nodeTypes(node) {
+  const types = Array.isArray(node.types) ? node.types : [node.type];
+  return types
+    .filter((type) => typeof type === 'string' && type.trim())
+    .map((type) => type.trim())
+    .filter((type, index, all) => all.indexOf(type) === index);
+}
+
+// The type that styles a node, '' for untyped ones
+function primaryNodeType(node) {
+  return nodeTypes(node)[0] || '';
+}
+
+// SVG path of a node shape centered on 0,0. Every shape covers the area of a circle of
+// `radius`, so nodes of different types look equally large.
+function nodeShapePath(shape, radius, context = null) {
+  const symbol = d3[NODE_SHAPE_SYMBOLS[shape] || NODE_SHAPE_SYMBOLS.circle];
+  return d3.symbol(symbol, Math.PI * radius * radius).context(context)();
+}
+
+// Check and normalize a parsed schema file into { types, relations } where `types` is a
+// Set (null when the schema does not list them) and `relations` maps every relation to its
+// allowed { sources, targets } pairs (null for "*"). Problems throw, naming their JSON path.
+function parseTypeSchema(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('The type schema must be an object with a "relations" array.');
+  }
+  if (!Array.isArray(json.relations)) {
+    throw new Error('$.relations: the type schema must have a "relations" array.');
+  }
+  let types = null;
+  if (json.types !== undefined) {
+    if (!Array.isArray(json.types) || json.types.some((type) => typeof type !== 'string')) {
+      throw new Error('$.types: "types" must be an array of type names.');
+    }
+    types = new Set(json.types);
+  }
+
+  const readTypes = (value, path) => {
+    if (value === '*') return null;
+    const list = Array.isArray(value) ? value : [value];
+    if (!list.length || list.some((type) => typeof type !== 'string' || !type)) {
+      throw new Error(`${path}: expected a type, a list of types or "*".`);
+    }
+    if (types) {
+      const unknown = list.find((type) => !types.has(type));
+      if (unknown) throw new Error(`${path}: "${unknown}" is not one of the schema's types.`);
+    }
+    return new Set(list);
+  };
+
+  const relations = new Map();
+  json.relations.forEach((rule, index) => {
+    const path = `$.relations[${index}]`;
+    if (!rule || typeof rule !== 'object' || typeof rule.relation !== 'string' || !rule.relation) {
+      throw new Error(`${path}: every rule needs a "relation".`);
+    }
+    if (!relations.has(rule.relation)) {
+      relations.set(rule.relation, []);
+    }
+    relations.get(rule.relation).push({
+      sources: readTypes(rule.source, `${path}.source`),
+      targets: readTypes(rule.target, `${path}.target`),
+    });
+  });
+  return { types, relations };
+}
+
+// Why a node breaks the schema, or null: only types the schema does not list do
+function nodeSchemaViolation(node, schema) {
+  if (!schema.types) return null;
+  const unknown = nodeTypes(node).filter((type) => !schema.types.has(type));
+  if (!unknown.length) return null;
+  return `${unknown.length === 1 ? 'Type' : 'Types'} ${unknown.map((type) => `"${type}"`).join(', ')} not in the type schema.`;
+}
+
+// Why an edge breaks the schema, or null. Edges without a relation or with an untyped
+// endpoint are not checked; any type of a node with several may satisfy a rule.
+function edgeSchemaViolation(edge, source, target, schema) {
+  if (!edge.relation || !source || !target) return null;
+  const sourceTypes = nodeTypes(source);
+  const targetTypes = nodeTypes(target);
+  if (!sourceTypes.length || !targetTypes.length) return null;
+  const rules = schema.relations.get(edge.relation);
+  if (!rules) {
+    return `"${edge.relation}" is not a relation of the type schema.`;
+  }
+  const allows = (allowed, types) => allowed === null || types.some((type) => allowed.has(type));
+  if (rules.some((rule) => allows(rule.sources, sourceTypes) && allows(rule.targets, targetTypes))) {
+    return null;
+  }
+  return `"${edge.relation}" is not allowed from ${sourceTypes.join('/')} to ${targetTypes.join('/')}.`;
+}
@@ -0,0 +1,159 @@
+// Validation of imported graphs. Every problem is reported with the JSON path of the
+// offending value (for non-JSON formats, the path in the converted { nodes, edges } graph)
+// instead of stopping at the first one, so a file can be loaded without its bad parts.
+
+// Accepted ranges of the numeric edge fields
+const EDGE_NUMBER_RULES = [
+  { field: 'weight', min: 0, max: Infinity, expected: 'a finite number of at least 0' },
+  { field: 'confidence', min: 0, max: 1, expected: 'a number between 0 and 1' },
+];
+
+// Warnings about the time fields of a node or edge (see timeline.js), and the fields to
+// drop: dates that do not parse, and both ends of a period that ends before it starts
+function timeFieldIssues(element, path) {
+  const warnings = [];
+  const invalid = TIME_FIELDS.filter((field) => Number.isNaN(parseTimeValue(element[field])));
+  invalid.forEach((field) => {
+    warnings.push({ path: `${path}.${field}`, message: `"${field}" is not a date and is ignored.` });
+  });
+  const start = parseTimeValue(element.start);
+  const end = parseTimeValue(element.end);
+  if (start > end) {
+    warnings.push({ path: `${path}.end`, message: '"end" is before "start"; both are ignored.' });
+    invalid.push('start', 'end');
+  }
+  return { warnings, invalid };
+}
+
+// Warnings about the node type fields (see types.js), and the fields to drop: a "type"
+// that is not a string and a "types" that is not a list of strings
+function typeFieldIssues(node, path) {
+  const warnings = [];
+  const invalid = [];
+  if (node.type !== undefined && node.type !== null && typeof node.type !== 'string') {
+    warnings.push({ path: `${path}.type`, message: '"type" is not a string and is ignored.' });
+    invalid.push('type');
+  }
+  if (
+    node.types !== undefined &&
+    node.types !== null &&
+    !(Array.isArray(node.types) && node.types.every((type) => typeof type === 'string'))
+  ) {
+    warnings.push({ path: `${path}.types`, message: '"types" is not an array of strings and is ignored.' });
+    invalid.push('types');
+  }
+  return { warnings, invalid };
+}
+
+// Copy of `element` without `fields`, or the element itself when there are none
+function withoutFields(element, fields) {
+  if (!fields.length) return element;
+  const cleaned = { ...element };
+  fields.forEach((field) => delete cleaned[field]);
+  return cleaned;
+}
+
+// Report on `graph`: { errors, warnings, graph } where every issue is { path, message }.
+// Errors mark nodes and edges that cannot be loaded; `graph` holds the rest, or is null
+// when the file has no nodes or edges array at all. Warnings describe what still loads
+// but probably is not what the author meant.
+function validateGraph(graph) {
+  const errors = [];
+  const warnings = [];
+  const report = { errors, warnings, graph: null };
+
+  if (!graph || typeof graph !== 'object' || Array.isArray(graph)) {
+    errors.push({ path: '$', message: 'The graph must be an object with "nodes" and "edges" arrays.' });
+    return report;
+  }
+  ['nodes', 'edges'].forEach((field) => {
+    if (!Array.isArray(graph[field])) {
+      errors.push({ path: `$.${field}`, message: `"${field}" must be an array.` });
+    }
+  });
+  if (!Array.isArray(graph.nodes) && !Array.isArray(graph.edges)) {
+    return report;
+  }
+
+  const nodes = [];
+  const firstIndexById = new Map();
+  (graph.nodes || []).forEach((node, index) => {
+    const path = `$.nodes[${index}]`;
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      errors.push({ path, message: 'A node must be an object.' });
+      return;
+    }
+    if (!node.id) {
+      errors.push({ path: `${path}.id`, message: 'The node has no "id".' });
+      return;
+    }
+    if (firstIndexById.has(node.id)) {
+      warnings.push({
+        path: `${path}.id`,
+        message: `Duplicate id "${node.id}" (first used at $.nodes[${firstIndexById.get(node.id)}]); the nodes are merged.`,
+      });
+    } else {
+      firstIndexById.set(node.id, index);
+    }
+    const time = timeFieldIssues(node, path);
+    const types = typeFieldIssues(node, path);
+    warnings.push(...time.warnings, ...types.warnings);
+    nodes.push(withoutFields(node, [...time.invalid, ...types.invalid]));
+  });
+
+  const edges = [];
+  (graph.edges || []).forEach((edge, index) => {
+    const path = `$.edges[${index}]`;
+    if (!edge || typeof edge !== 'object' || Array.isArray(edge)) {
+      errors.push({ path, message: 'An edge must be an object.' });
+      return;
+    }
+    const missing = ['source', 'target'].filter((field) => !edge[field]);
+    missing.forEach((field) => {
+      errors.push({ path: `${path}.${field}`, message: `The edge has no "${field}".` });
+    });
+    if (missing.length) return;
+
+    ['source', 'target'].forEach((field) => {
+      if (!firstIndexById.has(edge[field])) {
+        warnings.push({
+          path: `${path}.${field}`,
+          message: `"${edge[field]}" is not a node in this file; a placeholder node is used unless another file defines it.`,
+        });
+      }
+    });
+    if (edge.source === edge.target) {
+      warnings.push({ path, message: `Self-loop on "${edge.source}".` });
+    }
+    if (!edge.relation) {
+      warnings.push({ path: `${path}.relation`, message: 'The edge has no "relation".' });
+    }
+    if (edge.reference !== undefined && edge.reference !== null && !Array.isArray(edge.reference)) {
+      warnings.push({ path: `${path}.reference`, message: '"reference" is not an array and is ignored.' });
+    }
+    // Unusable numbers and dates are dropped so they cannot reach the metrics, the styling
+    // or the timeline
+    const invalidNumbers = EDGE_NUMBER_RULES.filter(
+      ({ field, min, max }) =>
+        edge[field] !== undefined &&
+        edge[field] !== null &&
+        !(Number.isFinite(edge[field]) && edge[field] >= min && edge[field] <= max),
+    );
+    invalidNumbers.forEach(({ field, expected }) => {
+      warnings.push({ path: `${path}.${field}`, message: `"${field}" must be ${expected} and is ignored.` });
+    });
+    const time = timeFieldIssues(edge, path);
+    warnings.push(...time.warnings);
+    edges.push(withoutFields(edge, [...invalidNumbers.map(({ field }) => field), ...time.invalid]));
+  });
+
+  report.graph = { ...graph, nodes, edges };
+  return report;
+}
+
+// Whether a file with this report is loaded: strict mode refuses any file with errors,
+// lenient mode loads whatever passed validation
+function acceptsValidationReport(report, mode) {
+  if (!report.graph) return false;
+  return mode !== 'strict' || report.errors.length === 0;
+}
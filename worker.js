@@ -0,0 +1,125 @@
+// Background jobs: metric calculation and the force layout. app.js starts this file as a
+// Web Worker. Where a worker cannot be started (Chrome refuses them for pages opened from
+// file://), the page loads it as a regular script and runs the same job runner itself.
+//
+// Messages to the runner (`job` identifies the calculation they belong to):
+//   { type: 'metrics', job, graph: { nodes: [{ id }], edges: [{ source, target, weight }] }, parallelEdges, combine }
+//   { type: 'layout', job, nodes: [{ id, x, y, vx, vy, fx, fy, group }], links: [{ source, target }],
+//     options (see createForceSimulation), alpha, alphaTarget }
+//   { type: 'pin', job, index, fx, fy }         fix a node of the layout (null releases it)
+//   { type: 'alphaTarget', job, value }
+//   { type: 'restart', job, alpha }             alpha is optional
+//   { type: 'strength', job, value }            charge strength
+//   { type: 'stop' }
+// Messages from the runner:
+//   { type: 'progress', job, stage, done, total }
+//   { type: 'metrics', job, metrics }           see computeMetrics
+//   { type: 'positions', job, alpha, positions } Float64Array of x, y, vx, vy per node
+//   { type: 'end', job }                        the layout has cooled down
+//   { type: 'error', job, message }
+
+const LAYOUT_FRAME_MS = 16;
+
+function createJobRunner(post) {
+  let layout = null;
+
+  const stopLayout = () => {
+    if (!layout) return;
+    clearTimeout(layout.timer);
+    layout = null;
+  };
+
+  // One tick per frame, like d3's own timer, so the layout still animates on screen
+  const stepLayout = () => {
+    const started = Date.now();
+    const { job, simulation, nodes } = layout;
+    simulation.tick();
+    const positions = new Float64Array(nodes.length * 4);
+    nodes.forEach((node, index) => {
+      positions[index * 4] = node.x;
+      positions[index * 4 + 1] = node.y;
+      positions[index * 4 + 2] = node.vx;
+      positions[index * 4 + 3] = node.vy;
+    });
+    post({ type: 'positions', job, alpha: simulation.alpha(), positions });
+    if (simulation.alpha() < simulation.alphaMin()) {
+      layout.timer = null;
+      post({ type: 'end', job });
+      return;
+    }
+    layout.timer = setTimeout(stepLayout, Math.max(0, LAYOUT_FRAME_MS - (Date.now() - started)));
+  };
+
+  const resumeLayout = () => {
+    if (layout && !layout.timer) {
+      layout.timer = setTimeout(stepLayout, 0);
+    }
+  };
+
+  return (message) => {
+    if (message.type === 'metrics') {
+      try {
+        const metrics = computeMetrics(message.graph, {
+          parallelEdges: message.parallelEdges,
+          combine: message.combine,
+          onProgress: (stage, done, total) => post({ type: 'progress', job: message.job, stage, done, total }),
+        });
+        post({ type: 'metrics', job: message.job, metrics });
+      } catch (error) {
+        post({ type: 'error', job: message.job, message: error.message });
+      }
+      return;
+    }
+    if (message.type === 'layout') {
+      stopLayout();
+      try {
+        const simulation = createForceSimulation(message.nodes, message.links, message.options)
+          .stop()
+          .alpha(message.alpha)
+          .alphaTarget(message.alphaTarget || 0);
+        layout = { job: message.job, simulation, nodes: message.nodes, timer: null };
+        resumeLayout();
+      } catch (error) {
+        post({ type: 'error', job: message.job, message: error.message });
+      }
+      return;
+    }
+    if (message.type === 'stop') {
+      stopLayout();
+      return;
+    }
+
+    // The remaining messages adjust the running layout and are ignored once it was replaced
+    if (!layout || layout.job !== message.job) return;
+    switch (message.type) {
+      case 'pin': {
+        const node = layout.nodes[message.index];
+        node.fx = message.fx;
+        node.fy = message.fy;
+        break;
+      }
+      case 'alphaTarget':
+        layout.simulation.alphaTarget(message.value);
+        break;
+      case 'restart':
+        if (typeof message.alpha === 'number') {
+          layout.simulation.alpha(message.alpha);
+        }
+        resumeLayout();
+        break;
+      case 'strength':
+        layout.simulation.force('charge').strength(message.value);
+        break;
+      default:
+        post({ type: 'error', job: message.job, message: `Unknown job message "${message.type}".` });
+    }
+  };
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  importScripts('vendor/d3.v7.min.js', 'keys.js', 'metrics.js', 'layouts.js');
+  const run = createJobRunner((message) =>
+    self.postMessage(message, message.positions ? [message.positions.buffer] : []),
+  );
+  self.onmessage = (event) => run(event.data);
+}